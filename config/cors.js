@@ -0,0 +1,22 @@
+/**
+ * CORS options from CORS_ORIGINS, a comma-separated origin allowlist
+ * (e.g. "http://localhost:5173,https://app.example.com").
+ * Unset or "*" allows every origin.
+ */
+function getCorsOptions() {
+  const origins = (process.env.CORS_ORIGINS || '*')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/$/, ''))
+    .filter(Boolean);
+
+  if (origins.length === 0 || origins.includes('*')) {
+    return {};
+  }
+
+  return {
+    // Disallowed origins get no CORS headers, so browsers block the response
+    origin: (origin, callback) => callback(null, !origin || origins.includes(origin))
+  };
+}
+
+module.exports = { getCorsOptions };
@@ -0,0 +1,7 @@
+/**
+ * Project that URLs belong to when none is given
+ * (and that the original flat URL list was migrated into)
+ */
+const DEFAULT_PROJECT_ID = 'default';
+
+module.exports = { DEFAULT_PROJECT_ID };
@@ -0,0 +1,17 @@
+/**
+ * Access roles, lowest to highest. Each role can do everything the
+ * roles before it can:
+ * - viewer: read and download
+ * - editor: upload, add/edit/delete URLs, run checks, manage projects and sitemaps
+ * - admin: schedules, alerts and API keys
+ */
+const ROLES = ['viewer', 'editor', 'admin'];
+
+/**
+ * Whether `role` grants at least `required`
+ */
+function hasRole(role, required) {
+  return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+module.exports = { ROLES, hasRole };
@@ -1,86 +1,285 @@
 const cron = require('node-cron');
-const URLModel = require('../models/url.model');
-const IndexationService = require('../services/indexation.service');
+const cronParser = require('cron-parser');
+const ScheduleModel = require('../models/schedule.model');
+const SitemapModel = require('../models/sitemap.model');
+const JobService = require('../services/job.service');
+const SitemapService = require('../services/sitemap.service');
+const MetricsService = require('../services/metrics.service');
+const logger = require('../utils/logger');
+const { isValidTimezone } = require('../utils/date.utils');
 
 /**
  * Scheduler Configuration
- * Runs indexation check daily at 9:00 AM IST
+ * Runs indexation checks for every enabled schedule in data/schedules.json.
+ * Schedules are managed through /api/schedules; changes are applied to the
+ * running cron tasks immediately (no restart needed).
+ * Without a schedules file, a daily 9:00 AM IST schedule is created.
+ * Sitemaps with a `cron` are re-synced on their own schedule.
  */
 
+// Cron tasks by schedule ID ("sitemap:<id>" for sitemap syncs)
+const tasks = new Map();
+
+// Scheduler health (see getSchedulerStatus)
+const state = {
+  started: false,
+  startError: null,
+  lastSuccessAt: null,
+  lastFailureAt: null,
+  lastError: null
+};
+
+/**
+ * Record the outcome of a scheduled task for /metrics and /api/health
+ * result: 'success' | 'skipped' | 'failure'
+ */
+function recordResult({ type, id, name, result, error }) {
+  MetricsService.recordScheduledRun({ type, id, name, result });
+
+  if (result === 'success') {
+    state.lastSuccessAt = new Date().toISOString();
+  } else if (result === 'failure') {
+    state.lastFailureAt = new Date().toISOString();
+    state.lastError = error || null;
+  }
+}
+
 /**
  * Perform scheduled indexation check
  */
-async function performScheduledCheck() {
+async function performScheduledCheck(scheduleId) {
+  // Re-read so the latest target/provider is used
+  const schedule = await ScheduleModel.findById(scheduleId);
+  if (!schedule) {
+    return;
+  }
+
+  let status = 'completed';
+  let errorMessage = null;
+  const log = { scheduleId: schedule.id, schedule: schedule.name };
+
   try {
-    console.log('\n⏰ Scheduled indexation check started at:', new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' }));
-    
-    // Get all URLs
-    const urls = await URLModel.readAllURLs();
+    logger.info('Scheduled indexation check started', log);
+
+    const job = await JobService.start({
+      source: 'scheduled',
+      provider: schedule.provider || undefined,
+      target: schedule.target
+    });
     
-    if (urls.length === 0) {
-      console.log('⚠️ No URLs to check');
+    if (!job) {
+      logger.info('Scheduled check skipped: no URLs to check', log);
+      status = 'skipped';
       return;
     }
 
-    console.log(`📋 Checking ${urls.length} URLs...`);
-    
-    // Check indexation for each URL
-    const results = await IndexationService.checkMultipleURLs(urls);
-    
-    // Update CSV with results
-    const updatedUrls = urls.map((urlData, index) => ({
-      url: urlData.url,
-      status: results[index].status,
-      lastChecked: new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' }),
-      notes: results[index].notes
-    }));
-
-    await URLModel.writeAllURLs(updatedUrls);
-
-    // Log summary
-    const indexed = results.filter(r => r.status === 'Indexed').length;
-    const notIndexed = results.filter(r => r.status === 'Not Indexed').length;
-    const invalid = results.filter(r => r.status === 'Invalid URL').length;
-
-    console.log('✅ Scheduled check completed!');
-    console.log(`📊 Results: ${indexed} Indexed | ${notIndexed} Not Indexed | ${invalid} Invalid`);
-    console.log('─'.repeat(60));
-    
+    await job.promise;
+    status = job.status;
+
+    if (job.status !== 'completed') {
+      errorMessage = job.error || null;
+      logger.warn(`Scheduled check ${job.status}`, { ...log, jobId: job.id, error: errorMessage });
+      return;
+    }
+
+    const { indexed, notIndexed, invalid, blocked, failed } = job.run;
+    logger.info('Scheduled check completed', { ...log, jobId: job.id, runId: job.run.id, indexed, notIndexed, invalid, blocked, failed });
+  } catch (error) {
+    if (error.code === 'CHECK_IN_PROGRESS') {
+      logger.info('Scheduled check skipped', { ...log, reason: error.message });
+      status = 'skipped';
+      return;
+    }
+    status = 'failed';
+    errorMessage = error.message;
+    logger.error('Error during scheduled check', { ...log, error });
+  } finally {
+    recordResult({
+      type: 'check',
+      id: schedule.id,
+      name: schedule.name,
+      result: status === 'completed' ? 'success' : status === 'skipped' ? 'skipped' : 'failure',
+      error: errorMessage
+    });
+
+    await ScheduleModel.recordRun(schedule.id, {
+      lastRunAt: new Date().toISOString(),
+      lastRunStatus: status
+    }).catch(error => logger.error('Error saving schedule run', { ...log, error }));
+  }
+}
+
+/**
+ * Perform scheduled sitemap re-sync
+ */
+async function performSitemapSync(sitemapId) {
+  const sitemap = await SitemapModel.findById(sitemapId);
+  if (!sitemap) {
+    return;
+  }
+
+  const log = { sitemapId: sitemap.id, sitemap: sitemap.url };
+
+  try {
+    logger.info('Scheduled sitemap sync started', log);
+    await SitemapService.sync(sitemap);
+    recordResult({ type: 'sitemap', id: sitemap.id, name: sitemap.url, result: 'success' });
   } catch (error) {
-    console.error('❌ Error during scheduled check:', error.message);
+    recordResult({ type: 'sitemap', id: sitemap.id, name: sitemap.url, result: 'failure', error: error.message });
+    logger.error('Error syncing sitemap', { ...log, error });
   }
 }
 
 /**
- * Start the cron scheduler
+ * Next run times (ISO-8601) of a cron expression in a timezone
  */
-function startScheduler() {
-  // Cron expression: '0 9 * * *' = Every day at 9:00 AM
-  // Format: minute hour day month weekday
-  // Timezone: Asia/Kolkata (IST)
-  
-  const cronExpression = '0 9 * * *'; // 9:00 AM daily
-  
+function getNextRuns(cronExpression, timezone, count = 5) {
+  const interval = cronParser.parseExpression(cronExpression, { tz: timezone });
+  const runs = [];
+
+  for (let i = 0; i < count; i++) {
+    runs.push(interval.next().toDate().toISOString());
+  }
+
+  return runs;
+}
+
+/**
+ * Stop the cron task of a schedule
+ */
+function unscheduleTask(scheduleId) {
+  const task = tasks.get(scheduleId);
+  if (task) {
+    task.stop();
+    tasks.delete(scheduleId);
+  }
+}
+
+/**
+ * (Re)create the cron task of a schedule; disabled schedules are only stopped
+ */
+function scheduleTask(schedule) {
+  unscheduleTask(schedule.id);
+
+  if (!schedule.enabled) {
+    return;
+  }
+
   const task = cron.schedule(
-    cronExpression,
-    performScheduledCheck,
+    schedule.cron,
+    () => performScheduledCheck(schedule.id),
     {
       scheduled: true,
-      timezone: 'Asia/Kolkata'
+      timezone: schedule.timezone
     }
   );
 
-  console.log('✅ Scheduler configured:');
-  console.log(`   - Time: 9:00 AM IST (Daily)`);
-  console.log(`   - Cron: ${cronExpression}`);
-  console.log(`   - Timezone: Asia/Kolkata`);
-  console.log('─'.repeat(60));
+  tasks.set(schedule.id, task);
+}
+
+/**
+ * Stop the re-sync task of a sitemap
+ */
+function unscheduleSitemapSync(sitemapId) {
+  unscheduleTask(`sitemap:${sitemapId}`);
+}
+
+/**
+ * (Re)create the re-sync task of a sitemap; sitemaps without a cron
+ * (or disabled) are only stopped
+ */
+function scheduleSitemapSync(sitemap) {
+  unscheduleSitemapSync(sitemap.id);
+
+  if (!sitemap.enabled || !sitemap.cron) {
+    return;
+  }
+
+  const task = cron.schedule(
+    sitemap.cron,
+    () => performSitemapSync(sitemap.id),
+    {
+      scheduled: true,
+      timezone: sitemap.timezone
+    }
+  );
+
+  tasks.set(`sitemap:${sitemap.id}`, task);
+}
+
+/**
+ * Start the cron scheduler
+ */
+async function startScheduler() {
+  try {
+    await configureTasks();
+  } catch (error) {
+    state.startError = error.message;
+    throw error;
+  }
+}
+
+/**
+ * Create the cron tasks of all schedules and sitemaps
+ */
+async function configureTasks() {
+  // Cron format: [second] minute hour day month weekday
+  const schedules = await ScheduleModel.readAll();
+
+  schedules.forEach(schedule => {
+    try {
+      scheduleTask(schedule);
+    } catch (error) {
+      logger.error('Could not schedule check', { scheduleId: schedule.id, schedule: schedule.name, error });
+    }
+  });
+
+  const sitemaps = await SitemapModel.readAll();
+  sitemaps.forEach(sitemap => {
+    try {
+      scheduleSitemapSync(sitemap);
+    } catch (error) {
+      logger.error('Could not schedule sitemap sync', { sitemapId: sitemap.id, sitemap: sitemap.url, error });
+    }
+  });
+
+  state.started = true;
+  logger.info('Scheduler configured', {
+    schedules: schedules
+      .filter(schedule => tasks.has(schedule.id))
+      .map(schedule => ({ id: schedule.id, name: schedule.name, cron: schedule.cron, timezone: schedule.timezone })),
+    inactiveSchedules: schedules.filter(schedule => !tasks.has(schedule.id)).length,
+    sitemapSyncs: sitemaps
+      .filter(sitemap => tasks.has(`sitemap:${sitemap.id}`))
+      .map(sitemap => ({ id: sitemap.id, url: sitemap.url, cron: sitemap.cron, timezone: sitemap.timezone }))
+  });
 
   // Optional: Run check immediately on startup (for testing)
   // Uncomment the line below to run check on server start
-  // setTimeout(performScheduledCheck, 5000); // Run after 5 seconds
-  
-  return task;
+  // setTimeout(() => schedules.forEach(schedule => performScheduledCheck(schedule.id)), 5000);
+}
+
+/**
+ * Scheduler health for /api/health
+ * status: ok | starting | error (startup failed)
+ */
+function getSchedulerStatus() {
+  return {
+    status: state.startError ? 'error' : state.started ? 'ok' : 'starting',
+    activeTasks: tasks.size,
+    lastSuccessAt: state.lastSuccessAt,
+    lastFailureAt: state.lastFailureAt,
+    lastError: state.lastError || state.startError
+  };
 }
 
-module.exports = { startScheduler };
\ No newline at end of file
+module.exports = {
+  startScheduler,
+  getSchedulerStatus,
+  scheduleTask,
+  unscheduleTask,
+  scheduleSitemapSync,
+  unscheduleSitemapSync,
+  getNextRuns,
+  isValidTimezone
+};
@@ -0,0 +1,14 @@
+/**
+ * Indexation statuses a URL can have
+ */
+const STATUSES = [
+  'Pending',
+  'Indexed',
+  'Not Indexed',
+  'Invalid URL',
+  'Blocked by robots.txt',
+  'Blocked (unsafe target)',
+  'Check Failed'
+];
+
+module.exports = { STATUSES };
@@ -0,0 +1,266 @@
+const AlertRuleModel = require('../models/alertRule.model');
+const AlertDeliveryModel = require('../models/alertDelivery.model');
+const AlertService = require('../services/alert.service');
+const { getNotifier, getNotifierTypes } = require('../services/notifiers');
+const { STATUSES } = require('../config/statuses');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+const RULE_TYPES = ['status_change', 'status_count'];
+
+/**
+ * Validate alert rule fields from a request body
+ * With `partial`, missing fields are allowed (PATCH); type-specific fields
+ * are checked against `existing` when the type is not changed
+ * Returns { errors, data }
+ */
+function validateRule(body = {}, { partial = false, existing = {} } = {}) {
+  const errors = [];
+  const data = {};
+
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      errors.push('"name" is required');
+    } else {
+      data.name = body.name.trim();
+    }
+  }
+
+  const type = body.type !== undefined ? body.type : existing.type;
+  if (body.type !== undefined || !partial) {
+    if (!RULE_TYPES.includes(body.type)) {
+      errors.push(`"type" must be one of: ${RULE_TYPES.join(', ')}`);
+    } else {
+      data.type = body.type;
+    }
+  }
+
+  const isStatus = (value, allowAny) => STATUSES.includes(value) || (allowAny && value === '*');
+
+  if (type === 'status_change') {
+    ['from', 'to'].forEach(field => {
+      const value = body[field] !== undefined ? body[field] : existing[field];
+      if (!isStatus(value, true)) {
+        errors.push(`"${field}" must be "*" or one of: ${STATUSES.join(', ')}`);
+      } else if (body[field] !== undefined || !partial) {
+        data[field] = value;
+      }
+    });
+  }
+
+  if (type === 'status_count') {
+    const status = body.status !== undefined ? body.status : existing.status;
+    const threshold = body.threshold !== undefined ? body.threshold : existing.threshold;
+
+    if (!isStatus(status, false)) {
+      errors.push(`"status" must be one of: ${STATUSES.join(', ')}`);
+    } else if (body.status !== undefined || !partial) {
+      data.status = status;
+    }
+
+    if (!Number.isInteger(threshold) || threshold < 0) {
+      errors.push('"threshold" must be a non-negative integer');
+    } else if (body.threshold !== undefined || !partial) {
+      data.threshold = threshold;
+    }
+  }
+
+  if (body.channels !== undefined || !partial) {
+    if (!Array.isArray(body.channels) || body.channels.length === 0) {
+      errors.push(`"channels" must be a non-empty list of { type: ${getNotifierTypes().join(' | ')}, ... }`);
+    } else {
+      body.channels.forEach((channel, index) => {
+        const notifier = getNotifier(channel && channel.type);
+        const error = notifier
+          ? notifier.validate(channel)
+          : `type must be one of: ${getNotifierTypes().join(', ')}`;
+        if (error) {
+          errors.push(`channels[${index}]: ${error}`);
+        }
+      });
+      data.channels = body.channels;
+    }
+  }
+
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== 'boolean') {
+      errors.push('"enabled" must be a boolean');
+    } else {
+      data.enabled = body.enabled;
+    }
+  } else if (!partial) {
+    data.enabled = true;
+  }
+
+  return { errors, data };
+}
+
+class AlertController {
+  /**
+   * Get all alert rules
+   * GET /api/alerts/rules
+   */
+  static async getAllRules(req, res, next) {
+    try {
+      const rules = await AlertRuleModel.readAll();
+
+      res.json({
+        success: true,
+        count: rules.length,
+        data: rules
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a single alert rule
+   * GET /api/alerts/rules/:id
+   */
+  static async getRule(req, res, next) {
+    try {
+      const rule = await AlertRuleModel.findById(req.params.id);
+
+      if (!rule) {
+        throw new NotFoundError(`Alert rule with ID ${req.params.id} not found`);
+      }
+
+      res.json({
+        success: true,
+        data: rule
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Add an alert rule
+   * POST /api/alerts/rules
+   */
+  static async createRule(req, res, next) {
+    try {
+      const { errors, data } = validateRule(req.body);
+
+      if (errors.length > 0) {
+        throw new ValidationError('Invalid alert rule', errors);
+      }
+
+      const rule = await AlertRuleModel.create(data);
+
+      res.status(201).json({
+        success: true,
+        message: 'Alert rule created successfully',
+        data: rule
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Edit an alert rule
+   * PATCH /api/alerts/rules/:id
+   */
+  static async updateRule(req, res, next) {
+    try {
+      const existing = await AlertRuleModel.findById(req.params.id);
+
+      if (!existing) {
+        throw new NotFoundError(`Alert rule with ID ${req.params.id} not found`);
+      }
+
+      const { errors, data } = validateRule(req.body, { partial: true, existing });
+
+      if (errors.length > 0) {
+        throw new ValidationError('Invalid alert rule', errors);
+      }
+
+      const rule = await AlertRuleModel.update(existing.id, data);
+
+      res.json({
+        success: true,
+        message: 'Alert rule updated successfully',
+        data: rule
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete an alert rule
+   * DELETE /api/alerts/rules/:id
+   */
+  static async deleteRule(req, res, next) {
+    try {
+      const rule = await AlertRuleModel.delete(req.params.id);
+
+      if (!rule) {
+        throw new NotFoundError(`Alert rule with ID ${req.params.id} not found`);
+      }
+
+      res.json({
+        success: true,
+        message: 'Alert rule deleted successfully',
+        data: rule
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Send a test alert through the rule's channels
+   * POST /api/alerts/rules/:id/test
+   */
+  static async testRule(req, res, next) {
+    try {
+      const rule = await AlertRuleModel.findById(req.params.id);
+
+      if (!rule) {
+        throw new NotFoundError(`Alert rule with ID ${req.params.id} not found`);
+      }
+
+      const deliveries = await AlertService.sendTest(rule);
+
+      res.json({
+        success: deliveries.every(delivery => delivery.status === 'sent'),
+        data: deliveries
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the alert delivery log (newest first)
+   * GET /api/alerts/deliveries?ruleId=&status=&limit=
+   */
+  static async getDeliveries(req, res, next) {
+    try {
+      let deliveries = (await AlertDeliveryModel.readAll()).reverse();
+
+      if (req.query.ruleId) {
+        deliveries = deliveries.filter(delivery => delivery.ruleId === req.query.ruleId);
+      }
+      if (req.query.status) {
+        deliveries = deliveries.filter(delivery => delivery.status === req.query.status);
+      }
+
+      const limit = parseInt(req.query.limit, 10);
+      const data = limit > 0 ? deliveries.slice(0, limit) : deliveries;
+
+      res.json({
+        success: true,
+        count: data.length,
+        total: deliveries.length,
+        data
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = AlertController;
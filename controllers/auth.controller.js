@@ -0,0 +1,215 @@
+const ApiKeyModel = require('../models/apiKey.model');
+const AuthService = require('../services/auth.service');
+const { ROLES, hasRole } = require('../config/roles');
+const { isValidTimezone } = require('../utils/date.utils');
+const { AppError, ValidationError, NotFoundError } = require('../utils/errors');
+
+/**
+ * Validate API key fields from a request body
+ * With `partial`, missing fields are allowed (PATCH)
+ * Returns { errors, data }
+ */
+function validateKey(body = {}, { partial = false } = {}) {
+  const errors = [];
+  const data = {};
+
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      errors.push('"name" is required');
+    } else {
+      data.name = body.name.trim();
+    }
+  }
+
+  if (body.role !== undefined || !partial) {
+    if (!ROLES.includes(body.role)) {
+      errors.push(`"role" must be one of: ${ROLES.join(', ')}`);
+    } else {
+      data.role = body.role;
+    }
+  }
+
+  if (body.timezone !== undefined) {
+    if (body.timezone !== null && (typeof body.timezone !== 'string' || !isValidTimezone(body.timezone))) {
+      errors.push('"timezone" must be an IANA timezone (e.g. "Europe/London") or null');
+    } else {
+      data.timezone = body.timezone;
+    }
+  }
+
+  return { errors, data };
+}
+
+class AuthController {
+  /**
+   * Who the caller is authenticated as
+   * GET /api/auth/me
+   */
+  static async getMe(req, res, next) {
+    try {
+      res.json({
+        success: true,
+        data: { ...req.auth, authEnabled: AuthService.isEnabled() }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Change the caller's own settings: { "timezone": "Europe/London" }
+   * (null goes back to UTC). Timestamps in responses are then shown in that
+   * timezone unless a request sets "?tz="
+   * PATCH /api/auth/me
+   */
+  static async updateMe(req, res, next) {
+    try {
+      const { errors, data } = validateKey({ timezone: req.body && req.body.timezone }, { partial: true });
+
+      if (errors.length > 0 || data.timezone === undefined) {
+        throw new ValidationError('Invalid settings', errors.length > 0 ? errors : ['"timezone" is required']);
+      }
+
+      if (!req.auth.keyId) {
+        throw new AppError('Settings are stored per API key; this credential has none (e.g. ADMIN_API_KEY or auth disabled)', {
+          code: 'SETTINGS_UNAVAILABLE'
+        });
+      }
+
+      await ApiKeyModel.update(req.auth.keyId, { timezone: data.timezone });
+      req.auth.timezone = data.timezone;
+
+      res.json({
+        success: true,
+        message: 'Settings updated',
+        data: { ...req.auth, authEnabled: AuthService.isEnabled() }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Exchange the caller's credential for a JWT
+   * POST /api/auth/token
+   * Body (optional): { "role": "viewer" } - a lower role than the caller's
+   */
+  static async createToken(req, res, next) {
+    try {
+      const role = req.body && req.body.role !== undefined ? req.body.role : req.auth.role;
+
+      if (!ROLES.includes(role) || !hasRole(req.auth.role, role)) {
+        throw new ValidationError('Invalid token request', [`"role" must be one of: ${ROLES.filter(r => hasRole(req.auth.role, r)).join(', ')}`]);
+      }
+
+      const { token, expiresAt } = AuthService.issueToken({
+        subject: req.auth.name,
+        role,
+        keyId: req.auth.keyId
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Token issued',
+        data: { token, role, expiresAt }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get all API keys (without their values)
+   * GET /api/auth/keys
+   */
+  static async getAllKeys(req, res, next) {
+    try {
+      const keys = await ApiKeyModel.readAll();
+
+      res.json({
+        success: true,
+        count: keys.length,
+        data: keys.map(AuthService.serializeKey)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create an API key; its value is only returned here
+   * POST /api/auth/keys
+   * Body: { "name": "CI", "role": "editor" }
+   */
+  static async createKey(req, res, next) {
+    try {
+      const { errors, data } = validateKey(req.body);
+
+      if (errors.length > 0) {
+        throw new ValidationError('Invalid API key', errors);
+      }
+
+      const { key, value } = await AuthService.createKey(data);
+
+      res.status(201).json({
+        success: true,
+        message: 'API key created. Store it now: it will not be shown again.',
+        data: { ...AuthService.serializeKey(key), key: value }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Rename an API key, change its role or timezone
+   * PATCH /api/auth/keys/:id
+   */
+  static async updateKey(req, res, next) {
+    try {
+      const { errors, data } = validateKey(req.body, { partial: true });
+
+      if (errors.length > 0) {
+        throw new ValidationError('Invalid API key', errors);
+      }
+
+      const key = await ApiKeyModel.update(req.params.id, data);
+
+      if (!key) {
+        throw new NotFoundError(`API key with ID ${req.params.id} not found`);
+      }
+
+      res.json({
+        success: true,
+        message: 'API key updated successfully',
+        data: AuthService.serializeKey(key)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Revoke an API key (and the JWTs issued for it)
+   * DELETE /api/auth/keys/:id
+   */
+  static async deleteKey(req, res, next) {
+    try {
+      const key = await ApiKeyModel.delete(req.params.id);
+
+      if (!key) {
+        throw new NotFoundError(`API key with ID ${req.params.id} not found`);
+      }
+
+      res.json({
+        success: true,
+        message: 'API key revoked',
+        data: AuthService.serializeKey(key)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = AuthController;
@@ -0,0 +1,27 @@
+const OpenAPIService = require('../services/openapi.service');
+
+// Built on first request: the routers are all set up by then
+let document = null;
+
+class DocsController {
+  /**
+   * OpenAPI document of the API
+   * GET /api/docs
+   */
+  static async getDocs(req, res, next) {
+    try {
+      if (!document) {
+        // Required here: the system routes serve this controller
+        const { apiRoutes } = require('../routes');
+        const systemRoutes = require('../routes/system.routes');
+        document = OpenAPIService.build([...apiRoutes, { path: '', router: systemRoutes, tag: 'System' }]);
+      }
+
+      res.json(document);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = DocsController;
@@ -0,0 +1,56 @@
+const { getStoreDriver, openStore } = require('../models/stores');
+const { getSchedulerStatus } = require('../config/scheduler');
+const MetricsService = require('../services/metrics.service');
+
+class HealthController {
+  /**
+   * API, storage and scheduler health
+   * GET /api/health
+   * Responds 503 when storage or the scheduler is unhealthy
+   */
+  static async getHealth(req, res, next) {
+    try {
+      const storage = { driver: getStoreDriver(), status: 'ok' };
+      const startedAt = Date.now();
+
+      try {
+        const { store } = await openStore();
+        await store.ping();
+      } catch (error) {
+        storage.status = 'error';
+        storage.error = error.message;
+      }
+      storage.latencyMs = Date.now() - startedAt;
+
+      const scheduler = getSchedulerStatus();
+      const healthy = storage.status === 'ok' && scheduler.status !== 'error';
+
+      res.status(healthy ? 200 : 503).json({
+        status: healthy ? 'ok' : 'degraded',
+        message: healthy ? 'URL Indexation Checker API is running' : 'URL Indexation Checker API is degraded',
+        timestamp: new Date().toISOString(),
+        uptimeSeconds: Math.round(process.uptime()),
+        storage,
+        scheduler
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Prometheus metrics
+   * GET /metrics
+   */
+  static async getMetrics(req, res, next) {
+    try {
+      const metrics = await MetricsService.getMetrics();
+      res.set('Content-Type', MetricsService.contentType);
+      res.send(metrics);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = HealthController;
@@ -0,0 +1,71 @@
+const JobService = require('../services/job.service');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+
+class JobController {
+  /**
+   * Get all check jobs (newest first, without per-URL results)
+   * GET /api/jobs
+   */
+  static async getAllJobs(req, res, next) {
+    try {
+      const jobs = JobService.list().map(job => JobService.serialize(job, { includeResults: false }));
+
+      res.json({
+        success: true,
+        count: jobs.length,
+        data: jobs
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get progress, ETA and per-URL results of a job
+   * GET /api/jobs/:id
+   */
+  static async getJob(req, res, next) {
+    try {
+      const job = JobService.findById(req.params.id);
+
+      if (!job) {
+        throw new NotFoundError(`Job with ID ${req.params.id} not found`);
+      }
+
+      res.json({
+        success: true,
+        data: JobService.serialize(job)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Cancel a running job
+   * DELETE /api/jobs/:id
+   */
+  static async cancelJob(req, res, next) {
+    try {
+      const job = JobService.cancel(req.params.id);
+
+      if (!job) {
+        throw new NotFoundError(`Job with ID ${req.params.id} not found`);
+      }
+
+      if (job.finishedAt) {
+        throw new ConflictError(`Job already ${job.status}`);
+      }
+
+      res.status(202).json({
+        success: true,
+        message: 'Cancellation requested. Results checked so far will be saved.',
+        data: JobService.serialize(job, { includeResults: false })
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = JobController;
@@ -0,0 +1,213 @@
+const ProjectModel = require('../models/project.model');
+const URLModel = require('../models/url.model');
+const ScheduleModel = require('../models/schedule.model');
+const SitemapModel = require('../models/sitemap.model');
+const { unscheduleTask, unscheduleSitemapSync } = require('../config/scheduler');
+const { DEFAULT_PROJECT_ID } = require('../config/projects');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+/**
+ * Validate project fields from a request body
+ * With `partial`, missing fields are allowed (PATCH)
+ * Returns { errors, data }
+ */
+function validateProject(body = {}, { partial = false } = {}) {
+  const errors = [];
+  const data = {};
+
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      errors.push('"name" is required');
+    } else {
+      data.name = body.name.trim();
+    }
+  }
+
+  if (body.domain !== undefined && body.domain !== null && body.domain !== '') {
+    if (typeof body.domain !== 'string' || !/^[a-z0-9.-]+\.[a-z]{2,}$/i.test(body.domain.trim())) {
+      errors.push('"domain" must be a host name (e.g. "example.com")');
+    } else {
+      data.domain = body.domain.trim().toLowerCase();
+    }
+  } else if (body.domain !== undefined || !partial) {
+    data.domain = null;
+  }
+
+  return { errors, data };
+}
+
+/**
+ * Add URL counts per status to projects
+ */
+async function withStats(projects) {
+  const urls = await URLModel.readAllURLs();
+
+  return projects.map(project => {
+    const projectUrls = urls.filter(urlData => urlData.projectId === project.id);
+    return {
+      ...project,
+      urlCount: projectUrls.length,
+      statusCounts: projectUrls.reduce((counts, urlData) => {
+        counts[urlData.status] = (counts[urlData.status] || 0) + 1;
+        return counts;
+      }, {})
+    };
+  });
+}
+
+class ProjectController {
+  /**
+   * Reject requests for unknown projects (used before nested routes)
+   */
+  static async requireProject(req, res, next) {
+    try {
+      const project = await ProjectModel.findById(req.params.projectId);
+
+      if (!project) {
+        throw new NotFoundError(`Project with ID ${req.params.projectId} not found`);
+      }
+
+      req.project = project;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get all projects with URL counts
+   * GET /api/projects
+   */
+  static async getAllProjects(req, res, next) {
+    try {
+      const projects = await ProjectModel.readAll();
+
+      res.json({
+        success: true,
+        count: projects.length,
+        data: await withStats(projects)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a single project
+   * GET /api/projects/:projectId
+   */
+  static async getProject(req, res, next) {
+    try {
+      const project = await ProjectModel.findById(req.params.projectId);
+
+      if (!project) {
+        throw new NotFoundError(`Project with ID ${req.params.projectId} not found`);
+      }
+
+      const [data] = await withStats([project]);
+
+      res.json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Add a project
+   * POST /api/projects
+   */
+  static async createProject(req, res, next) {
+    try {
+      const { errors, data } = validateProject(req.body);
+
+      if (errors.length > 0) {
+        throw new ValidationError('Invalid project', errors);
+      }
+
+      const project = await ProjectModel.create(data);
+
+      res.status(201).json({
+        success: true,
+        message: 'Project created successfully',
+        data: project
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Edit a project
+   * PATCH /api/projects/:projectId
+   */
+  static async updateProject(req, res, next) {
+    try {
+      const { errors, data } = validateProject(req.body, { partial: true });
+
+      if (errors.length > 0) {
+        throw new ValidationError('Invalid project', errors);
+      }
+
+      const project = await ProjectModel.update(req.params.projectId, data);
+
+      if (!project) {
+        throw new NotFoundError(`Project with ID ${req.params.projectId} not found`);
+      }
+
+      res.json({
+        success: true,
+        message: 'Project updated successfully',
+        data: project
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete a project with its URLs, schedules and sitemaps
+   * (check history and runs are kept)
+   * DELETE /api/projects/:projectId
+   */
+  static async deleteProject(req, res, next) {
+    try {
+      if (req.params.projectId === DEFAULT_PROJECT_ID) {
+        throw new ValidationError('The default project cannot be deleted');
+      }
+
+      const project = await ProjectModel.delete(req.params.projectId);
+
+      if (!project) {
+        throw new NotFoundError(`Project with ID ${req.params.projectId} not found`);
+      }
+
+      const urlsDeleted = await URLModel.deleteProjectURLs(project.id);
+
+      const schedules = (await ScheduleModel.readAll())
+        .filter(schedule => schedule.target && schedule.target.type === 'project' && schedule.target.value === project.id);
+      for (const schedule of schedules) {
+        await ScheduleModel.delete(schedule.id);
+        unscheduleTask(schedule.id);
+      }
+
+      const sitemaps = (await SitemapModel.readAll()).filter(sitemap => sitemap.projectId === project.id);
+      for (const sitemap of sitemaps) {
+        await SitemapModel.delete(sitemap.id);
+        unscheduleSitemapSync(sitemap.id);
+      }
+
+      res.json({
+        success: true,
+        message: `Project deleted with ${urlsDeleted} URLs, ${schedules.length} schedules and ${sitemaps.length} sitemaps`,
+        data: project
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = ProjectController;
@@ -0,0 +1,58 @@
+const RunModel = require('../models/run.model');
+const HistoryModel = require('../models/history.model');
+const { NotFoundError } = require('../utils/errors');
+
+class RunController {
+  /**
+   * Get all check runs (newest first)
+   * GET /api/runs?limit=20&projectId=
+   * GET /api/projects/:projectId/runs?limit=20
+   */
+  static async getAllRuns(req, res, next) {
+    try {
+      const projectId = req.params.projectId || req.query.projectId;
+      const runs = (await RunModel.readAll())
+        .filter(run => !projectId || run.projectId === projectId)
+        .reverse();
+      const limit = parseInt(req.query.limit, 10);
+      const data = limit > 0 ? runs.slice(0, limit) : runs;
+
+      res.json({
+        success: true,
+        count: data.length,
+        total: runs.length,
+        data
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a single run with its per-URL results
+   * GET /api/runs/:id
+   */
+  static async getRun(req, res, next) {
+    try {
+      const run = await RunModel.findById(req.params.id);
+
+      if (!run) {
+        throw new NotFoundError(`Run with ID ${req.params.id} not found`);
+      }
+
+      const results = await HistoryModel.findByRunId(run.id);
+
+      res.json({
+        success: true,
+        data: {
+          ...run,
+          results
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = RunController;
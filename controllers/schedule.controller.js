@@ -0,0 +1,256 @@
+const cron = require('node-cron');
+const ScheduleModel = require('../models/schedule.model');
+const ProjectModel = require('../models/project.model');
+const { listProviders } = require('../services/providers');
+const { normalizeTag } = require('../utils/metadata.utils');
+const { scheduleTask, unscheduleTask, getNextRuns, isValidTimezone } = require('../config/scheduler');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+const TARGET_TYPES = ['all', 'tag', 'project'];
+
+/**
+ * Validate schedule fields from a request body
+ * With `partial`, missing fields are allowed (PATCH)
+ * Returns { errors, data }
+ */
+function validateSchedule(body = {}, { partial = false } = {}) {
+  const errors = [];
+  const data = {};
+
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      errors.push('"name" is required');
+    } else {
+      data.name = body.name.trim();
+    }
+  }
+
+  if (body.cron !== undefined || !partial) {
+    if (typeof body.cron !== 'string' || !cron.validate(body.cron.trim())) {
+      errors.push('"cron" must be a valid cron expression (e.g. "0 9 * * *")');
+    } else {
+      data.cron = body.cron.trim();
+    }
+  }
+
+  if (body.timezone !== undefined) {
+    if (typeof body.timezone !== 'string' || !isValidTimezone(body.timezone)) {
+      errors.push('"timezone" must be an IANA timezone (e.g. "Europe/London")');
+    } else {
+      data.timezone = body.timezone;
+    }
+  } else if (!partial) {
+    data.timezone = 'UTC';
+  }
+
+  if (body.target !== undefined) {
+    const target = body.target || {};
+    if (!TARGET_TYPES.includes(target.type)) {
+      errors.push(`"target.type" must be one of: ${TARGET_TYPES.join(', ')}`);
+    } else if (target.type !== 'all' && (typeof target.value !== 'string' || !target.value.trim())) {
+      errors.push(`"target.value" is required for target type "${target.type}"`);
+    } else {
+      data.target = target.type === 'all'
+        ? { type: 'all' }
+        : { type: target.type, value: target.type === 'tag' ? normalizeTag(target.value) : target.value.trim() };
+    }
+  } else if (!partial) {
+    data.target = { type: 'all' };
+  }
+
+  if (body.provider !== undefined && body.provider !== '') {
+    const providerIds = listProviders().map(provider => provider.id);
+    if (!providerIds.includes(body.provider)) {
+      errors.push(`"provider" must be one of: ${providerIds.join(', ')}`);
+    } else {
+      data.provider = body.provider;
+    }
+  } else if (body.provider === '' || !partial) {
+    // Empty = use the default provider at run time
+    data.provider = '';
+  }
+
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== 'boolean') {
+      errors.push('"enabled" must be a boolean');
+    } else {
+      data.enabled = body.enabled;
+    }
+  } else if (!partial) {
+    data.enabled = true;
+  }
+
+  return { errors, data };
+}
+
+/**
+ * Whether a schedule targets a project
+ */
+function targetsProject(schedule, projectId) {
+  return Boolean(schedule.target) && schedule.target.type === 'project' && schedule.target.value === projectId;
+}
+
+/**
+ * Error message when a project target points to an unknown project
+ */
+async function checkTargetProject(target) {
+  if (target && target.type === 'project' && !(await ProjectModel.findById(target.value))) {
+    return `"target.value" must be an existing project ID (${target.value} not found)`;
+  }
+  return null;
+}
+
+/**
+ * Add upcoming run times to a schedule
+ */
+function withNextRuns(schedule) {
+  let nextRuns = [];
+
+  if (schedule.enabled) {
+    try {
+      nextRuns = getNextRuns(schedule.cron, schedule.timezone);
+    } catch (error) {
+      nextRuns = [];
+    }
+  }
+
+  return { ...schedule, nextRuns };
+}
+
+class ScheduleController {
+  /**
+   * Get all schedules with their next run times
+   * GET /api/schedules
+   * GET /api/projects/:projectId/schedules - only those targeting the project
+   */
+  static async getAllSchedules(req, res, next) {
+    try {
+      const { projectId } = req.params;
+      const schedules = (await ScheduleModel.readAll())
+        .filter(schedule => !projectId || targetsProject(schedule, projectId));
+
+      res.json({
+        success: true,
+        count: schedules.length,
+        data: schedules.map(withNextRuns)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a single schedule
+   * GET /api/schedules/:id
+   */
+  static async getSchedule(req, res, next) {
+    try {
+      const schedule = await ScheduleModel.findById(req.params.id);
+
+      if (!schedule) {
+        throw new NotFoundError(`Schedule with ID ${req.params.id} not found`);
+      }
+
+      res.json({
+        success: true,
+        data: withNextRuns(schedule)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Add a schedule
+   * POST /api/schedules
+   * POST /api/projects/:projectId/schedules - target is set to the project
+   */
+  static async createSchedule(req, res, next) {
+    try {
+      const { projectId } = req.params;
+      const body = projectId ? { ...req.body, target: { type: 'project', value: projectId } } : req.body;
+      const { errors, data } = validateSchedule(body);
+
+      const targetError = await checkTargetProject(data.target);
+      if (targetError) {
+        errors.push(targetError);
+      }
+
+      if (errors.length > 0) {
+        throw new ValidationError('Invalid schedule', errors);
+      }
+
+      const schedule = await ScheduleModel.create(data);
+      scheduleTask(schedule);
+
+      res.status(201).json({
+        success: true,
+        message: 'Schedule created successfully',
+        data: withNextRuns(schedule)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Edit a schedule
+   * PATCH /api/schedules/:id
+   */
+  static async updateSchedule(req, res, next) {
+    try {
+      const { errors, data } = validateSchedule(req.body, { partial: true });
+
+      const targetError = await checkTargetProject(data.target);
+      if (targetError) {
+        errors.push(targetError);
+      }
+
+      if (errors.length > 0) {
+        throw new ValidationError('Invalid schedule', errors);
+      }
+
+      const schedule = await ScheduleModel.update(req.params.id, data);
+
+      if (!schedule) {
+        throw new NotFoundError(`Schedule with ID ${req.params.id} not found`);
+      }
+
+      scheduleTask(schedule);
+
+      res.json({
+        success: true,
+        message: 'Schedule updated successfully',
+        data: withNextRuns(schedule)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete a schedule
+   * DELETE /api/schedules/:id
+   */
+  static async deleteSchedule(req, res, next) {
+    try {
+      const schedule = await ScheduleModel.delete(req.params.id);
+
+      if (!schedule) {
+        throw new NotFoundError(`Schedule with ID ${req.params.id} not found`);
+      }
+
+      unscheduleTask(schedule.id);
+
+      res.json({
+        success: true,
+        message: 'Schedule deleted successfully',
+        data: schedule
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = ScheduleController;
@@ -0,0 +1,395 @@
+const cron = require('node-cron');
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const SitemapModel = require('../models/sitemap.model');
+const ProjectModel = require('../models/project.model');
+const SitemapService = require('../services/sitemap.service');
+const IndexationService = require('../services/indexation.service');
+const { scheduleSitemapSync, unscheduleSitemapSync, getNextRuns, isValidTimezone } = require('../config/scheduler');
+const { normalizeURL } = require('../utils/url.utils');
+const { DEFAULT_PROJECT_ID } = require('../config/projects');
+const { AppError, ValidationError, NotFoundError, ConflictError, fromMulterError } = require('../utils/errors');
+
+// 50MB limit (sitemap protocol maximum)
+const MAX_SITEMAP_FILE_BYTES = 50 * 1024 * 1024;
+
+// Configure multer for sitemap file upload (.xml or .xml.gz)
+const storage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    const uploadDir = path.join(__dirname, '../uploads');
+    if (!fs.existsSync(uploadDir)) {
+      fs.mkdirSync(uploadDir, { recursive: true });
+    }
+    cb(null, uploadDir);
+  },
+  filename: function (req, file, cb) {
+    cb(null, 'uploaded-sitemap-' + Date.now() + path.extname(file.originalname));
+  }
+});
+
+const upload = multer({
+  storage: storage,
+  fileFilter: function (req, file, cb) {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (ext !== '.xml' && ext !== '.gz') {
+      return cb(new AppError('Only XML or gzipped XML sitemap files are allowed', { code: 'UPLOAD_INVALID_TYPE' }));
+    }
+    cb(null, true);
+  },
+  limits: {
+    fileSize: MAX_SITEMAP_FILE_BYTES
+  }
+});
+
+/**
+ * Read a boolean from JSON or a multipart form field ("true"/"false")
+ */
+function parseBoolean(value) {
+  if (value === 'true') {
+    return true;
+  }
+  if (value === 'false') {
+    return false;
+  }
+  return value;
+}
+
+/**
+ * Validate sitemap fields from a request body
+ * With `partial`, missing fields are allowed (PATCH)
+ * `url` is only read when `withURL` is set (uploaded files have none)
+ * Returns { errors, data }
+ */
+function validateSitemap(body = {}, { partial = false, withURL = false } = {}) {
+  const errors = [];
+  const data = {};
+
+  if (withURL) {
+    if (typeof body.url !== 'string' || !IndexationService.isValidURL(body.url.trim())) {
+      errors.push('"url" must be a valid http(s) URL');
+    } else {
+      data.url = body.url.trim();
+    }
+  }
+
+  if (!partial) {
+    // Project to import into; can't change later
+    if (body.projectId !== undefined && (typeof body.projectId !== 'string' || !body.projectId.trim())) {
+      errors.push('"projectId" must be a project ID');
+    } else {
+      data.projectId = body.projectId ? body.projectId.trim() : DEFAULT_PROJECT_ID;
+    }
+  }
+
+  if (body.cron !== undefined && body.cron !== '' && body.cron !== null) {
+    if (typeof body.cron !== 'string' || !cron.validate(body.cron.trim())) {
+      errors.push('"cron" must be a valid cron expression (e.g. "0 6 * * *")');
+    } else {
+      data.cron = body.cron.trim();
+    }
+  } else if (body.cron !== undefined || !partial) {
+    // No cron = only synced on demand
+    data.cron = null;
+  }
+
+  if (body.timezone !== undefined) {
+    if (typeof body.timezone !== 'string' || !isValidTimezone(body.timezone)) {
+      errors.push('"timezone" must be an IANA timezone (e.g. "Europe/London")');
+    } else {
+      data.timezone = body.timezone;
+    }
+  } else if (!partial) {
+    data.timezone = 'UTC';
+  }
+
+  ['enabled', 'prune'].forEach(field => {
+    const value = parseBoolean(body[field]);
+    if (value !== undefined) {
+      if (typeof value !== 'boolean') {
+        errors.push(`"${field}" must be a boolean`);
+      } else {
+        data[field] = value;
+      }
+    } else if (!partial) {
+      data[field] = field === 'enabled';
+    }
+  });
+
+  return { errors, data };
+}
+
+/**
+ * Public form of a sitemap: URL count instead of the full entry list,
+ * plus upcoming sync times
+ */
+function serialize(sitemap) {
+  const { entries, ...rest } = sitemap;
+  let nextSyncs = [];
+
+  if (sitemap.enabled && sitemap.cron) {
+    try {
+      nextSyncs = getNextRuns(sitemap.cron, sitemap.timezone);
+    } catch (error) {
+      nextSyncs = [];
+    }
+  }
+
+  return { ...rest, urlCount: (entries || []).length, nextSyncs };
+}
+
+/**
+ * Read and remove an uploaded sitemap file
+ */
+async function readUpload(file) {
+  try {
+    return await SitemapService.decode(await fs.promises.readFile(file.path));
+  } finally {
+    fs.unlinkSync(file.path);
+  }
+}
+
+class SitemapController {
+  /**
+   * Get multer upload middleware
+   */
+  static getUploadMiddleware() {
+    const single = upload.single('sitemapFile');
+    return (req, res, next) => single(req, res, error => next(error && fromMulterError(error, {
+      fieldName: 'sitemapFile',
+      maxFileBytes: MAX_SITEMAP_FILE_BYTES
+    })));
+  }
+
+  /**
+   * Get all sitemaps
+   * GET /api/sitemaps
+   */
+  static async getAllSitemaps(req, res, next) {
+    try {
+      const sitemaps = await SitemapModel.readAll();
+
+      res.json({
+        success: true,
+        count: sitemaps.length,
+        data: sitemaps.map(serialize)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a single sitemap
+   * GET /api/sitemaps/:id
+   */
+  static async getSitemap(req, res, next) {
+    try {
+      const sitemap = await SitemapModel.findById(req.params.id);
+
+      if (!sitemap) {
+        throw new NotFoundError(`Sitemap with ID ${req.params.id} not found`);
+      }
+
+      res.json({
+        success: true,
+        data: serialize(sitemap)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Import a sitemap (or sitemap index) from a URL or an uploaded file
+   * POST /api/sitemaps
+   * JSON/form fields: url, projectId, cron, timezone, enabled, prune - or a `sitemapFile` upload
+   */
+  static async createSitemap(req, res, next) {
+    try {
+      const { errors, data } = validateSitemap(req.body, { withURL: !req.file });
+
+      if (req.file && data.cron) {
+        errors.push('"cron" is only supported for sitemaps imported from a URL');
+      }
+
+      if (data.projectId && !(await ProjectModel.findById(data.projectId))) {
+        errors.push(`"projectId" must be an existing project ID (${data.projectId} not found)`);
+      }
+
+      if (errors.length > 0) {
+        if (req.file) {
+          fs.unlinkSync(req.file.path);
+        }
+        throw new ValidationError('Invalid sitemap', errors);
+      }
+
+      if (data.url) {
+        const sitemaps = await SitemapModel.readAll();
+        const duplicate = sitemaps.find(sitemap => sitemap.url && normalizeURL(sitemap.url) === normalizeURL(data.url));
+        if (duplicate) {
+          throw new ConflictError(`Sitemap already imported (ID ${duplicate.id})`);
+        }
+      }
+
+      const content = req.file ? await readUpload(req.file) : undefined;
+      // Parse before saving so an invalid file leaves nothing behind
+      if (content !== undefined) {
+        SitemapService.parse(content);
+      }
+
+      const sitemap = await SitemapModel.create({
+        source: req.file ? 'file' : 'url',
+        url: data.url || null,
+        fileName: req.file ? req.file.originalname : null,
+        ...data,
+        entries: [],
+        lastSyncedAt: null,
+        lastSync: null
+      });
+
+      let result;
+      try {
+        result = await SitemapService.sync(sitemap, { content });
+      } catch (error) {
+        // Nothing was imported: don't keep a sitemap that never synced
+        await SitemapModel.delete(sitemap.id);
+        throw error;
+      }
+
+      scheduleSitemapSync(result.sitemap);
+
+      res.status(201).json({
+        success: true,
+        message: `Sitemap imported: ${result.report.total} URLs, ${result.report.imported} new`,
+        report: result.report,
+        data: serialize(result.sitemap)
+      });
+    } catch (error) {
+      if (req.file && fs.existsSync(req.file.path)) {
+        fs.unlinkSync(req.file.path);
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Edit a sitemap's sync settings
+   * PATCH /api/sitemaps/:id
+   */
+  static async updateSitemap(req, res, next) {
+    try {
+      const { errors, data } = validateSitemap(req.body, { partial: true });
+      const existing = await SitemapModel.findById(req.params.id);
+
+      if (!existing) {
+        throw new NotFoundError(`Sitemap with ID ${req.params.id} not found`);
+      }
+
+      if (existing.source === 'file' && data.cron) {
+        errors.push('"cron" is only supported for sitemaps imported from a URL');
+      }
+
+      if (errors.length > 0) {
+        throw new ValidationError('Invalid sitemap', errors);
+      }
+
+      const sitemap = await SitemapModel.update(req.params.id, data);
+      scheduleSitemapSync(sitemap);
+
+      res.json({
+        success: true,
+        message: 'Sitemap updated successfully',
+        data: serialize(sitemap)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete a sitemap (its URLs stay in the URL list)
+   * DELETE /api/sitemaps/:id
+   */
+  static async deleteSitemap(req, res, next) {
+    try {
+      const sitemap = await SitemapModel.delete(req.params.id);
+
+      if (!sitemap) {
+        throw new NotFoundError(`Sitemap with ID ${req.params.id} not found`);
+      }
+
+      unscheduleSitemapSync(sitemap.id);
+
+      res.json({
+        success: true,
+        message: 'Sitemap deleted successfully',
+        data: serialize(sitemap)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Re-sync a sitemap now and report added/removed URLs
+   * POST /api/sitemaps/:id/sync
+   * Sitemaps imported from a file need the new file as `sitemapFile`
+   */
+  static async syncSitemap(req, res, next) {
+    try {
+      const sitemap = await SitemapModel.findById(req.params.id);
+
+      if (!sitemap) {
+        if (req.file) {
+          fs.unlinkSync(req.file.path);
+        }
+        throw new NotFoundError(`Sitemap with ID ${req.params.id} not found`);
+      }
+
+      if (sitemap.source === 'file' && !req.file) {
+        throw new AppError('This sitemap was uploaded as a file. Upload the new version as "sitemapFile" to re-sync it.', {
+          code: 'UPLOAD_MISSING_FILE'
+        });
+      }
+
+      const content = req.file ? await readUpload(req.file) : undefined;
+      const { sitemap: updated, report } = await SitemapService.sync(sitemap, { content });
+
+      res.json({
+        success: true,
+        message: `Sitemap synced: ${report.added} added, ${report.removed} removed`,
+        report,
+        data: serialize(updated)
+      });
+    } catch (error) {
+      if (req.file && fs.existsSync(req.file.path)) {
+        fs.unlinkSync(req.file.path);
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Coverage report: sitemap URLs against their indexation status
+   * GET /api/sitemaps/:id/coverage
+   */
+  static async getCoverage(req, res, next) {
+    try {
+      const sitemap = await SitemapModel.findById(req.params.id);
+
+      if (!sitemap) {
+        throw new NotFoundError(`Sitemap with ID ${req.params.id} not found`);
+      }
+
+      res.json({
+        success: true,
+        data: await SitemapService.getCoverage(sitemap)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = SitemapController;
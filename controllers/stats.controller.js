@@ -0,0 +1,35 @@
+const ProjectModel = require('../models/project.model');
+const TrendsService = require('../services/trends.service');
+const { ValidationError } = require('../utils/errors');
+
+class StatsController {
+  /**
+   * Indexation trends: status counts over time, status changes,
+   * time-to-index and per-host breakdown
+   * GET /api/stats/trends?from=&to=&interval=day|week&projectId=
+   * GET /api/projects/:projectId/stats/trends?from=&to=&interval=
+   */
+  static async getTrends(req, res, next) {
+    try {
+      const { errors, options } = TrendsService.parse(req.query);
+      const projectId = req.params.projectId || req.query.projectId;
+
+      if (projectId && !req.params.projectId && !(await ProjectModel.findById(projectId))) {
+        errors.push(`"projectId" must be an existing project ID (${projectId} not found)`);
+      }
+
+      if (errors.length > 0) {
+        throw new ValidationError('Invalid query', errors);
+      }
+
+      res.json({
+        success: true,
+        data: await TrendsService.getTrends({ ...options, projectId })
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = StatsController;
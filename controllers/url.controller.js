@@ -1,11 +1,25 @@
 const URLModel = require('../models/url.model');
+const HistoryModel = require('../models/history.model');
+const SubmissionModel = require('../models/submission.model');
 const IndexationService = require('../services/indexation.service');
+const JobService = require('../services/job.service');
+const IndexingService = require('../services/indexing.service');
+const URLQueryService = require('../services/urlQuery.service');
+const ExportService = require('../services/export.service');
+const URLImportService = require('../services/urlImport.service');
+const checkEvents = require('../services/events.service');
+const { getProvider, listProviders } = require('../services/providers');
+const { DEFAULT_PROJECT_ID } = require('../config/projects');
+const { splitTags, validateTags, validateFields } = require('../utils/metadata.utils');
+const { localizeTimestamps } = require('../utils/date.utils');
+const { getTimezone } = require('../middleware/timezone');
+const logger = require('../utils/logger');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const csv = require('csv-parser');
+const { AppError, ValidationError, NotFoundError, fromMulterError } = require('../utils/errors');
 
-// Configure multer for CSV file upload
+// Configure multer for URL list upload (.csv, .tsv or .txt)
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
     const uploadDir = path.join(__dirname, '../uploads');
@@ -15,104 +29,185 @@ const storage = multer.diskStorage({
     cb(null, uploadDir);
   },
   filename: function (req, file, cb) {
-    cb(null, 'uploaded-urls-' + Date.now() + '.csv');
+    cb(null, 'uploaded-urls-' + Date.now() + path.extname(file.originalname).toLowerCase());
   }
 });
 
 const upload = multer({
   storage: storage,
   fileFilter: function (req, file, cb) {
-    const ext = path.extname(file.originalname);
-    if (ext !== '.csv') {
-      return cb(new Error('Only CSV files are allowed'));
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (!URLImportService.FILE_TYPES.includes(ext)) {
+      return cb(new AppError(`Only ${URLImportService.FILE_TYPES.join(', ')} files are allowed`, { code: 'UPLOAD_INVALID_TYPE' }));
     }
     cb(null, true);
   },
   limits: {
-    fileSize: 5 * 1024 * 1024 // 5MB limit
+    fileSize: URLImportService.getLimits().maxFileBytes
   }
 });
 
+const UPLOAD_MODES = ['replace', 'append', 'merge', 'remove'];
+const MAX_USER_NOTES_LENGTH = 5000;
+
+/**
+ * Validate user metadata from a request body: userNotes, tags, fields
+ * With `partial`, a field set to null is removed (PATCH)
+ * Returns { errors, data }
+ */
+function validateMetadata(body = {}, { partial = false } = {}) {
+  const errors = [];
+  const data = {};
+
+  if (body.userNotes !== undefined) {
+    if (typeof body.userNotes !== 'string' || body.userNotes.length > MAX_USER_NOTES_LENGTH) {
+      errors.push(`"userNotes" must be a string of at most ${MAX_USER_NOTES_LENGTH} characters`);
+    } else {
+      data.userNotes = body.userNotes;
+    }
+  }
+
+  if (body.tags !== undefined) {
+    const valid = typeof body.tags === 'string' ||
+      (Array.isArray(body.tags) && body.tags.every(tag => typeof tag === 'string'));
+    const tags = valid ? splitTags(body.tags) : [];
+    const tagError = valid ? validateTags(tags) : '"tags" must be an array of strings (or a comma-separated string)';
+    if (tagError) {
+      errors.push(tagError);
+    } else {
+      data.tags = tags;
+    }
+  }
+
+  if (body.fields !== undefined) {
+    const { error, fields } = validateFields(body.fields, { allowNull: partial });
+    if (error) {
+      errors.push(error);
+    } else {
+      data.fields = fields;
+    }
+  }
+
+  return { errors, data };
+}
+
+/**
+ * Status counts for a list of URLs
+ */
+function countStatuses(urls) {
+  return {
+    total: urls.length,
+    indexed: urls.filter(u => u.status === 'Indexed').length,
+    notIndexed: urls.filter(u => u.status === 'Not Indexed').length,
+    invalid: urls.filter(u => u.status === 'Invalid URL').length,
+    blocked: urls.filter(u => u.status === 'Blocked by robots.txt').length,
+    unsafe: urls.filter(u => u.status === 'Blocked (unsafe target)').length,
+    pending: urls.filter(u => u.status === 'Pending').length,
+    failed: urls.filter(u => u.status === 'Check Failed').length
+  };
+}
+
+/**
+ * Project a request is scoped to: /api/projects/:projectId/urls,
+ * or the default project for /api/urls
+ */
+function getProjectId(req) {
+  return req.params.projectId || DEFAULT_PROJECT_ID;
+}
+
+/**
+ * URL from the :id param, or null if it is not in the request's project
+ */
+async function findProjectURL(req) {
+  const urlData = await URLModel.findById(req.params.id);
+  return urlData && urlData.projectId === getProjectId(req) ? urlData : null;
+}
+
 class URLController {
   /**
    * Get multer upload middleware
    */
   static getUploadMiddleware() {
-    return upload.single('csvFile');
+    const single = upload.single('csvFile');
+    return (req, res, next) => single(req, res, error => next(error && fromMulterError(error, {
+      fieldName: 'csvFile',
+      maxFileBytes: URLImportService.getLimits().maxFileBytes
+    })));
   }
 
   /**
-   * Upload CSV file with URLs
+   * Upload a URL list: CSV/TSV (with or without a header row) or TXT (one URL per line)
    * POST /api/urls/upload
+   * `mode` (form field or query): replace (default) | append | merge | upsert | remove
+   * `stripTracking` (form field or query): remove utm_* and click ID parameters (default true)
    */
   static async uploadCSV(req, res, next) {
     try {
       if (!req.file) {
-        return res.status(400).json({
-          success: false,
-          message: 'No file uploaded. Please upload a CSV file.'
-        });
+        throw new AppError('No file uploaded. Please upload a CSV or TXT file as "csvFile".', { code: 'UPLOAD_MISSING_FILE' });
+      }
+
+      const field = name => (req.body && req.body[name] !== undefined ? req.body[name] : req.query[name]);
+      const requestedMode = String(field('mode') || 'replace').toLowerCase();
+      const mode = requestedMode === 'upsert' ? 'merge' : requestedMode;
+
+      if (!UPLOAD_MODES.includes(mode)) {
+        fs.unlinkSync(req.file.path);
+        throw new ValidationError(`Invalid mode "${requestedMode}". Use one of: ${UPLOAD_MODES.join(', ')}, upsert`);
       }
 
-      console.log('📁 Processing uploaded CSV file:', req.file.originalname);
-
-      // Read and parse the uploaded CSV
-      const urls = [];
-      const filePath = req.file.path;
-
-      await new Promise((resolve, reject) => {
-        fs.createReadStream(filePath)
-          .pipe(csv())
-          .on('data', (row) => {
-            // Support multiple column name variations
-            const url = row.URL || row.url || row.Url || row.link || row.Link;
-            
-            if (url && url.trim()) {
-              urls.push({
-                url: url.trim(),
-                status: 'Pending',
-                lastChecked: 'Not yet checked',
-                notes: ''
-              });
-            }
-          })
-          .on('end', resolve)
-          .on('error', reject);
+      logger.info('Processing uploaded URL file', { mode, fileName: req.file.originalname, size: req.file.size });
+
+      const { format, rows } = await URLImportService.parseFile(req.file.path, {
+        originalName: req.file.originalname,
+        stripTracking: String(field('stripTracking')) !== 'false'
       });
 
       // Delete the uploaded file after processing
-      fs.unlinkSync(filePath);
+      fs.unlinkSync(req.file.path);
 
-      if (urls.length === 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'No valid URLs found in the CSV file. Make sure the CSV has a "URL" column.'
+      if (!rows.some(row => !row.error)) {
+        throw new AppError('No valid URLs found in the file. Make sure it has a "URL" column or one URL per line.', {
+          code: 'UPLOAD_NO_VALID_URLS',
+          details: { format, rejected: rows.map(row => ({ row: row.row, url: row.input, reason: row.error })) }
         });
       }
 
-      // Limit to 30 URLs as per requirements
-      if (urls.length > 1000) {
-        return res.status(400).json({
-          success: false,
-          message: `Too many URLs. Maximum 30 URLs allowed. Your file contains ${urls.length} URLs.`
-        });
-      }
+      const { urls, results, ...report } = await URLModel.importURLs(rows, mode, getProjectId(req));
 
-      // Replace existing URLs with uploaded ones
-      await URLModel.writeAllURLs(urls);
+      // Per-row report: what was read, what it became and why it was (not) imported
+      const rowsByNumber = new Map(rows.map(row => [row.row, row]));
+      const rowReport = results.map(result => {
+        const { input, changes } = rowsByNumber.get(result.row);
+        return { ...result, input, ...(changes.length > 0 && { changes }) };
+      });
+
+      const summary = {
+        rows: rows.length,
+        added: report.added,
+        updated: report.updated,
+        removed: report.removed,
+        duplicates: report.duplicates.length,
+        rejected: report.rejected.length,
+        cleaned: rows.filter(row => !row.error && row.changes.length > 0).length
+      };
 
-      console.log(`✅ Successfully imported ${urls.length} URLs from CSV`);
+      logger.info('URL import finished', { mode, projectId: getProjectId(req), ...summary });
 
       res.json({
         success: true,
-        message: `Successfully imported ${urls.length} URLs. Run a check to see their indexation status.`,
+        message: `Import complete: ${summary.added} added, ${summary.updated} updated, ${summary.removed} removed, ${summary.duplicates} duplicates skipped, ${summary.rejected} rejected.`,
+        mode,
+        format,
+        summary,
+        duplicates: report.duplicates,
+        rejected: report.rejected,
+        report: rowReport,
         count: urls.length,
         data: urls
       });
 
     } catch (error) {
-      console.error('❌ Error uploading CSV:', error);
-      
       // Clean up uploaded file if it exists
       if (req.file && fs.existsSync(req.file.path)) {
         fs.unlinkSync(req.file.path);
@@ -123,49 +218,155 @@ class URLController {
   }
 
   /**
-   * Download current URLs as CSV
-   * GET /api/urls/download
+   * Download URLs as CSV, XLSX, JSON or NDJSON
+   * GET /api/urls/download?format=csv|xlsx|json|ndjson&columns=url,status,...|all
+   * Accepts the same filters, sort and pagination as GET /api/urls
+   * (e.g. ?status=Not Indexed to export only the URLs that need work)
    */
-  static async downloadCSV(req, res, next) {
+  static async downloadURLs(req, res, next) {
     try {
-      const urls = await URLModel.readAllURLs();
-      
-      // Create CSV content
-      let csvContent = 'URL,Status,Last Checked Date,Notes\n';
-      
-      urls.forEach(urlData => {
-        // Escape commas and quotes in data
-        const url = `"${urlData.url.replace(/"/g, '""')}"`;
-        const status = `"${urlData.status.replace(/"/g, '""')}"`;
-        const lastChecked = `"${urlData.lastChecked.replace(/"/g, '""')}"`;
-        const notes = `"${(urlData.notes || '').replace(/"/g, '""')}"`;
-        
-        csvContent += `${url},${status},${lastChecked},${notes}\n`;
-      });
-
-      // Set headers for file download
-      res.setHeader('Content-Type', 'text/csv');
-      res.setHeader('Content-Disposition', `attachment; filename="url-indexation-report-${Date.now()}.csv"`);
-      
-      res.send(csvContent);
+      const query = URLQueryService.parse(req.query);
+      const exportQuery = ExportService.parse(req.query);
+      const errors = [...query.errors, ...exportQuery.errors];
+
+      if (errors.length > 0) {
+        throw new ValidationError('Invalid query', errors);
+      }
+
+      const { format, columns } = exportQuery.options;
+      let { data: urls } = URLQueryService.apply(await URLModel.readAllURLs(getProjectId(req)), query.options);
+
+      if (columns.includes('history')) {
+        const historyByURL = new Map();
+        (await HistoryModel.readAll()).forEach(({ urlId, url, ...record }) => {
+          if (!historyByURL.has(urlId)) {
+            historyByURL.set(urlId, []);
+          }
+          historyByURL.get(urlId).push(record);
+        });
+        urls = urls.map(urlData => ({ ...urlData, history: historyByURL.get(urlData.id) || [] }));
+      }
+
+      // Exports are streamed rather than sent with res.json, so "tz" is applied here
+      const timezone = getTimezone(req);
+      if (timezone) {
+        urls = urls.map(urlData => localizeTimestamps(urlData, timezone));
+      }
+
+      const { contentType, extension } = ExportService.getFormat(format);
+      res.setHeader('Content-Type', contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="url-indexation-report-${Date.now()}.${extension}"`);
 
+      await ExportService.export(res, urls, {
+        format,
+        columns,
+        meta: { Project: getProjectId(req), ...(timezone && { Timezone: timezone }) }
+      });
     } catch (error) {
-      console.error('❌ Error downloading CSV:', error);
+      // Once streaming has started the status can't change; just end the response
+      if (res.headersSent) {
+        return res.end();
+      }
       next(error);
     }
   }
 
   /**
-   * Get all URLs
-   * GET /api/urls
+   * Get URLs, optionally filtered, sorted and paginated
+   * GET /api/urls?status=&host=&q=&checkedBefore=&checkedAfter=&sort=&limit=&offset=
+   * `total` counts all matching URLs, `count` the ones in this page
    */
   static async getAllURLs(req, res, next) {
     try {
-      const urls = await URLModel.readAllURLs();
+      const { errors, options } = URLQueryService.parse(req.query);
+
+      if (errors.length > 0) {
+        throw new ValidationError('Invalid query', errors);
+      }
+
+      const { data, ...page } = URLQueryService.apply(await URLModel.readAllURLs(getProjectId(req)), options);
+
+      res.json({
+        success: true,
+        count: data.length,
+        ...page,
+        data
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List available indexation providers
+   * GET /api/urls/providers
+   */
+  static async getProviders(req, res, next) {
+    try {
       res.json({
         success: true,
-        count: urls.length,
-        data: urls
+        data: listProviders()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List indexing submitters with today's quota
+   * GET /api/urls/submitters
+   */
+  static async getSubmitters(req, res, next) {
+    try {
+      res.json({
+        success: true,
+        data: await IndexingService.listSubmitters()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Request indexing of all matching URLs of the project
+   * POST /api/urls/request-indexing
+   * Body: { status (default "Not Indexed"), tag, host, limit, submitters, type }
+   * URLs beyond a submitter's daily quota are skipped
+   */
+  static async requestIndexingAll(req, res, next) {
+    try {
+      const { status = 'Not Indexed', tag, host, limit, submitters, type } = req.body || {};
+      const { errors, options } = URLQueryService.parse({ status, tag, host, limit });
+
+      if (errors.length > 0) {
+        throw new ValidationError('Invalid request', errors);
+      }
+
+      const { data: urls } = URLQueryService.apply(await URLModel.readAllURLs(getProjectId(req)), options);
+
+      if (urls.length === 0) {
+        return res.json({
+          success: true,
+          message: 'No matching URLs to submit.',
+          count: 0,
+          data: []
+        });
+      }
+
+      const { results, quota } = await IndexingService.submit(urls, {
+        submitters: submitters && splitTags(submitters),
+        type
+      });
+
+      logger.info('Indexing requested', { projectId: getProjectId(req), urls: urls.length });
+
+      res.json({
+        success: results.every(record => record.status === 'submitted'),
+        message: `${results.filter(record => record.status === 'submitted').length} of ${results.length} submission(s) accepted`,
+        urls: urls.length,
+        quota,
+        count: results.length,
+        data: results
       });
     } catch (error) {
       next(error);
@@ -173,74 +374,379 @@ class URLController {
   }
 
   /**
-   * Manually trigger indexation check for all URLs
+   * Manually trigger indexation check for all URLs of the project
    * POST /api/urls/check
+   * Optional `provider` in body or query overrides the default provider
+   * Optional `tag` (comma-separated) only checks URLs with any of those tags
+   * Starts a background job and responds right away with its ID
    */
   static async checkAllURLs(req, res, next) {
     try {
-      console.log('🚀 Manual indexation check started...');
-      
-      // Get all URLs from CSV
-      const urls = await URLModel.readAllURLs();
+      const tag = (req.body && req.body.tag) || req.query.tag;
+      let urlIds;
+      if (tag) {
+        const tags = splitTags(tag);
+        urlIds = (await URLModel.readAllURLs(getProjectId(req)))
+          .filter(urlData => tags.some(value => (urlData.tags || []).includes(value)))
+          .map(urlData => urlData.id);
+      }
+
+      const job = await JobService.start({
+        source: 'manual',
+        provider: (req.body && req.body.provider) || req.query.provider,
+        urlIds,
+        target: { type: 'project', value: getProjectId(req) }
+      });
       
-      if (urls.length === 0) {
+      if (!job) {
         return res.json({
           success: true,
-          message: 'No URLs to check. Please upload a CSV file with URLs first.',
+          message: tag
+            ? `No URLs tagged "${splitTags(tag).join('", "')}" to check.`
+            : 'No URLs to check. Please upload a CSV file with URLs first.',
           data: []
         });
       }
 
-      // Check indexation for each URL
-      const results = await IndexationService.checkMultipleURLs(urls);
-      
-      // Update CSV with results
-      const updatedUrls = urls.map((urlData, index) => ({
-        url: urlData.url,
-        status: results[index].status,
-        lastChecked: new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' }),
-        notes: results[index].notes
-      }));
+      logger.info('Manual indexation check started', { jobId: job.id, provider: job.provider, projectId: getProjectId(req) });
 
-      await URLModel.writeAllURLs(updatedUrls);
+      res.status(202).json({
+        success: true,
+        message: 'Indexation check started. Follow its progress via the job endpoint.',
+        jobId: job.id,
+        statusUrl: `/api/jobs/${job.id}`,
+        data: JobService.serialize(job, { includeResults: false })
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Stream check progress as Server-Sent Events
+   * GET /api/urls/check/stream
+   * Sends run-started, url-checked and run-finished events for every run
+   * (only the project's runs under /api/projects/:projectId/urls)
+   */
+  static streamCheckEvents(req, res) {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Disable response buffering in nginx
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const { projectId } = req.params;
+    const inScope = (job) => !projectId || (job && job.projectId === projectId);
+
+    // Let clients that connect mid-run pick up the current job
+    const activeJob = JobService.getActiveJob();
+    send('connected', {
+      activeJob: activeJob && inScope(activeJob) ? JobService.serialize(activeJob, { includeResults: false }) : null
+    });
+
+    const listeners = {};
+    ['run-started', 'url-checked', 'run-finished'].forEach(event => {
+      listeners[event] = (data) => {
+        if (inScope(JobService.findById(data.jobId))) {
+          send(event, data);
+        }
+      };
+      checkEvents.on(event, listeners[event]);
+    });
+
+    // Comment line keeps proxies from closing an idle connection
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 25000);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      Object.entries(listeners).forEach(([event, listener]) => checkEvents.off(event, listener));
+    });
+  }
+
+  /**
+   * Get a single URL
+   * GET /api/urls/:id
+   */
+  static async getURL(req, res, next) {
+    try {
+      const urlData = await findProjectURL(req);
+
+      if (!urlData) {
+        throw new NotFoundError(`URL with ID ${req.params.id} not found`, { code: 'URL_NOT_FOUND' });
+      }
+
+      res.json({
+        success: true,
+        data: urlData
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Add a single URL
+   * POST /api/urls
+   * Optional: userNotes, tags (["blog"] or "blog,product"), fields ({ "owner": "alice" })
+   */
+  static async createURL(req, res, next) {
+    try {
+      const { url, notes } = req.body || {};
+
+      if (typeof url !== 'string' || !IndexationService.isValidURL(url.trim())) {
+        throw new AppError('A valid http(s) "url" is required', { code: 'URL_INVALID' });
+      }
+
+      const { errors, data } = validateMetadata(req.body);
+      if (errors.length > 0) {
+        throw new ValidationError('Invalid URL details', errors);
+      }
+
+      const urlData = await URLModel.createURL({
+        url,
+        notes: typeof notes === 'string' ? notes : '',
+        ...data,
+        projectId: getProjectId(req)
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'URL added successfully',
+        data: urlData
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Edit a single URL: url, notes, userNotes, tags (replaced as a whole)
+   * and/or fields (merged; null removes a field)
+   * PATCH /api/urls/:id
+   */
+  static async updateURL(req, res, next) {
+    try {
+      const { url, notes } = req.body || {};
+      const { errors, data } = validateMetadata(req.body, { partial: true });
+
+      if (url === undefined && notes === undefined && Object.keys(data).length === 0 && errors.length === 0) {
+        throw new ValidationError('Nothing to update. Provide "url", "notes", "userNotes", "tags" and/or "fields".');
+      }
+
+      if (errors.length > 0) {
+        throw new ValidationError('Invalid URL details', errors);
+      }
+
+      if (url !== undefined && (typeof url !== 'string' || !IndexationService.isValidURL(url.trim()))) {
+        throw new AppError('"url" must be a valid http(s) URL', { code: 'URL_INVALID' });
+      }
+
+      if (notes !== undefined && typeof notes !== 'string') {
+        throw new ValidationError('"notes" must be a string');
+      }
+
+      const urlData = await findProjectURL(req) && await URLModel.updateURL(req.params.id, { url, notes, ...data });
+
+      if (!urlData) {
+        throw new NotFoundError(`URL with ID ${req.params.id} not found`, { code: 'URL_NOT_FOUND' });
+      }
+
+      res.json({
+        success: true,
+        message: 'URL updated successfully',
+        data: urlData
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete a single URL
+   * DELETE /api/urls/:id
+   */
+  static async deleteURL(req, res, next) {
+    try {
+      const urlData = await findProjectURL(req) && await URLModel.deleteURL(req.params.id);
+
+      if (!urlData) {
+        throw new NotFoundError(`URL with ID ${req.params.id} not found`, { code: 'URL_NOT_FOUND' });
+      }
+
+      res.json({
+        success: true,
+        message: 'URL deleted successfully',
+        data: urlData
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Check indexation of a single URL
+   * POST /api/urls/:id/check
+   */
+  static async checkURL(req, res, next) {
+    try {
+      const provider = getProvider((req.body && req.body.provider) || req.query.provider);
+      const urlData = await findProjectURL(req);
+
+      if (!urlData) {
+        throw new NotFoundError(`URL with ID ${req.params.id} not found`, { code: 'URL_NOT_FOUND' });
+      }
+
+      const job = await JobService.start({
+        source: 'manual',
+        provider: provider.id,
+        urlIds: [urlData.id]
+      });
+
+      // The URL may have been deleted in the meantime
+      if (!job) {
+        throw new NotFoundError(`URL with ID ${req.params.id} not found`, { code: 'URL_NOT_FOUND' });
+      }
+
+      await job.promise;
+
+      if (job.status === 'failed') {
+        throw new Error(job.error);
+      }
+
+      res.json({
+        success: true,
+        message: 'URL checked successfully',
+        run: job.run,
+        data: await URLModel.findById(urlData.id)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get check history of a single URL
+   * GET /api/urls/:id/history
+   */
+  static async getURLHistory(req, res, next) {
+    try {
+      const urlData = await findProjectURL(req);
+
+      if (!urlData) {
+        throw new NotFoundError(`URL with ID ${req.params.id} not found`, { code: 'URL_NOT_FOUND' });
+      }
+
+      const history = await HistoryModel.findByURLId(urlData.id);
+
+      res.json({
+        success: true,
+        url: urlData,
+        count: history.length,
+        data: history
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Request indexing of a single URL
+   * POST /api/urls/:id/request-indexing
+   * Body: { submitters, type }
+   */
+  static async requestIndexing(req, res, next) {
+    try {
+      const { submitters, type } = req.body || {};
+      const urlData = await findProjectURL(req);
+
+      if (!urlData) {
+        throw new NotFoundError(`URL with ID ${req.params.id} not found`, { code: 'URL_NOT_FOUND' });
+      }
+
+      const { results, quota } = await IndexingService.submit([urlData], {
+        submitters: submitters && splitTags(submitters),
+        type
+      });
+
+      res.json({
+        success: results.every(record => record.status === 'submitted'),
+        quota,
+        data: results
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get indexing submissions of a single URL
+   * GET /api/urls/:id/submissions
+   */
+  static async getURLSubmissions(req, res, next) {
+    try {
+      const urlData = await findProjectURL(req);
+
+      if (!urlData) {
+        throw new NotFoundError(`URL with ID ${req.params.id} not found`, { code: 'URL_NOT_FOUND' });
+      }
+
+      const submissions = await SubmissionModel.findByURLId(urlData.id);
 
-      console.log('✅ Indexation check completed');
-      
       res.json({
         success: true,
-        message: 'Indexation check completed successfully',
-        timestamp: new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' }),
-        data: updatedUrls
+        url: urlData,
+        count: submissions.length,
+        data: submissions
       });
     } catch (error) {
-      console.error('❌ Error during indexation check:', error);
       next(error);
     }
   }
 
   /**
    * Get last check status
-   * GET /api/urls/status
+   * GET /api/urls/status?tag=
+   * `tag` limits the stats to URLs with any of the given tags; `tags` breaks
+   * the counts down per tag
    */
   static async getCheckStatus(req, res, next) {
     try {
-      const urls = await URLModel.readAllURLs();
-      
-      // Calculate statistics
-      const stats = {
-        total: urls.length,
-        indexed: urls.filter(u => u.status === 'Indexed').length,
-        notIndexed: urls.filter(u => u.status === 'Not Indexed').length,
-        invalid: urls.filter(u => u.status === 'Invalid URL').length,
-        pending: urls.filter(u => u.status === 'Pending').length,
-        lastCheck: urls.length > 0 && urls[0].lastChecked !== 'Not yet checked' 
-          ? urls[0].lastChecked 
-          : 'Never'
-      };
+      let urls = await URLModel.readAllURLs(getProjectId(req));
+
+      if (req.query.tag !== undefined) {
+        const tags = splitTags(req.query.tag);
+        urls = urls.filter(urlData => tags.some(tag => (urlData.tags || []).includes(tag)));
+      }
+
+      // Calculate statistics; lastCheck is the most recent check of any URL (null if none)
+      const lastCheck = urls.reduce((latest, urlData) => (
+        urlData.lastChecked && (!latest || Date.parse(urlData.lastChecked) > Date.parse(latest))
+          ? urlData.lastChecked
+          : latest
+      ), null);
+      const stats = { ...countStatuses(urls), lastCheck };
+
+      const urlsByTag = new Map();
+      urls.forEach(urlData => (urlData.tags || []).forEach(tag => {
+        if (!urlsByTag.has(tag)) {
+          urlsByTag.set(tag, []);
+        }
+        urlsByTag.get(tag).push(urlData);
+      }));
 
       res.json({
         success: true,
-        stats
+        stats,
+        tags: [...urlsByTag.entries()]
+          .map(([tag, tagged]) => ({ tag, ...countStatuses(tagged) }))
+          .sort((a, b) => b.total - a.total || a.tag.localeCompare(b.tag))
       });
     } catch (error) {
       next(error);
@@ -0,0 +1,89 @@
+const AuthService = require('../services/auth.service');
+const { hasRole } = require('../config/roles');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Credential sent with a request:
+ * - "X-API-Key: <key>"
+ * - "Authorization: Bearer <key or JWT>"
+ * - "?api_key=<key or JWT>" on GET requests (EventSource and download
+ *   links can't set headers)
+ */
+function getCredential(req) {
+  if (req.get('X-API-Key')) {
+    return req.get('X-API-Key').trim();
+  }
+
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+  if (match) {
+    return match[1].trim();
+  }
+
+  if (req.method === 'GET' && typeof req.query.api_key === 'string') {
+    return req.query.api_key;
+  }
+
+  return null;
+}
+
+/**
+ * Identify the caller and set req.auth = { type, role, keyId, name, timezone }
+ * Responds 401 UNAUTHORIZED when auth is on and the credential is missing or invalid
+ * The result is reused when several routers authenticate the same request
+ */
+async function authenticate(req, res, next) {
+  try {
+    if (req.auth) {
+      return next();
+    }
+
+    if (!AuthService.isEnabled()) {
+      req.auth = { type: 'anonymous', role: 'admin', keyId: null, name: null, timezone: null };
+      return next();
+    }
+
+    const credential = getCredential(req);
+    const auth = await AuthService.authenticate(credential);
+
+    if (!auth) {
+      res.set('WWW-Authenticate', 'Bearer');
+      throw new UnauthorizedError(credential
+        ? 'Invalid or expired API key or token'
+        : 'Authentication required: send an API key as "X-API-Key" or "Authorization: Bearer <key>"');
+    }
+
+    req.auth = auth;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Require a role (after authenticate). Responds 403 FORBIDDEN when the caller's role is lower
+ */
+function requireRole(role) {
+  const middleware = (req, res, next) => {
+    if (!hasRole(req.auth && req.auth.role, role)) {
+      return next(new ForbiddenError(`This action requires the "${role}" role`));
+    }
+    next();
+  };
+
+  // Read by the API docs (services/openapi.service.js)
+  middleware.role = role;
+  return middleware;
+}
+
+/**
+ * Authenticate, then require `read` for GET requests and `write` for others
+ */
+function authorize({ read, write }) {
+  const checkRole = (req, res, next) => requireRole(READ_METHODS.includes(req.method) ? read : write)(req, res, next);
+  checkRole.roles = { read, write };
+  return [authenticate, checkRole];
+}
+
+module.exports = { authenticate, requireRole, authorize };
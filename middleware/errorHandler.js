@@ -1,17 +1,73 @@
+const logger = require('../utils/logger');
+const { AppError, ERROR_CODES, fromMulterError } = require('../utils/errors');
+
+// Code for errors that only set a statusCode (e.g. from libraries)
+const STATUS_CODES = {
+  400: 'VALIDATION_FAILED',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE'
+};
+
 /**
- * Catches all errors and sends appropriate response
+ * Any error as an AppError: body-parser and multer errors get their 4xx
+ * status and code; anything unknown is a 500 INTERNAL_ERROR
+ */
+function toAppError(err) {
+  if (err instanceof AppError) {
+    return err;
+  }
+  if (err.name === 'MulterError') {
+    return fromMulterError(err);
+  }
+  if (err.type === 'entity.parse.failed') {
+    return new AppError(`Invalid JSON body: ${err.message}`, { code: 'INVALID_JSON' });
+  }
+
+  const statusCode = err.statusCode || err.status;
+  if (statusCode >= 400 && statusCode < 500) {
+    // Errors tagged with a known code keep it (e.g. RESPONSE_TOO_LARGE is not one)
+    const code = ERROR_CODES[err.code] ? err.code : STATUS_CODES[statusCode] || 'VALIDATION_FAILED';
+    return new AppError(err.message, { code, statusCode });
+  }
+
+  return new AppError(err.message || 'Internal Server Error', { code: 'INTERNAL_ERROR', statusCode: 500 });
+}
+
+/**
+ * Catches all errors and sends appropriate response:
+ * { success: false, code, message, ...details, requestId }
+ * Server errors are logged with their stack; client errors (4xx) as warnings
  */
 const errorHandler = (err, req, res, next) => {
-  console.error('Error:', err.message);
-  console.error('Stack:', err.stack);
+  const error = toAppError(err);
+  const { statusCode, code } = error;
+  const path = req.originalUrl.split('?')[0];
+
+  if (statusCode >= 500) {
+    logger.error('Request failed', { method: req.method, path, statusCode, error: err });
+  } else {
+    logger.warn('Request rejected', { method: req.method, path, statusCode, code, error: error.message });
+  }
 
-  const statusCode = err.statusCode || 500;
-  
   res.status(statusCode).json({
     success: false,
-    message: err.message || 'Internal Server Error',
+    code,
+    message: error.message || 'Internal Server Error',
+    ...error.details,
+    requestId: req.id,
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 };
 
-module.exports = errorHandler;
\ No newline at end of file
+/**
+ * JSON 404 for API paths that match no route
+ */
+const notFoundHandler = (req, res, next) => {
+  next(new AppError(`Route not found: ${req.method} ${req.originalUrl.split('?')[0]}`, { code: 'ROUTE_NOT_FOUND' }));
+};
+
+module.exports = errorHandler;
+module.exports.notFoundHandler = notFoundHandler;
@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const MetricsService = require('../services/metrics.service');
+
+// Incoming X-Request-ID values that are reused as-is
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Paths polled by monitoring, logged at debug level only
+const QUIET_PATHS = ['/metrics', '/api/health'];
+
+/**
+ * Route pattern for metric labels (e.g. "/api/projects/:projectId/urls/:id"),
+ * so IDs don't create one series per URL
+ */
+function routeLabel(req) {
+  if (!req.route) {
+    return 'unmatched';
+  }
+  const base = req.baseUrl.replace(/\/projects\/[^/]+/, '/projects/:projectId');
+  return base + (req.route.path === '/' && base ? '' : req.route.path);
+}
+
+/**
+ * Give every request an ID (X-Request-ID, reused when the client sends one),
+ * add it to all logs written while handling the request, and log and time
+ * the request when the response is finished
+ */
+function requestContext(req, res, next) {
+  const incoming = req.get('X-Request-ID');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.set('X-Request-ID', requestId);
+
+  res.on('finish', () => {
+    const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+    const route = routeLabel(req);
+    const path = req.originalUrl.split('?')[0];
+
+    MetricsService.recordRequest({ method: req.method, route, statusCode: res.statusCode, durationMs });
+
+    const level = res.statusCode >= 500 ? 'error' : QUIET_PATHS.includes(path) ? 'debug' : 'info';
+    logger[level]('Request completed', {
+      requestId,
+      method: req.method,
+      path,
+      route,
+      statusCode: res.statusCode,
+      durationMs: Math.round(durationMs * 10) / 10,
+      ...(req.auth && req.auth.keyId && { keyId: req.auth.keyId })
+    });
+  });
+
+  logger.runWithContext({ requestId }, next);
+}
+
+module.exports = requestContext;
@@ -0,0 +1,42 @@
+const { isValidTimezone, localizeTimestamps } = require('../utils/date.utils');
+const { ValidationError } = require('../utils/errors');
+
+/**
+ * Timezone to show timestamps in: "?tz=" (e.g. "?tz=Europe/London"), else the
+ * caller's API key setting, else DISPLAY_TIMEZONE; null keeps ISO-8601 UTC
+ */
+function getTimezone(req) {
+  if (typeof req.query.tz === 'string' && req.query.tz) {
+    return req.query.tz;
+  }
+  if (req.auth && req.auth.timezone) {
+    return req.auth.timezone;
+  }
+  const fallback = process.env.DISPLAY_TIMEZONE;
+  return fallback && isValidTimezone(fallback) ? fallback : null;
+}
+
+/**
+ * Timestamps are stored and sent as ISO-8601 UTC. When a timezone is
+ * requested, JSON responses show them in it, as ISO-8601 with the zone's
+ * offset ("2025-12-06T10:30:00.000+05:30"), so they stay machine-readable
+ * Responds 400 for an unknown "tz"
+ */
+function timezone(req, res, next) {
+  const { tz } = req.query;
+
+  if (tz !== undefined && (typeof tz !== 'string' || !isValidTimezone(tz))) {
+    return next(new ValidationError('Invalid timezone', ['"tz" must be an IANA timezone (e.g. "Europe/London")']));
+  }
+
+  // Resolved when the response is sent, after authentication has set req.auth
+  const json = res.json.bind(res);
+  res.json = body => {
+    const zone = getTimezone(req);
+    return json(zone ? localizeTimestamps(body, zone) : body);
+  };
+
+  next();
+}
+
+module.exports = { timezone, getTimezone };
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const Ajv = require('ajv');
+const { ValidationError } = require('../utils/errors');
+
+// verbose: errors carry the schema they failed, for `errorCode`
+const options = { allErrors: true, strict: false, verbose: true };
+const ajv = new Ajv(options);
+
+// Path, query string and form fields are text: "50" is read as 50, "true" as true
+const textAjv = new Ajv({ ...options, coerceTypes: 'array' });
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+/**
+ * "tags[0]" for the instance path "/tags/0"
+ */
+function fieldName(error) {
+  const segments = error.instancePath.split('/').slice(1).map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+  if (error.keyword === 'required') {
+    segments.push(error.params.missingProperty);
+  }
+  if (error.keyword === 'additionalProperties') {
+    segments.push(error.params.additionalProperty);
+  }
+  return segments.reduce((name, segment) => (/^\d+$/.test(segment) ? `${name}[${segment}]` : name ? `${name}.${segment}` : segment), '');
+}
+
+/**
+ * "a string", "an array of strings", ... for type messages
+ */
+function describeType(schema) {
+  if (schema.type === 'array') {
+    return schema.items && schema.items.type ? `an array of ${schema.items.type}s` : 'an array';
+  }
+  if (schema.type === 'null') {
+    return 'null';
+  }
+  return /^[aeiou]/.test(schema.type) ? `an ${schema.type}` : `a ${schema.type}`;
+}
+
+/**
+ * Readable message for an Ajv error, like the controllers' own ('"url" is required')
+ */
+function formatError(error, location) {
+  const name = fieldName(error);
+  const where = location === 'body' ? '' : ` (${location === 'params' ? 'path' : 'query'})`;
+  const subject = name ? `"${name}"${where}` : location === 'body' ? 'Request body' : `Request ${location}`;
+
+  switch (error.keyword) {
+    case 'required':
+      return `${subject} is required`;
+    case 'additionalProperties':
+      return `${subject} is not allowed`;
+    case 'enum':
+      return `${subject} must be one of: ${error.params.allowedValues.join(', ')}`;
+    case 'type':
+      return `${subject} must be ${[].concat(error.params.type).join(',').split(',').map(type => describeType({ type })).join(' or ')}`;
+    case 'anyOf':
+      return `${subject} must be ${error.parentSchema.anyOf.map(describeType).join(' or ')}`;
+    default:
+      return `${subject} ${error.message}`;
+  }
+}
+
+/**
+ * `errorCode` of the property an error is about, e.g.
+ * { url: { type: 'string', errorCode: 'URL_INVALID' } }
+ */
+function errorCode(error) {
+  if (error.keyword === 'required') {
+    const property = (error.parentSchema.properties || {})[error.params.missingProperty];
+    return property && property.errorCode;
+  }
+  return error.parentSchema && error.parentSchema.errorCode;
+}
+
+/**
+ * Validate a request's params, query and body against JSON Schemas
+ * schema: { summary, params, query, body, ... } (see schemas/); the same
+ * schemas are used to build the OpenAPI spec (GET /api/docs)
+ * Responds 400 VALIDATION_FAILED with every problem found, or the
+ * property's `errorCode` when all problems share one. Values are checked
+ * on a copy, so the request is left as it was sent.
+ */
+function validate(schema) {
+  const validators = LOCATIONS
+    .filter(location => schema[location])
+    .map(location => [location, textAjv.compile(schema[location]), location === 'body' && ajv.compile(schema[location])]);
+
+  const middleware = (req, res, next) => {
+    const errors = [];
+    const codes = new Set();
+
+    validators.forEach(([location, textCheck, jsonCheck]) => {
+      const check = jsonCheck && req.is('application/json') ? jsonCheck : textCheck;
+      const value = JSON.parse(JSON.stringify(req[location] || {}));
+      if (!check(value)) {
+        // An anyOf error says it all; skip why each of its options failed
+        const options = check.errors.filter(error => error.keyword === 'anyOf').map(error => `${error.schemaPath}/`);
+        check.errors.filter(error => !options.some(prefix => error.schemaPath.startsWith(prefix))).forEach(error => {
+          errors.push(formatError(error, location));
+          codes.add(errorCode(error));
+        });
+      }
+    });
+
+    if (errors.length === 0) {
+      return next();
+    }
+
+    // Uploads are stored before the form fields can be checked
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+
+    const [code] = codes;
+    next(new ValidationError('Invalid request', [...new Set(errors)], codes.size === 1 && code ? { code } : {}));
+  };
+
+  middleware.schema = schema;
+  return middleware;
+}
+
+module.exports = validate;
@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parser');
+const createCsvWriter = require('csv-writer').createObjectCsvWriter;
+
+const DELIVERIES_FILE_PATH = path.join(__dirname, '../data/alert-deliveries.csv');
+
+const HEADER = [
+  { id: 'id', title: 'ID' },
+  { id: 'ruleId', title: 'Rule ID' },
+  { id: 'ruleName', title: 'Rule Name' },
+  { id: 'channel', title: 'Channel' },
+  { id: 'target', title: 'Target' },
+  { id: 'status', title: 'Status' },
+  { id: 'attempts', title: 'Attempts' },
+  { id: 'error', title: 'Error' },
+  { id: 'message', title: 'Message' },
+  { id: 'sentAt', title: 'Sent At' }
+];
+
+/**
+ * Alert Delivery Model - Append-only log of every alert delivery attempt
+ */
+class AlertDeliveryModel {
+  /**
+   * Read all deliveries (oldest first)
+   */
+  static async readAll() {
+    if (!fs.existsSync(DELIVERIES_FILE_PATH)) {
+      return [];
+    }
+
+    return new Promise((resolve, reject) => {
+      const deliveries = [];
+
+      fs.createReadStream(DELIVERIES_FILE_PATH)
+        .pipe(csv({
+          mapHeaders: ({ header }) => {
+            const column = HEADER.find(h => h.title === header);
+            return column ? column.id : null;
+          }
+        }))
+        .on('data', (row) => {
+          row.attempts = Number(row.attempts || 0);
+          deliveries.push(row);
+        })
+        .on('end', () => resolve(deliveries))
+        .on('error', reject);
+    });
+  }
+
+  /**
+   * Append a delivery record
+   */
+  static async append(delivery) {
+    const dataDir = path.dirname(DELIVERIES_FILE_PATH);
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+
+    const csvWriter = createCsvWriter({
+      path: DELIVERIES_FILE_PATH,
+      header: HEADER,
+      append: fs.existsSync(DELIVERIES_FILE_PATH)
+    });
+
+    await csvWriter.writeRecords([delivery]);
+    return delivery;
+  }
+}
+
+module.exports = AlertDeliveryModel;
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const RULES_FILE_PATH = path.join(__dirname, '../data/alert-rules.json');
+
+/**
+ * Alert Rule Model - Alert rules stored in data/alert-rules.json
+ */
+class AlertRuleModel {
+  /**
+   * Read all rules
+   */
+  static async readAll() {
+    if (!fs.existsSync(RULES_FILE_PATH)) {
+      return [];
+    }
+
+    const content = await fs.promises.readFile(RULES_FILE_PATH, 'utf8');
+    return JSON.parse(content);
+  }
+
+  /**
+   * Write all rules
+   */
+  static async writeAll(rules) {
+    const dataDir = path.dirname(RULES_FILE_PATH);
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+
+    await fs.promises.writeFile(RULES_FILE_PATH, JSON.stringify(rules, null, 2));
+  }
+
+  /**
+   * Find a rule by ID
+   */
+  static async findById(id) {
+    return (await this.readAll()).find(rule => rule.id === id) || null;
+  }
+
+  /**
+   * Add a rule
+   */
+  static async create(data) {
+    const rules = await this.readAll();
+    const now = new Date().toISOString();
+    const rule = { id: crypto.randomUUID(), ...data, createdAt: now, updatedAt: now };
+
+    await this.writeAll([...rules, rule]);
+    return rule;
+  }
+
+  /**
+   * Update a rule
+   * Resolves to the updated rule, or null if not found
+   */
+  static async update(id, changes) {
+    const rules = await this.readAll();
+    const index = rules.findIndex(rule => rule.id === id);
+
+    if (index === -1) {
+      return null;
+    }
+
+    rules[index] = { ...rules[index], ...changes, id, updatedAt: new Date().toISOString() };
+    await this.writeAll(rules);
+    return rules[index];
+  }
+
+  /**
+   * Delete a rule
+   * Resolves to the deleted rule, or null if not found
+   */
+  static async delete(id) {
+    const rules = await this.readAll();
+    const deleted = rules.find(rule => rule.id === id);
+
+    if (!deleted) {
+      return null;
+    }
+
+    await this.writeAll(rules.filter(rule => rule.id !== id));
+    return deleted;
+  }
+}
+
+module.exports = AlertRuleModel;
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Mutex = require('../utils/mutex');
+
+const API_KEYS_FILE_PATH = path.join(__dirname, '../data/api-keys.json');
+
+// Keys are also written on use (lastUsedAt), so writes are serialized
+const writeLock = new Mutex();
+
+/**
+ * API Key Model - API keys stored in data/api-keys.json
+ * Only a SHA-256 hash of each key is stored; the key itself is shown once
+ */
+class ApiKeyModel {
+  /**
+   * Read all API keys
+   */
+  static async readAll() {
+    if (!fs.existsSync(API_KEYS_FILE_PATH)) {
+      return [];
+    }
+
+    const content = await fs.promises.readFile(API_KEYS_FILE_PATH, 'utf8');
+    return JSON.parse(content);
+  }
+
+  /**
+   * Write all API keys
+   */
+  static async writeAll(keys) {
+    const dataDir = path.dirname(API_KEYS_FILE_PATH);
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+
+    await fs.promises.writeFile(API_KEYS_FILE_PATH, JSON.stringify(keys, null, 2));
+  }
+
+  /**
+   * Find an API key by ID
+   */
+  static async findById(id) {
+    return (await this.readAll()).find(key => key.id === id) || null;
+  }
+
+  /**
+   * Find an API key by the hash of its value
+   */
+  static async findByHash(hash) {
+    return (await this.readAll()).find(key => key.hash === hash) || null;
+  }
+
+  /**
+   * Add an API key
+   */
+  static create(data) {
+    return writeLock.runExclusive(async () => {
+      const keys = await this.readAll();
+      const now = new Date().toISOString();
+      const key = { id: crypto.randomUUID(), ...data, lastUsedAt: null, createdAt: now, updatedAt: now };
+
+      await this.writeAll([...keys, key]);
+      return key;
+    });
+  }
+
+  /**
+   * Update an API key
+   * Resolves to the updated key, or null if not found
+   */
+  static update(id, changes) {
+    return writeLock.runExclusive(async () => {
+      const keys = await this.readAll();
+      const index = keys.findIndex(key => key.id === id);
+
+      if (index === -1) {
+        return null;
+      }
+
+      keys[index] = { ...keys[index], ...changes, id, updatedAt: new Date().toISOString() };
+      await this.writeAll(keys);
+      return keys[index];
+    });
+  }
+
+  /**
+   * Record that a key was used (does not change updatedAt)
+   */
+  static touch(id, lastUsedAt) {
+    return writeLock.runExclusive(async () => {
+      const keys = await this.readAll();
+      const key = keys.find(k => k.id === id);
+
+      if (key) {
+        key.lastUsedAt = lastUsedAt;
+        await this.writeAll(keys);
+      }
+    });
+  }
+
+  /**
+   * Delete an API key
+   * Resolves to the deleted key, or null if not found
+   */
+  static delete(id) {
+    return writeLock.runExclusive(async () => {
+      const keys = await this.readAll();
+      const deleted = keys.find(key => key.id === id);
+
+      if (!deleted) {
+        return null;
+      }
+
+      await this.writeAll(keys.filter(key => key.id !== id));
+      return deleted;
+    });
+  }
+}
+
+module.exports = ApiKeyModel;
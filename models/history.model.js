@@ -0,0 +1,55 @@
+const { openStore } = require('./stores');
+
+/**
+ * History Model - Append-only log of every URL check result
+ * One record per URL per check run, timestamps are ISO-8601 UTC
+ */
+class HistoryModel {
+  /**
+   * Read all history records (oldest first)
+   */
+  static async readAll() {
+    const { store } = await openStore();
+    return store.listHistory();
+  }
+
+  /**
+   * Append records to the history
+   */
+  static async append(records) {
+    if (records.length === 0) {
+      return;
+    }
+
+    const { store } = await openStore();
+    return store.appendHistory(records);
+  }
+
+  /**
+   * Get history of a single URL (oldest first), each record flagged
+   * with the previous status and whether the status changed
+   */
+  static async findByURLId(urlId) {
+    const { store } = await openStore();
+    const records = await store.listHistory({ urlId });
+
+    return records.map((record, index) => {
+      const previousStatus = index > 0 ? records[index - 1].status : null;
+      return {
+        ...record,
+        previousStatus,
+        statusChanged: previousStatus !== null && previousStatus !== record.status
+      };
+    });
+  }
+
+  /**
+   * Get all results recorded for a check run
+   */
+  static async findByRunId(runId) {
+    const { store } = await openStore();
+    return store.listHistory({ runId });
+  }
+}
+
+module.exports = HistoryModel;
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const { DEFAULT_PROJECT_ID } = require('../config/projects');
+
+const PROJECTS_FILE_PATH = path.join(__dirname, '../data/projects.json');
+
+// Holds the URLs from before projects existed; can't be deleted
+const DEFAULT_PROJECT = {
+  id: DEFAULT_PROJECT_ID,
+  name: 'Default',
+  domain: null
+};
+
+/**
+ * Project Model - Projects (one per client site) stored in data/projects.json
+ */
+class ProjectModel {
+  /**
+   * Read all projects, creating the default one on first use
+   */
+  static async readAll() {
+    if (!fs.existsSync(PROJECTS_FILE_PATH)) {
+      const now = new Date().toISOString();
+      await this.writeAll([{ ...DEFAULT_PROJECT, createdAt: now, updatedAt: now }]);
+    }
+
+    const content = await fs.promises.readFile(PROJECTS_FILE_PATH, 'utf8');
+    return JSON.parse(content);
+  }
+
+  /**
+   * Write all projects
+   */
+  static async writeAll(projects) {
+    const dataDir = path.dirname(PROJECTS_FILE_PATH);
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+
+    await fs.promises.writeFile(PROJECTS_FILE_PATH, JSON.stringify(projects, null, 2));
+  }
+
+  /**
+   * Find a project by ID
+   */
+  static async findById(id) {
+    return (await this.readAll()).find(project => project.id === id) || null;
+  }
+
+  /**
+   * Add a project
+   */
+  static async create(data) {
+    const projects = await this.readAll();
+    const now = new Date().toISOString();
+    const project = { id: crypto.randomUUID(), ...data, createdAt: now, updatedAt: now };
+
+    await this.writeAll([...projects, project]);
+    return project;
+  }
+
+  /**
+   * Update a project
+   * Resolves to the updated project, or null if not found
+   */
+  static async update(id, changes) {
+    const projects = await this.readAll();
+    const index = projects.findIndex(project => project.id === id);
+
+    if (index === -1) {
+      return null;
+    }
+
+    projects[index] = { ...projects[index], ...changes, id, updatedAt: new Date().toISOString() };
+    await this.writeAll(projects);
+    return projects[index];
+  }
+
+  /**
+   * Delete a project
+   * Resolves to the deleted project, or null if not found
+   */
+  static async delete(id) {
+    const projects = await this.readAll();
+    const deleted = projects.find(project => project.id === id);
+
+    if (!deleted) {
+      return null;
+    }
+
+    await this.writeAll(projects.filter(project => project.id !== id));
+    return deleted;
+  }
+}
+
+module.exports = ProjectModel;
@@ -0,0 +1,33 @@
+const { openStore } = require('./stores');
+
+/**
+ * Run Model - One record per completed check run (manual or scheduled)
+ */
+class RunModel {
+  /**
+   * Read all runs (oldest first)
+   */
+  static async readAll() {
+    const { store } = await openStore();
+    return store.listRuns();
+  }
+
+  /**
+   * Record a finished run
+   */
+  static async create(run) {
+    const { store } = await openStore();
+    await store.insertRun(run);
+    return run;
+  }
+
+  /**
+   * Find a run by ID
+   */
+  static async findById(id) {
+    const { store } = await openStore();
+    return store.getRun(id);
+  }
+}
+
+module.exports = RunModel;
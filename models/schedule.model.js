@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Mutex = require('../utils/mutex');
+
+const SCHEDULES_FILE_PATH = path.join(__dirname, '../data/schedules.json');
+
+// Used when no schedules file exists yet (the former hard-coded schedule)
+const DEFAULT_SCHEDULE = {
+  name: 'Daily check',
+  cron: '0 9 * * *',
+  timezone: 'Asia/Kolkata',
+  target: { type: 'all' },
+  provider: '',
+  enabled: true
+};
+
+// Runs record lastRunAt while the API may be editing schedules, so writes are serialized
+const writeLock = new Mutex();
+
+/**
+ * Schedule Model - Check schedules stored in data/schedules.json
+ */
+class ScheduleModel {
+  /**
+   * Read all schedules, creating the default one on first use
+   */
+  static async readAll() {
+    if (!fs.existsSync(SCHEDULES_FILE_PATH)) {
+      // Created under the lock so concurrent first reads agree on one default
+      return writeLock.runExclusive(() => this.load());
+    }
+
+    return this.load();
+  }
+
+  /**
+   * Read the schedules file, writing the default schedule if there is none
+   * Callers that write hold the lock
+   */
+  static async load() {
+    if (!fs.existsSync(SCHEDULES_FILE_PATH)) {
+      const now = new Date().toISOString();
+      await this.writeAll([{ id: crypto.randomUUID(), ...DEFAULT_SCHEDULE, createdAt: now, updatedAt: now }]);
+    }
+
+    const content = await fs.promises.readFile(SCHEDULES_FILE_PATH, 'utf8');
+    return JSON.parse(content);
+  }
+
+  /**
+   * Write all schedules
+   */
+  static async writeAll(schedules) {
+    const dataDir = path.dirname(SCHEDULES_FILE_PATH);
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+
+    await fs.promises.writeFile(SCHEDULES_FILE_PATH, JSON.stringify(schedules, null, 2));
+  }
+
+  /**
+   * Find a schedule by ID
+   */
+  static async findById(id) {
+    return (await this.readAll()).find(schedule => schedule.id === id) || null;
+  }
+
+  /**
+   * Add a schedule
+   */
+  static create(data) {
+    return writeLock.runExclusive(async () => {
+      const schedules = await this.load();
+      const now = new Date().toISOString();
+      const schedule = { id: crypto.randomUUID(), ...data, createdAt: now, updatedAt: now };
+
+      await this.writeAll([...schedules, schedule]);
+      return schedule;
+    });
+  }
+
+  /**
+   * Update a schedule
+   * Resolves to the updated schedule, or null if not found
+   */
+  static update(id, changes) {
+    return writeLock.runExclusive(async () => {
+      const schedules = await this.load();
+      const index = schedules.findIndex(schedule => schedule.id === id);
+
+      if (index === -1) {
+        return null;
+      }
+
+      schedules[index] = { ...schedules[index], ...changes, id, updatedAt: new Date().toISOString() };
+      await this.writeAll(schedules);
+      return schedules[index];
+    });
+  }
+
+  /**
+   * Record a run of a schedule (does not change updatedAt)
+   * A schedule deleted while it ran is left deleted
+   */
+  static recordRun(id, { lastRunAt, lastRunStatus }) {
+    return writeLock.runExclusive(async () => {
+      const schedules = await this.load();
+      const schedule = schedules.find(s => s.id === id);
+
+      if (schedule) {
+        Object.assign(schedule, { lastRunAt, lastRunStatus });
+        await this.writeAll(schedules);
+      }
+    });
+  }
+
+  /**
+   * Delete a schedule
+   * Resolves to the deleted schedule, or null if not found
+   */
+  static delete(id) {
+    return writeLock.runExclusive(async () => {
+      const schedules = await this.load();
+      const deleted = schedules.find(schedule => schedule.id === id);
+
+      if (!deleted) {
+        return null;
+      }
+
+      await this.writeAll(schedules.filter(schedule => schedule.id !== id));
+      return deleted;
+    });
+  }
+}
+
+module.exports = ScheduleModel;
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const SITEMAPS_FILE_PATH = path.join(__dirname, '../data/sitemaps.json');
+
+/**
+ * Sitemap Model - Imported sitemaps stored in data/sitemaps.json
+ */
+class SitemapModel {
+  /**
+   * Read all sitemaps
+   */
+  static async readAll() {
+    if (!fs.existsSync(SITEMAPS_FILE_PATH)) {
+      return [];
+    }
+
+    const content = await fs.promises.readFile(SITEMAPS_FILE_PATH, 'utf8');
+    return JSON.parse(content);
+  }
+
+  /**
+   * Write all sitemaps
+   */
+  static async writeAll(sitemaps) {
+    const dataDir = path.dirname(SITEMAPS_FILE_PATH);
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+
+    await fs.promises.writeFile(SITEMAPS_FILE_PATH, JSON.stringify(sitemaps, null, 2));
+  }
+
+  /**
+   * Find a sitemap by ID
+   */
+  static async findById(id) {
+    return (await this.readAll()).find(sitemap => sitemap.id === id) || null;
+  }
+
+  /**
+   * Add a sitemap
+   */
+  static async create(data) {
+    const sitemaps = await this.readAll();
+    const now = new Date().toISOString();
+    const sitemap = { id: crypto.randomUUID(), ...data, createdAt: now, updatedAt: now };
+
+    await this.writeAll([...sitemaps, sitemap]);
+    return sitemap;
+  }
+
+  /**
+   * Update a sitemap
+   * Resolves to the updated sitemap, or null if not found
+   */
+  static async update(id, changes) {
+    const sitemaps = await this.readAll();
+    const index = sitemaps.findIndex(sitemap => sitemap.id === id);
+
+    if (index === -1) {
+      return null;
+    }
+
+    sitemaps[index] = { ...sitemaps[index], ...changes, id, updatedAt: new Date().toISOString() };
+    await this.writeAll(sitemaps);
+    return sitemaps[index];
+  }
+
+  /**
+   * Delete a sitemap
+   * Resolves to the deleted sitemap, or null if not found
+   */
+  static async delete(id) {
+    const sitemaps = await this.readAll();
+    const deleted = sitemaps.find(sitemap => sitemap.id === id);
+
+    if (!deleted) {
+      return null;
+    }
+
+    await this.writeAll(sitemaps.filter(sitemap => sitemap.id !== id));
+    return deleted;
+  }
+}
+
+module.exports = SitemapModel;
@@ -0,0 +1,443 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const csv = require('csv-parser');
+const createCsvWriter = require('csv-writer').createObjectCsvWriter;
+const { DEFAULT_PROJECT_ID } = require('../../config/projects');
+const { toISODate, isISODate } = require('../../utils/date.utils');
+
+const DATA_DIR = path.join(__dirname, '../../data');
+const URLS_FILE_PATH = path.join(DATA_DIR, 'urls.csv');
+const HISTORY_FILE_PATH = path.join(DATA_DIR, 'history.csv');
+const RUNS_FILE_PATH = path.join(DATA_DIR, 'runs.csv');
+const SUBMISSIONS_FILE_PATH = path.join(DATA_DIR, 'submissions.csv');
+
+// Indexability signals from the last check (see HttpProvider)
+const SIGNAL_COLUMNS = [
+  { id: 'finalUrl', title: 'Final URL' },
+  { id: 'redirectChain', title: 'Redirect Chain' },
+  { id: 'canonicalUrl', title: 'Canonical URL' },
+  { id: 'canonicalized', title: 'Canonicalized' },
+  { id: 'metaRobots', title: 'Meta Robots' },
+  { id: 'xRobotsTag', title: 'X-Robots-Tag' },
+  { id: 'noindex', title: 'Noindex' },
+  { id: 'title', title: 'Title' }
+];
+
+const URL_HEADER = [
+  { id: 'id', title: 'ID' },
+  { id: 'projectId', title: 'Project ID' },
+  { id: 'url', title: 'URL' },
+  { id: 'status', title: 'Status' },
+  { id: 'lastChecked', title: 'Last Checked Date' },
+  { id: 'notes', title: 'Notes' },
+  { id: 'provider', title: 'Provider' },
+  { id: 'httpCode', title: 'HTTP Code' },
+  { id: 'lastmod', title: 'Lastmod' },
+  { id: 'addedAt', title: 'Added At' },
+  { id: 'tags', title: 'Tags' },
+  { id: 'userNotes', title: 'User Notes' },
+  { id: 'fields', title: 'Custom Fields' },
+  ...SIGNAL_COLUMNS
+];
+
+const HISTORY_HEADER = [
+  { id: 'runId', title: 'Run ID' },
+  { id: 'urlId', title: 'URL ID' },
+  { id: 'url', title: 'URL' },
+  { id: 'status', title: 'Status' },
+  { id: 'notes', title: 'Notes' },
+  { id: 'httpCode', title: 'HTTP Code' },
+  { id: 'provider', title: 'Provider' },
+  { id: 'checkedAt', title: 'Checked At' }
+];
+
+const RUN_HEADER = [
+  { id: 'id', title: 'ID' },
+  { id: 'source', title: 'Source' },
+  { id: 'status', title: 'Status' },
+  { id: 'provider', title: 'Provider' },
+  { id: 'projectId', title: 'Project ID' },
+  { id: 'startedAt', title: 'Started At' },
+  { id: 'finishedAt', title: 'Finished At' },
+  { id: 'total', title: 'Total' },
+  { id: 'indexed', title: 'Indexed' },
+  { id: 'notIndexed', title: 'Not Indexed' },
+  { id: 'invalid', title: 'Invalid' },
+  { id: 'blocked', title: 'Blocked' },
+  { id: 'unsafe', title: 'Unsafe' },
+  { id: 'failed', title: 'Failed' },
+  { id: 'durationMs', title: 'Duration (ms)' },
+  { id: 'retries', title: 'Retries' },
+  { id: 'throughput', title: 'Throughput (URLs/min)' }
+];
+
+const SUBMISSION_HEADER = [
+  { id: 'urlId', title: 'URL ID' },
+  { id: 'url', title: 'URL' },
+  { id: 'projectId', title: 'Project ID' },
+  { id: 'submitter', title: 'Submitter' },
+  { id: 'type', title: 'Type' },
+  { id: 'trigger', title: 'Trigger' },
+  { id: 'status', title: 'Status' },
+  { id: 'httpCode', title: 'HTTP Code' },
+  { id: 'message', title: 'Message' },
+  { id: 'submittedAt', title: 'Submitted At' }
+];
+
+const RUN_COUNT_FIELDS = ['total', 'indexed', 'notIndexed', 'invalid', 'blocked', 'unsafe', 'failed', 'durationMs', 'retries', 'throughput'];
+
+/**
+ * Flatten signals into CSV columns
+ * Redirect chain is written as "301 https://a | 302 https://b"
+ */
+function signalsToColumns(signals) {
+  if (!signals) {
+    return {};
+  }
+
+  return {
+    finalUrl: signals.finalUrl || '',
+    redirectChain: (signals.redirectChain || []).map(hop => `${hop.status} ${hop.url}`).join(' | '),
+    canonicalUrl: signals.canonicalUrl || '',
+    canonicalized: signals.canonicalized ? 'true' : 'false',
+    metaRobots: signals.metaRobots || '',
+    xRobotsTag: signals.xRobotsTag || '',
+    noindex: signals.noindex ? 'true' : 'false',
+    title: signals.title || ''
+  };
+}
+
+/**
+ * Read signals back from a CSV row (null when the URL has none)
+ */
+function columnsToSignals(row) {
+  if (!row['Final URL']) {
+    return null;
+  }
+
+  return {
+    finalUrl: row['Final URL'],
+    redirectChain: row['Redirect Chain']
+      ? row['Redirect Chain'].split(' | ').map(hop => {
+        const [status, ...url] = hop.split(' ');
+        return { url: url.join(' '), status: Number(status) };
+      })
+      : [],
+    canonicalUrl: row['Canonical URL'] || null,
+    canonicalized: row.Canonicalized === 'true',
+    metaRobots: row['Meta Robots'] || null,
+    xRobotsTag: row['X-Robots-Tag'] || null,
+    noindex: row.Noindex === 'true',
+    title: row.Title || null
+  };
+}
+
+/**
+ * Parse a CSV file into records
+ */
+function readRows(filePath, options, mapRow) {
+  return new Promise((resolve, reject) => {
+    const records = [];
+
+    fs.createReadStream(filePath)
+      .pipe(csv(options))
+      .on('data', (row) => {
+        records.push(mapRow(row));
+      })
+      .on('end', () => resolve(records))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Read data/urls.csv
+ * Resolves to { urls, legacy } - legacy is true when rows lack an ID or
+ * have IST check dates (older files; see CsvStore.migrateURLs)
+ */
+async function readURLFile() {
+  let legacy = false;
+  const urls = await readRows(URLS_FILE_PATH, {}, (row) => {
+    const lastChecked = row['Last Checked Date'] || row.lastChecked || '';
+    const id = row.ID || row.id || '';
+    legacy = legacy || !id || (lastChecked !== '' && !isISODate(lastChecked));
+    return {
+      id,
+      projectId: row['Project ID'] || DEFAULT_PROJECT_ID,
+      url: row.URL || row.url,
+      status: row.Status || row.status || 'Pending',
+      lastChecked: toISODate(lastChecked),
+      notes: row.Notes || row.notes || '',
+      provider: row.Provider || row.provider || '',
+      httpCode: row['HTTP Code'] ? Number(row['HTTP Code']) : null,
+      lastmod: row.Lastmod || null,
+      addedAt: row['Added At'] || null,
+      // Tags are stored as "blog | product", custom fields as JSON
+      tags: row.Tags ? row.Tags.split('|').map(tag => tag.trim()).filter(Boolean) : [],
+      userNotes: row['User Notes'] || '',
+      fields: row['Custom Fields'] ? JSON.parse(row['Custom Fields']) : {},
+      signals: columnsToSignals(row)
+    };
+  });
+
+  return { urls, legacy };
+}
+
+function ensureDataDir() {
+  if (!fs.existsSync(DATA_DIR)) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+  }
+}
+
+/**
+ * CSV Store - The original file storage: data/urls.csv, data/history.csv,
+ * data/runs.csv and data/submissions.csv. Every URL write rewrites the whole file, so callers
+ * serialize writes (see URLModel).
+ */
+class CsvStore {
+  static get id() {
+    return 'csv';
+  }
+
+  /**
+   * Resolves to { created } - created is true when there was no URL file yet
+   */
+  static async init() {
+    if (!fs.existsSync(URLS_FILE_PATH)) {
+      return { created: true };
+    }
+
+    await this.migrateURLs();
+    return { created: false };
+  }
+
+  /**
+   * Bring an older URL file up to date: rows without an ID get one and IST
+   * check dates ("06/12/2025, 10:30:00 am") are rewritten as ISO-8601
+   * Runs from init(), before the store serves any reads or (locked) writes
+   */
+  static async migrateURLs() {
+    const { urls, legacy } = await readURLFile();
+
+    if (legacy) {
+      await this.replaceURLs(urls);
+    }
+  }
+
+  /**
+   * Health check: the data directory must be readable and writable
+   */
+  static async ping() {
+    ensureDataDir();
+    await fs.promises.access(DATA_DIR, fs.constants.R_OK | fs.constants.W_OK);
+  }
+
+  /**
+   * All URLs in file order, optionally of one project
+   * Rows without a project (older files) belong to the default project
+   */
+  static async listURLs({ projectId } = {}) {
+    if (!fs.existsSync(URLS_FILE_PATH)) {
+      return [];
+    }
+
+    const { urls } = await readURLFile();
+    return projectId ? urls.filter(urlData => urlData.projectId === projectId) : urls;
+  }
+
+  static async getURL(id) {
+    return (await this.listURLs()).find(urlData => urlData.id === id) || null;
+  }
+
+  /**
+   * Write the whole URL list
+   * Records without an ID are given one (in place)
+   */
+  static async replaceURLs(urls) {
+    ensureDataDir();
+
+    urls.forEach(urlData => {
+      urlData.id = urlData.id || crypto.randomUUID();
+    });
+
+    const csvWriter = createCsvWriter({
+      path: URLS_FILE_PATH,
+      header: URL_HEADER
+    });
+
+    await csvWriter.writeRecords(urls.map(urlData => ({
+      ...urlData,
+      projectId: urlData.projectId || DEFAULT_PROJECT_ID,
+      httpCode: urlData.httpCode == null ? '' : urlData.httpCode,
+      lastmod: urlData.lastmod || '',
+      addedAt: urlData.addedAt || '',
+      tags: (urlData.tags || []).join(' | '),
+      userNotes: urlData.userNotes || '',
+      fields: urlData.fields && Object.keys(urlData.fields).length > 0 ? JSON.stringify(urlData.fields) : '',
+      ...signalsToColumns(urlData.signals)
+    })));
+  }
+
+  static async insertURLs(records) {
+    await this.replaceURLs([...await this.listURLs(), ...records]);
+  }
+
+  /**
+   * Apply changes ([{ id, changes }]) and resolve to the updated records
+   */
+  static async updateURLs(updates) {
+    const changesById = new Map(updates.map(({ id, changes }) => [id, changes]));
+    const urls = (await this.listURLs()).map(urlData =>
+      changesById.has(urlData.id) ? { ...urlData, ...changesById.get(urlData.id) } : urlData
+    );
+
+    await this.replaceURLs(urls);
+    return urls.filter(urlData => changesById.has(urlData.id));
+  }
+
+  /**
+   * Delete URLs by ID and resolve to the number deleted
+   */
+  static async deleteURLs(ids) {
+    const urls = await this.listURLs();
+    const remaining = urls.filter(urlData => !ids.includes(urlData.id));
+
+    await this.replaceURLs(remaining);
+    return urls.length - remaining.length;
+  }
+
+  /**
+   * History records (oldest first), optionally for one URL or run
+   */
+  static async listHistory({ urlId, runId } = {}) {
+    if (!fs.existsSync(HISTORY_FILE_PATH)) {
+      return [];
+    }
+
+    const records = await readRows(HISTORY_FILE_PATH, {}, (row) => ({
+      runId: row['Run ID'],
+      urlId: row['URL ID'],
+      url: row.URL,
+      status: row.Status,
+      notes: row.Notes || '',
+      httpCode: row['HTTP Code'] ? Number(row['HTTP Code']) : null,
+      provider: row.Provider || '',
+      checkedAt: row['Checked At']
+    }));
+
+    return records.filter(record =>
+      (!urlId || record.urlId === urlId) && (!runId || record.runId === runId)
+    );
+  }
+
+  static async appendHistory(records) {
+    ensureDataDir();
+
+    const csvWriter = createCsvWriter({
+      path: HISTORY_FILE_PATH,
+      header: HISTORY_HEADER,
+      // Only write the header row when the file is created
+      append: fs.existsSync(HISTORY_FILE_PATH)
+    });
+
+    await csvWriter.writeRecords(records.map(record => ({
+      ...record,
+      httpCode: record.httpCode == null ? '' : record.httpCode
+    })));
+  }
+
+  /**
+   * All runs (oldest first)
+   */
+  static async listRuns() {
+    if (!fs.existsSync(RUNS_FILE_PATH)) {
+      return [];
+    }
+
+    return readRows(RUNS_FILE_PATH, {
+      mapHeaders: ({ header }) => {
+        const column = RUN_HEADER.find(h => h.title === header);
+        return column ? column.id : null;
+      }
+    }, (row) => {
+      RUN_COUNT_FIELDS.forEach(field => {
+        row[field] = Number(row[field] || 0);
+      });
+      row.projectId = row.projectId || null;
+      return row;
+    });
+  }
+
+  static async getRun(id) {
+    return (await this.listRuns()).find(run => run.id === id) || null;
+  }
+
+  static async insertRun(run) {
+    ensureDataDir();
+
+    // Files written before a column was added are rewritten with the current header
+    const currentHeader = RUN_HEADER.map(column => column.title).join(',');
+    const upToDate = fs.existsSync(RUNS_FILE_PATH) &&
+      fs.readFileSync(RUNS_FILE_PATH, 'utf8').split('\n')[0].trim() === currentHeader;
+    const previousRuns = !upToDate ? await this.listRuns() : [];
+
+    const csvWriter = createCsvWriter({
+      path: RUNS_FILE_PATH,
+      header: RUN_HEADER,
+      append: upToDate
+    });
+
+    await csvWriter.writeRecords([...previousRuns, run].map(record => ({
+      ...record,
+      projectId: record.projectId || ''
+    })));
+  }
+
+  /**
+   * Indexing submissions (oldest first), optionally for one URL, one
+   * submitter and/or since a time (ISO-8601)
+   */
+  static async listSubmissions({ urlId, submitter, since } = {}) {
+    if (!fs.existsSync(SUBMISSIONS_FILE_PATH)) {
+      return [];
+    }
+
+    const records = await readRows(SUBMISSIONS_FILE_PATH, {}, (row) => ({
+      urlId: row['URL ID'],
+      url: row.URL,
+      projectId: row['Project ID'] || DEFAULT_PROJECT_ID,
+      submitter: row.Submitter,
+      type: row.Type,
+      trigger: row.Trigger,
+      status: row.Status,
+      httpCode: row['HTTP Code'] ? Number(row['HTTP Code']) : null,
+      message: row.Message || '',
+      submittedAt: row['Submitted At']
+    }));
+
+    return records.filter(record =>
+      (!urlId || record.urlId === urlId) &&
+      (!submitter || record.submitter === submitter) &&
+      (!since || record.submittedAt >= since)
+    );
+  }
+
+  static async appendSubmissions(records) {
+    ensureDataDir();
+
+    const csvWriter = createCsvWriter({
+      path: SUBMISSIONS_FILE_PATH,
+      header: SUBMISSION_HEADER,
+      // Only write the header row when the file is created
+      append: fs.existsSync(SUBMISSIONS_FILE_PATH)
+    });
+
+    await csvWriter.writeRecords(records.map(record => ({
+      ...record,
+      projectId: record.projectId || DEFAULT_PROJECT_ID,
+      httpCode: record.httpCode == null ? '' : record.httpCode
+    })));
+  }
+}
+
+module.exports = CsvStore;
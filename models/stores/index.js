@@ -0,0 +1,53 @@
+/**
+ * Storage backends
+ * STORAGE_DRIVER selects one: "sqlite" (default) or "csv" (the original
+ * CSV files). Each store exposes the same methods for URLs, history, runs and indexing submissions.
+ */
+const DRIVERS = {
+  // Loaded on demand so the CSV store works without the native SQLite module
+  csv: () => require('./csv.store'),
+  sqlite: () => require('./sqlite.store')
+};
+
+let store = null;
+let ready = null;
+
+function getStoreDriver() {
+  return (process.env.STORAGE_DRIVER || 'sqlite').toLowerCase();
+}
+
+/**
+ * The configured store (not yet initialized)
+ */
+function getStore() {
+  if (!store) {
+    const driver = getStoreDriver();
+
+    if (!DRIVERS[driver]) {
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}". Use one of: ${Object.keys(DRIVERS).join(', ')}`);
+    }
+
+    store = DRIVERS[driver]();
+  }
+  return store;
+}
+
+/**
+ * The configured store, initialized once
+ * Resolves to { store, created } - created is true when the store had no URL data yet
+ */
+function openStore() {
+  if (!ready) {
+    ready = (async () => {
+      const current = getStore();
+      const { created } = await current.init();
+      return { store: current, created };
+    })().catch(error => {
+      ready = null;
+      throw error;
+    });
+  }
+  return ready;
+}
+
+module.exports = { getStore, getStoreDriver, openStore };
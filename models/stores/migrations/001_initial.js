@@ -0,0 +1,58 @@
+/**
+ * URLs, check history and check runs
+ */
+module.exports = {
+  name: 'initial',
+  up(db) {
+    db.exec(`
+      CREATE TABLE urls (
+        id TEXT PRIMARY KEY,
+        url TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'Pending',
+        last_checked TEXT NOT NULL DEFAULT 'Not yet checked',
+        notes TEXT NOT NULL DEFAULT '',
+        provider TEXT NOT NULL DEFAULT '',
+        http_code INTEGER,
+        lastmod TEXT,
+        signals TEXT
+      );
+
+      CREATE TABLE history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        run_id TEXT NOT NULL,
+        url_id TEXT NOT NULL,
+        url TEXT NOT NULL,
+        status TEXT NOT NULL,
+        notes TEXT NOT NULL DEFAULT '',
+        http_code INTEGER,
+        provider TEXT NOT NULL DEFAULT '',
+        checked_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_history_url_id ON history (url_id);
+      CREATE INDEX idx_history_run_id ON history (run_id);
+
+      CREATE TABLE runs (
+        id TEXT PRIMARY KEY,
+        source TEXT NOT NULL,
+        status TEXT NOT NULL,
+        provider TEXT NOT NULL DEFAULT '',
+        started_at TEXT NOT NULL,
+        finished_at TEXT,
+        total INTEGER NOT NULL DEFAULT 0,
+        indexed INTEGER NOT NULL DEFAULT 0,
+        not_indexed INTEGER NOT NULL DEFAULT 0,
+        invalid INTEGER NOT NULL DEFAULT 0,
+        blocked INTEGER NOT NULL DEFAULT 0,
+        failed INTEGER NOT NULL DEFAULT 0,
+        duration_ms INTEGER NOT NULL DEFAULT 0,
+        retries INTEGER NOT NULL DEFAULT 0,
+        throughput REAL NOT NULL DEFAULT 0
+      );
+
+      CREATE TABLE meta (
+        key TEXT PRIMARY KEY,
+        value TEXT
+      );
+    `);
+  }
+};
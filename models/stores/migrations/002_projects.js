@@ -0,0 +1,17 @@
+const { DEFAULT_PROJECT_ID } = require('../../../config/projects');
+
+/**
+ * Group URLs (and runs) by project; existing URLs move to the default project
+ */
+module.exports = {
+  name: 'projects',
+  up(db) {
+    db.exec(`
+      ALTER TABLE urls ADD COLUMN project_id TEXT NOT NULL DEFAULT '${DEFAULT_PROJECT_ID}';
+      CREATE INDEX idx_urls_project_id ON urls (project_id);
+
+      ALTER TABLE runs ADD COLUMN project_id TEXT;
+      CREATE INDEX idx_runs_project_id ON runs (project_id);
+    `);
+  }
+};
@@ -0,0 +1,9 @@
+/**
+ * When each URL was added (used for time-to-index); unknown for existing URLs
+ */
+module.exports = {
+  name: 'url_added_at',
+  up(db) {
+    db.exec('ALTER TABLE urls ADD COLUMN added_at TEXT');
+  }
+};
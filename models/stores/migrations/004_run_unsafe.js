@@ -0,0 +1,9 @@
+/**
+ * Per-run count of URLs blocked as unsafe targets (private/reserved addresses)
+ */
+module.exports = {
+  name: 'run_unsafe',
+  up(db) {
+    db.exec('ALTER TABLE runs ADD COLUMN unsafe INTEGER NOT NULL DEFAULT 0');
+  }
+};
@@ -0,0 +1,14 @@
+/**
+ * User metadata on URLs: tags (JSON array), custom fields (JSON object)
+ * and user notes, which checks never overwrite (unlike `notes`)
+ */
+module.exports = {
+  name: 'url_metadata',
+  up(db) {
+    db.exec(`
+      ALTER TABLE urls ADD COLUMN tags TEXT NOT NULL DEFAULT '[]';
+      ALTER TABLE urls ADD COLUMN fields TEXT NOT NULL DEFAULT '{}';
+      ALTER TABLE urls ADD COLUMN user_notes TEXT NOT NULL DEFAULT '';
+    `);
+  }
+};
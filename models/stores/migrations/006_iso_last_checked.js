@@ -0,0 +1,19 @@
+const { toISODate } = require('../../../utils/date.utils');
+
+/**
+ * Last check dates as ISO-8601 UTC: converts the IST display strings
+ * ("06/12/2025, 10:30:00 am") written by earlier versions; never-checked
+ * URLs ("Not yet checked") get an empty value
+ */
+module.exports = {
+  name: 'iso_last_checked',
+  up(db) {
+    const update = db.prepare('UPDATE urls SET last_checked = ? WHERE id = ?');
+    db.prepare('SELECT id, last_checked FROM urls').all().forEach(row => {
+      const lastChecked = toISODate(row.last_checked) || '';
+      if (lastChecked !== row.last_checked) {
+        update.run(lastChecked, row.id);
+      }
+    });
+  }
+};
@@ -0,0 +1,25 @@
+/**
+ * Indexing requests sent to search engines (Google Indexing API, IndexNow)
+ */
+module.exports = {
+  name: 'submissions',
+  up(db) {
+    db.exec(`
+      CREATE TABLE submissions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        url_id TEXT NOT NULL,
+        url TEXT NOT NULL,
+        project_id TEXT NOT NULL DEFAULT 'default',
+        submitter TEXT NOT NULL,
+        type TEXT NOT NULL DEFAULT 'URL_UPDATED',
+        trigger TEXT NOT NULL DEFAULT 'manual',
+        status TEXT NOT NULL,
+        http_code INTEGER,
+        message TEXT NOT NULL DEFAULT '',
+        submitted_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_submissions_url_id ON submissions (url_id);
+      CREATE INDEX idx_submissions_submitted_at ON submissions (submitter, submitted_at);
+    `);
+  }
+};
@@ -0,0 +1,423 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Database = require('better-sqlite3');
+const CsvStore = require('./csv.store');
+const { DEFAULT_PROJECT_ID } = require('../../config/projects');
+const logger = require('../../utils/logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+let db = null;
+let initPromise = null;
+
+function getDatabasePath() {
+  return process.env.SQLITE_PATH || path.join(__dirname, '../../data/indexation.db');
+}
+
+function encodeURL(urlData) {
+  return {
+    id: urlData.id,
+    project_id: urlData.projectId || DEFAULT_PROJECT_ID,
+    url: urlData.url,
+    status: urlData.status || 'Pending',
+    last_checked: urlData.lastChecked || '',
+    notes: urlData.notes || '',
+    provider: urlData.provider || '',
+    http_code: urlData.httpCode == null ? null : urlData.httpCode,
+    lastmod: urlData.lastmod || null,
+    signals: urlData.signals ? JSON.stringify(urlData.signals) : null,
+    added_at: urlData.addedAt || null,
+    tags: JSON.stringify(urlData.tags || []),
+    fields: JSON.stringify(urlData.fields || {}),
+    user_notes: urlData.userNotes || ''
+  };
+}
+
+function decodeURL(row) {
+  return {
+    id: row.id,
+    projectId: row.project_id,
+    url: row.url,
+    status: row.status,
+    lastChecked: row.last_checked || null,
+    notes: row.notes,
+    provider: row.provider,
+    httpCode: row.http_code,
+    lastmod: row.lastmod,
+    signals: row.signals ? JSON.parse(row.signals) : null,
+    addedAt: row.added_at,
+    tags: row.tags ? JSON.parse(row.tags) : [],
+    fields: row.fields ? JSON.parse(row.fields) : {},
+    userNotes: row.user_notes || ''
+  };
+}
+
+function encodeHistory(record) {
+  return {
+    run_id: record.runId,
+    url_id: record.urlId,
+    url: record.url,
+    status: record.status,
+    notes: record.notes || '',
+    http_code: record.httpCode == null ? null : record.httpCode,
+    provider: record.provider || '',
+    checked_at: record.checkedAt
+  };
+}
+
+function decodeHistory(row) {
+  return {
+    runId: row.run_id,
+    urlId: row.url_id,
+    url: row.url,
+    status: row.status,
+    notes: row.notes,
+    httpCode: row.http_code,
+    provider: row.provider,
+    checkedAt: row.checked_at
+  };
+}
+
+function encodeRun(run) {
+  return {
+    id: run.id,
+    source: run.source,
+    status: run.status,
+    provider: run.provider || '',
+    project_id: run.projectId || null,
+    started_at: run.startedAt,
+    finished_at: run.finishedAt || null,
+    total: run.total || 0,
+    indexed: run.indexed || 0,
+    not_indexed: run.notIndexed || 0,
+    invalid: run.invalid || 0,
+    blocked: run.blocked || 0,
+    unsafe: run.unsafe || 0,
+    failed: run.failed || 0,
+    duration_ms: run.durationMs || 0,
+    retries: run.retries || 0,
+    throughput: run.throughput || 0
+  };
+}
+
+function decodeRun(row) {
+  return {
+    id: row.id,
+    source: row.source,
+    status: row.status,
+    provider: row.provider,
+    projectId: row.project_id,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    total: row.total,
+    indexed: row.indexed,
+    notIndexed: row.not_indexed,
+    invalid: row.invalid,
+    blocked: row.blocked,
+    unsafe: row.unsafe,
+    failed: row.failed,
+    durationMs: row.duration_ms,
+    retries: row.retries,
+    throughput: row.throughput
+  };
+}
+
+function encodeSubmission(record) {
+  return {
+    url_id: record.urlId,
+    url: record.url,
+    project_id: record.projectId || DEFAULT_PROJECT_ID,
+    submitter: record.submitter,
+    type: record.type,
+    trigger: record.trigger,
+    status: record.status,
+    http_code: record.httpCode == null ? null : record.httpCode,
+    message: record.message || '',
+    submitted_at: record.submittedAt
+  };
+}
+
+function decodeSubmission(row) {
+  return {
+    urlId: row.url_id,
+    url: row.url,
+    projectId: row.project_id,
+    submitter: row.submitter,
+    type: row.type,
+    trigger: row.trigger,
+    status: row.status,
+    httpCode: row.http_code,
+    message: row.message,
+    submittedAt: row.submitted_at
+  };
+}
+
+/**
+ * Named-parameter INSERT for an encoded record
+ */
+function insertStatement(table, encoded) {
+  const columns = Object.keys(encoded);
+  return db.prepare(`INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(column => `@${column}`).join(', ')})`);
+}
+
+/**
+ * SQLite Store - Embedded database (data/indexation.db, or SQLITE_PATH)
+ * Schema changes live in ./migrations and are applied on startup. On first
+ * start, existing CSV data (urls, history, runs) is imported once.
+ */
+class SqliteStore {
+  static get id() {
+    return 'sqlite';
+  }
+
+  /**
+   * Open the database, migrate it and import CSV data on first use
+   * Resolves to { created } - created is true when a new database had nothing to import
+   */
+  static init() {
+    if (!initPromise) {
+      initPromise = this.open().catch(error => {
+        initPromise = null;
+        throw error;
+      });
+    }
+    return initPromise;
+  }
+
+  static async open() {
+    const dbPath = getDatabasePath();
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+
+    db = new Database(dbPath);
+    db.pragma('journal_mode = WAL');
+    db.pragma('busy_timeout = 5000');
+
+    this.migrate();
+
+    const imported = db.prepare("SELECT value FROM meta WHERE key = 'csv_imported_at'").get();
+    if (imported) {
+      return { created: false };
+    }
+
+    const counts = await this.importFromCSV();
+    return { created: counts.urls === 0 };
+  }
+
+  /**
+   * Apply pending migrations (files named NNN_name.js, in order)
+   */
+  static migrate() {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+      )
+    `);
+
+    const applied = new Set(db.prepare('SELECT version FROM schema_migrations').all().map(row => row.version));
+    const pending = fs.readdirSync(MIGRATIONS_DIR)
+      .filter(file => /^\d+_.+\.js$/.test(file))
+      .sort()
+      .filter(file => !applied.has(parseInt(file, 10)));
+
+    pending.forEach(file => {
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+
+      db.transaction(() => {
+        migration.up(db);
+        db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)')
+          .run(parseInt(file, 10), migration.name, new Date().toISOString());
+      })();
+
+      logger.info('Applied database migration', { migration: file });
+    });
+  }
+
+  /**
+   * Health check: run a trivial query
+   */
+  static async ping() {
+    db.prepare('SELECT 1').get();
+  }
+
+  /**
+   * One-time import of urls.csv, history.csv and runs.csv
+   * The CSV files are left in place
+   */
+  static async importFromCSV() {
+    const urls = await CsvStore.listURLs();
+    const history = await CsvStore.listHistory();
+    const runs = await CsvStore.listRuns();
+
+    db.transaction(() => {
+      urls.forEach(urlData => this.insertURLRow(urlData));
+      this.insertHistoryRows(history);
+      runs.forEach(run => this.insertRunRow(run));
+      db.prepare("INSERT INTO meta (key, value) VALUES ('csv_imported_at', ?)").run(new Date().toISOString());
+    })();
+
+    if (urls.length + history.length + runs.length > 0) {
+      logger.info('Imported CSV data into SQLite', { urls: urls.length, history: history.length, runs: runs.length });
+    }
+
+    return { urls: urls.length, history: history.length, runs: runs.length };
+  }
+
+  /**
+   * Insert one URL; records without an ID are given one (in place)
+   */
+  static insertURLRow(urlData) {
+    urlData.id = urlData.id || crypto.randomUUID();
+    const encoded = encodeURL(urlData);
+    insertStatement('urls', encoded).run(encoded);
+  }
+
+  /**
+   * All URLs in insertion order, optionally of one project
+   */
+  static async listURLs({ projectId } = {}) {
+    const rows = projectId
+      ? db.prepare('SELECT * FROM urls WHERE project_id = ? ORDER BY rowid').all(projectId)
+      : db.prepare('SELECT * FROM urls ORDER BY rowid').all();
+    return rows.map(decodeURL);
+  }
+
+  static async getURL(id) {
+    const row = db.prepare('SELECT * FROM urls WHERE id = ?').get(id);
+    return row ? decodeURL(row) : null;
+  }
+
+  static async replaceURLs(urls) {
+    db.transaction(() => {
+      db.prepare('DELETE FROM urls').run();
+      urls.forEach(urlData => this.insertURLRow(urlData));
+    })();
+  }
+
+  static async insertURLs(records) {
+    db.transaction(() => {
+      records.forEach(urlData => this.insertURLRow(urlData));
+    })();
+  }
+
+  /**
+   * Apply changes ([{ id, changes }]) and resolve to the updated records
+   */
+  static async updateURLs(updates) {
+    const select = db.prepare('SELECT * FROM urls WHERE id = ?');
+    const columns = Object.keys(encodeURL({})).filter(column => column !== 'id');
+    const update = db.prepare(`UPDATE urls SET ${columns.map(column => `${column} = @${column}`).join(', ')} WHERE id = @id`);
+
+    return db.transaction(() => {
+      const updated = [];
+      updates.forEach(({ id, changes }) => {
+        const row = select.get(id);
+        if (!row) {
+          return;
+        }
+        const urlData = { ...decodeURL(row), ...changes, id };
+        update.run(encodeURL(urlData));
+        updated.push(urlData);
+      });
+      return updated;
+    })();
+  }
+
+  /**
+   * Delete URLs by ID and resolve to the number deleted
+   */
+  static async deleteURLs(ids) {
+    const remove = db.prepare('DELETE FROM urls WHERE id = ?');
+    return db.transaction(() => ids.reduce((count, id) => count + remove.run(id).changes, 0))();
+  }
+
+  /**
+   * History records (oldest first), optionally for one URL or run
+   */
+  static async listHistory({ urlId, runId } = {}) {
+    const conditions = [];
+    const params = {};
+
+    if (urlId) {
+      conditions.push('url_id = @urlId');
+      params.urlId = urlId;
+    }
+    if (runId) {
+      conditions.push('run_id = @runId');
+      params.runId = runId;
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return db.prepare(`SELECT * FROM history ${where} ORDER BY id`).all(params).map(decodeHistory);
+  }
+
+  static insertHistoryRows(records) {
+    records.forEach(record => {
+      const encoded = encodeHistory(record);
+      insertStatement('history', encoded).run(encoded);
+    });
+  }
+
+  static async appendHistory(records) {
+    db.transaction(() => this.insertHistoryRows(records))();
+  }
+
+  /**
+   * All runs (oldest first)
+   */
+  static async listRuns() {
+    return db.prepare('SELECT * FROM runs ORDER BY rowid').all().map(decodeRun);
+  }
+
+  static async getRun(id) {
+    const row = db.prepare('SELECT * FROM runs WHERE id = ?').get(id);
+    return row ? decodeRun(row) : null;
+  }
+
+  static insertRunRow(run) {
+    const encoded = encodeRun(run);
+    insertStatement('runs', encoded).run(encoded);
+  }
+
+  static async insertRun(run) {
+    this.insertRunRow(run);
+  }
+
+  /**
+   * Indexing submissions (oldest first), optionally for one URL, one
+   * submitter and/or since a time (ISO-8601)
+   */
+  static async listSubmissions({ urlId, submitter, since } = {}) {
+    const conditions = [];
+    const params = {};
+
+    if (urlId) {
+      conditions.push('url_id = @urlId');
+      params.urlId = urlId;
+    }
+    if (submitter) {
+      conditions.push('submitter = @submitter');
+      params.submitter = submitter;
+    }
+    if (since) {
+      conditions.push('submitted_at >= @since');
+      params.since = since;
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return db.prepare(`SELECT * FROM submissions ${where} ORDER BY id`).all(params).map(decodeSubmission);
+  }
+
+  static async appendSubmissions(records) {
+    db.transaction(() => {
+      records.forEach(record => {
+        const encoded = encodeSubmission(record);
+        insertStatement('submissions', encoded).run(encoded);
+      });
+    })();
+  }
+}
+
+module.exports = SqliteStore;
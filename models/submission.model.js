@@ -0,0 +1,38 @@
+const { openStore } = require('./stores');
+
+/**
+ * Submission Model - Append-only log of indexing requests sent to search
+ * engines (see services/indexing.service.js), one record per URL per
+ * submitter, timestamps are ISO-8601 UTC
+ */
+class SubmissionModel {
+  /**
+   * Read submissions (oldest first), optionally of one submitter since a time
+   */
+  static async readAll({ submitter, since } = {}) {
+    const { store } = await openStore();
+    return store.listSubmissions({ submitter, since });
+  }
+
+  /**
+   * Append records to the log
+   */
+  static async append(records) {
+    if (records.length === 0) {
+      return;
+    }
+
+    const { store } = await openStore();
+    return store.appendSubmissions(records);
+  }
+
+  /**
+   * Get the submissions of a single URL (oldest first)
+   */
+  static async findByURLId(urlId) {
+    const { store } = await openStore();
+    return store.listSubmissions({ urlId });
+  }
+}
+
+module.exports = SubmissionModel;
@@ -1,137 +1,410 @@
-const fs = require('fs');
-const path = require('path');
-const csv = require('csv-parser');
-const createCsvWriter = require('csv-writer').createObjectCsvWriter;
+const crypto = require('crypto');
+const { openStore } = require('./stores');
+const Mutex = require('../utils/mutex');
+const { DEFAULT_PROJECT_ID } = require('../config/projects');
+const { normalizeURL } = require('../utils/url.utils');
+const { mergeFields } = require('../utils/metadata.utils');
+const { ConflictError } = require('../utils/errors');
+const logger = require('../utils/logger');
 
-const CSV_FILE_PATH = path.join(__dirname, '../data/urls.csv');
+// Serializes URL writes so read-modify-write sequences (uploads, check
+// results, single edits) never interleave and lose each other's updates
+const writeLock = new Mutex();
+
+let ready = null;
+
+/**
+ * The configured store, with sample data created on first use
+ */
+function getStore() {
+  if (!ready) {
+    ready = openStore()
+      .then(async ({ store, created }) => {
+        if (created) {
+          await URLModel.createSampleData(store);
+        }
+        return store;
+      })
+      .catch(error => {
+        ready = null;
+        throw error;
+      });
+  }
+  return ready;
+}
 
 /**
- * URL Model - Handles CSV data operations
+ * URL Model - URL records in the configured store (see models/stores)
  */
 class URLModel {
   /**
-   * Read all URLs from CSV file
+   * Read all URLs, or only those of one project
    */
-  static async readAllURLs() {
-    return new Promise((resolve, reject) => {
-      const urls = [];
-      
-      // Check if file exists
-      if (!fs.existsSync(CSV_FILE_PATH)) {
-        // Create sample data if file doesn't exist
-        this.createSampleData().then(() => {
-          this.readAllURLs().then(resolve).catch(reject);
-        });
-        return;
+  static async readAllURLs(projectId) {
+    return (await getStore()).listURLs({ projectId });
+  }
+
+  /**
+   * Replace all URLs
+   * Records without an ID are given one (in place)
+   */
+  static async writeAllURLs(urls) {
+    const store = await getStore();
+    return writeLock.runExclusive(() => store.replaceURLs(urls));
+  }
+
+  /**
+   * Find a URL by its ID
+   */
+  static async findById(id) {
+    return (await getStore()).getURL(id);
+  }
+
+  /**
+   * Find a URL that matches after normalization (optionally ignoring one ID)
+   */
+  static findDuplicate(urls, url, ignoreId = null) {
+    const normalized = normalizeURL(url);
+    return urls.find(urlData => urlData.id !== ignoreId && normalizeURL(urlData.url) === normalized) || null;
+  }
+
+  /**
+   * Add a single URL to a project
+   * Throws a 409 URL_DUPLICATE error if the project already has the URL (after normalization)
+   */
+  static async createURL({ url, notes = '', userNotes = '', tags = [], fields = {}, projectId = DEFAULT_PROJECT_ID }) {
+    const store = await getStore();
+
+    return writeLock.runExclusive(async () => {
+      const urls = await store.listURLs({ projectId });
+      const duplicate = this.findDuplicate(urls, url);
+
+      if (duplicate) {
+        throw new ConflictError(`URL already exists (ID ${duplicate.id})`, { code: 'URL_DUPLICATE' });
+      }
+
+      const urlData = {
+        id: crypto.randomUUID(),
+        projectId,
+        url: url.trim(),
+        status: 'Pending',
+        lastChecked: null,
+        notes,
+        provider: '',
+        httpCode: null,
+        lastmod: null,
+        signals: null,
+        addedAt: new Date().toISOString(),
+        tags,
+        fields,
+        userNotes
+      };
+
+      await store.insertURLs([urlData]);
+      return urlData;
+    });
+  }
+
+  /**
+   * Update a single URL's editable fields (url, notes, userNotes, tags, fields)
+   * `fields` are merged into the existing ones (null removes a field)
+   * Changing the URL resets its status to Pending
+   * Resolves to the updated record, or null if not found
+   */
+  static async updateURL(id, changes) {
+    const store = await getStore();
+
+    return writeLock.runExclusive(async () => {
+      const existing = await store.getURL(id);
+
+      if (!existing) {
+        return null;
       }
 
-      fs.createReadStream(CSV_FILE_PATH)
-        .pipe(csv())
-        .on('data', (row) => {
-          urls.push({
-            url: row.URL || row.url,
-            status: row.Status || row.status || 'Pending',
-            lastChecked: row['Last Checked Date'] || row.lastChecked || 'Not yet checked',
-            notes: row.Notes || row.notes || ''
-          });
-        })
-        .on('end', () => {
-          resolve(urls);
-        })
-        .on('error', (error) => {
-          reject(error);
+      // URLs only need to be unique within their project
+      const urls = await store.listURLs({ projectId: existing.projectId });
+
+      const updated = { ...existing };
+
+      if (changes.url !== undefined && changes.url.trim() !== updated.url) {
+        const duplicate = this.findDuplicate(urls, changes.url, id);
+        if (duplicate) {
+          throw new ConflictError(`URL already exists (ID ${duplicate.id})`, { code: 'URL_DUPLICATE' });
+        }
+
+        Object.assign(updated, {
+          url: changes.url.trim(),
+          status: 'Pending',
+          lastChecked: null,
+          provider: '',
+          httpCode: null,
+          signals: null
         });
+      }
+
+      if (changes.notes !== undefined) {
+        updated.notes = changes.notes;
+      }
+      if (changes.userNotes !== undefined) {
+        updated.userNotes = changes.userNotes;
+      }
+      if (changes.tags !== undefined) {
+        updated.tags = changes.tags;
+      }
+      if (changes.fields !== undefined) {
+        updated.fields = mergeFields(updated.fields, changes.fields);
+      }
+
+      await store.updateURLs([{ id, changes: updated }]);
+      return updated;
     });
   }
 
   /**
-   * Write all URLs to CSV file
+   * Delete a single URL
+   * Resolves to the deleted record, or null if not found
    */
-  static async writeAllURLs(urls) {
-    const csvWriter = createCsvWriter({
-      path: CSV_FILE_PATH,
-      header: [
-        { id: 'url', title: 'URL' },
-        { id: 'status', title: 'Status' },
-        { id: 'lastChecked', title: 'Last Checked Date' },
-        { id: 'notes', title: 'Notes' }
-      ]
+  static async deleteURL(id) {
+    const store = await getStore();
+
+    return writeLock.runExclusive(async () => {
+      const deleted = await store.getURL(id);
+
+      if (!deleted) {
+        return null;
+      }
+
+      await store.deleteURLs([id]);
+      return deleted;
     });
+  }
 
-    return csvWriter.writeRecords(urls);
+  /**
+   * Delete all URLs of a project
+   * Resolves to the number deleted
+   */
+  static async deleteProjectURLs(projectId) {
+    const store = await getStore();
+
+    return writeLock.runExclusive(async () => {
+      const urls = await store.listURLs({ projectId });
+      return urls.length > 0 ? store.deleteURLs(urls.map(urlData => urlData.id)) : 0;
+    });
   }
 
   /**
-   * Update single URL status
+   * Import uploaded rows ([{ row, url, notes, userNotes, tags, fields, lastmod, error }])
+   * into a project using one of the modes:
+   * - replace: uploaded rows become the project's whole list (statuses reset)
+   * - append: add new URLs, skip ones that already exist
+   * - merge: add new URLs, update notes/userNotes/tags/fields/lastmod of existing
+   *   ones when given (status and history are kept; fields are merged)
+   * - remove: delete the listed URLs
+   * Rows with an `error` (failed validation) are rejected with it as the reason.
+   * Resolves to a report with counts and the outcome of every row
+   * (`results`: [{ row, url, result: added|updated|removed|duplicate|rejected, id, reason }])
    */
-  static async updateURLStatus(urlToUpdate, status, notes = '') {
-    const urls = await this.readAllURLs();
-    const updatedUrls = urls.map(urlData => {
-      if (urlData.url === urlToUpdate) {
-        return {
-          ...urlData,
-          status,
-          lastChecked: new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' }),
-          notes
-        };
+  static async importURLs(rows, mode = 'replace', projectId = DEFAULT_PROJECT_ID) {
+    const store = await getStore();
+
+    return writeLock.runExclusive(async () => {
+      const existing = await store.listURLs({ projectId });
+      const urls = mode === 'replace' ? [] : [...existing];
+      // Project URLs by normalized URL, so large files don't rescan the list per row
+      const byURL = new Map();
+      urls.forEach(urlData => {
+        const key = normalizeURL(urlData.url);
+        if (!byURL.has(key)) {
+          byURL.set(key, urlData);
+        }
+      });
+      const seen = new Set();
+      const added = [];
+      const changed = new Set();
+      const removedIds = [];
+      const report = { added: 0, updated: 0, removed: 0, duplicates: [], rejected: [], results: [] };
+
+      const reject = (row, url, reason) => {
+        report.rejected.push({ row, url, reason });
+        report.results.push({ row, url, result: 'rejected', reason });
+      };
+      const skip = (row, url, reason) => {
+        report.duplicates.push({ row, url, reason });
+        report.results.push({ row, url, result: 'duplicate', reason });
+      };
+
+      for (const { row, url, notes, userNotes, tags, fields, lastmod, error } of rows) {
+        if (!url || error) {
+          reject(row, url || '', error || 'Missing URL');
+          continue;
+        }
+
+        const normalized = normalizeURL(url);
+        if (seen.has(normalized)) {
+          skip(row, url, 'Duplicate of an earlier row in the file');
+          continue;
+        }
+        seen.add(normalized);
+
+        const match = byURL.get(normalized) || null;
+
+        if (mode === 'remove') {
+          if (match) {
+            byURL.delete(normalized);
+            removedIds.push(match.id);
+            report.removed++;
+            report.results.push({ row, url, result: 'removed', id: match.id });
+          } else {
+            reject(row, url, 'URL not found');
+          }
+        } else if (match && mode === 'merge') {
+          if (notes) {
+            match.notes = notes;
+          }
+          if (userNotes) {
+            match.userNotes = userNotes;
+          }
+          if (tags && tags.length > 0) {
+            match.tags = tags;
+          }
+          if (fields && Object.keys(fields).length > 0) {
+            match.fields = mergeFields(match.fields, fields);
+          }
+          if (lastmod) {
+            match.lastmod = lastmod;
+          }
+          changed.add(match);
+          report.updated++;
+          report.results.push({ row, url, result: 'updated', id: match.id });
+        } else if (match) {
+          skip(row, url, `URL already exists (ID ${match.id})`);
+        } else {
+          const urlData = {
+            id: crypto.randomUUID(),
+            projectId,
+            url,
+            status: 'Pending',
+            lastChecked: null,
+            notes: notes || '',
+            provider: '',
+            httpCode: null,
+            lastmod: lastmod || null,
+            signals: null,
+            addedAt: new Date().toISOString(),
+            tags: tags || [],
+            fields: fields || {},
+            userNotes: userNotes || ''
+          };
+          urls.push(urlData);
+          byURL.set(normalized, urlData);
+          added.push(urlData);
+          report.added++;
+          report.results.push({ row, url, result: 'added', id: urlData.id });
+        }
       }
-      return urlData;
+
+      // Only the affected rows are written; replace swaps out the project's URLs
+      if (mode === 'replace') {
+        removedIds.push(...existing.map(urlData => urlData.id));
+      }
+      if (removedIds.length > 0) {
+        await store.deleteURLs(removedIds);
+      }
+      if (changed.size > 0) {
+        await store.updateURLs([...changed].map(urlData => ({
+          id: urlData.id,
+          changes: {
+            notes: urlData.notes,
+            userNotes: urlData.userNotes,
+            tags: urlData.tags,
+            fields: urlData.fields,
+            lastmod: urlData.lastmod
+          }
+        })));
+      }
+      if (added.length > 0) {
+        await store.insertURLs(added);
+      }
+
+      const removed = new Set(removedIds);
+      return { ...report, urls: urls.filter(urlData => !removed.has(urlData.id)) };
     });
+  }
 
-    await this.writeAllURLs(updatedUrls);
-    return updatedUrls;
+  /**
+   * Apply check results to URLs, matched by ID
+   * `lastChecked` is when each URL was checked (ISO-8601 UTC)
+   * URLs added or removed meanwhile are left as they are
+   */
+  static async updateURLStatuses(results) {
+    const store = await getStore();
+    const now = new Date().toISOString();
+
+    return writeLock.runExclusive(() => store.updateURLs(results.map(result => ({
+      id: result.id,
+      changes: {
+        status: result.status,
+        lastChecked: result.checkedAt || now,
+        notes: result.notes,
+        provider: result.provider || '',
+        httpCode: result.httpCode == null ? null : result.httpCode,
+        signals: result.signals || null
+      }
+    }))));
   }
 
   /**
-   * Create sample data with indexed, not indexed, and invalid URLs
+   * Update single URL status
    */
-  static async createSampleData() {
-    // Ensure data directory exists
-    const dataDir = path.dirname(CSV_FILE_PATH);
-    if (!fs.existsSync(dataDir)) {
-      fs.mkdirSync(dataDir, { recursive: true });
-    }
+  static async updateURLStatus(id, result) {
+    const [updated] = await this.updateURLStatuses([{ ...result, id }]);
+    return updated || null;
+  }
 
+  /**
+   * Create sample data with indexed, not indexed, and invalid URLs
+   */
+  static async createSampleData(store) {
     const sampleURLs = [
       // Indexed URLs (popular websites)
-      { url: 'https://www.google.com', status: 'Pending', lastChecked: 'Not yet checked', notes: '' },
-      { url: 'https://www.wikipedia.org', status: 'Pending', lastChecked: 'Not yet checked', notes: '' },
-      { url: 'https://www.github.com', status: 'Pending', lastChecked: 'Not yet checked', notes: '' },
-      { url: 'https://www.stackoverflow.com', status: 'Pending', lastChecked: 'Not yet checked', notes: '' },
-      { url: 'https://www.youtube.com', status: 'Pending', lastChecked: 'Not yet checked', notes: '' },
-      { url: 'https://www.amazon.com', status: 'Pending', lastChecked: 'Not yet checked', notes: '' },
-      { url: 'https://www.facebook.com', status: 'Pending', lastChecked: 'Not yet checked', notes: '' },
-      { url: 'https://www.twitter.com', status: 'Pending', lastChecked: 'Not yet checked', notes: '' },
-      { url: 'https://www.linkedin.com', status: 'Pending', lastChecked: 'Not yet checked', notes: '' },
-      { url: 'https://www.reddit.com', status: 'Pending', lastChecked: 'Not yet checked', notes: '' },
+      { url: 'https://www.google.com', status: 'Pending', lastChecked: null, notes: '' },
+      { url: 'https://www.wikipedia.org', status: 'Pending', lastChecked: null, notes: '' },
+      { url: 'https://www.github.com', status: 'Pending', lastChecked: null, notes: '' },
+      { url: 'https://www.stackoverflow.com', status: 'Pending', lastChecked: null, notes: '' },
+      { url: 'https://www.youtube.com', status: 'Pending', lastChecked: null, notes: '' },
+      { url: 'https://www.amazon.com', status: 'Pending', lastChecked: null, notes: '' },
+      { url: 'https://www.facebook.com', status: 'Pending', lastChecked: null, notes: '' },
+      { url: 'https://www.twitter.com', status: 'Pending', lastChecked: null, notes: '' },
+      { url: 'https://www.linkedin.com', status: 'Pending', lastChecked: null, notes: '' },
+      { url: 'https://www.reddit.com', status: 'Pending', lastChecked: null, notes: '' },
 
       // Not indexed URLs (obscure or deep pages)
-      { url: 'https://www.example.com/very/deep/page/12345', status: 'Pending', lastChecked: 'Not yet checked', notes: '' },
-      { url: 'https://www.testsite123456789.com', status: 'Pending', lastChecked: 'Not yet checked', notes: '' },
-      { url: 'https://www.myunknownwebsite.org', status: 'Pending', lastChecked: 'Not yet checked', notes: '' },
-      { url: 'https://subdomain.rarely-visited-site.com', status: 'Pending', lastChecked: 'Not yet checked', notes: '' },
-      { url: 'https://www.obscure-tech-blog.io/post/99999', status: 'Pending', lastChecked: 'Not yet checked', notes: '' },
-      { url: 'https://www.hidden-portfolio.net/projects', status: 'Pending', lastChecked: 'Not yet checked', notes: '' },
-      { url: 'https://staging.example-company.com', status: 'Pending', lastChecked: 'Not yet checked', notes: '' },
-      { url: 'https://www.personal-blog-2024.com/archives', status: 'Pending', lastChecked: 'Not yet checked', notes: '' },
-      { url: 'https://beta.newstartup.tech', status: 'Pending', lastChecked: 'Not yet checked', notes: '' },
-      { url: 'https://www.niche-hobby-forum.com/thread/54321', status: 'Pending', lastChecked: 'Not yet checked', notes: '' },
+      { url: 'https://www.example.com/very/deep/page/12345', status: 'Pending', lastChecked: null, notes: '' },
+      { url: 'https://www.testsite123456789.com', status: 'Pending', lastChecked: null, notes: '' },
+      { url: 'https://www.myunknownwebsite.org', status: 'Pending', lastChecked: null, notes: '' },
+      { url: 'https://subdomain.rarely-visited-site.com', status: 'Pending', lastChecked: null, notes: '' },
+      { url: 'https://www.obscure-tech-blog.io/post/99999', status: 'Pending', lastChecked: null, notes: '' },
+      { url: 'https://www.hidden-portfolio.net/projects', status: 'Pending', lastChecked: null, notes: '' },
+      { url: 'https://staging.example-company.com', status: 'Pending', lastChecked: null, notes: '' },
+      { url: 'https://www.personal-blog-2024.com/archives', status: 'Pending', lastChecked: null, notes: '' },
+      { url: 'https://beta.newstartup.tech', status: 'Pending', lastChecked: null, notes: '' },
+      { url: 'https://www.niche-hobby-forum.com/thread/54321', status: 'Pending', lastChecked: null, notes: '' },
 
       // Invalid URLs
-      { url: 'http://thisisnotavalidurl', status: 'Pending', lastChecked: 'Not yet checked', notes: '' },
-      { url: 'https://999.999.999.999', status: 'Pending', lastChecked: 'Not yet checked', notes: '' },
-      { url: 'htp://wrong-protocol.com', status: 'Pending', lastChecked: 'Not yet checked', notes: '' },
-      { url: 'www.missing-protocol.com', status: 'Pending', lastChecked: 'Not yet checked', notes: '' },
-      { url: 'https://nonexistent-domain-12345678.xyz', status: 'Pending', lastChecked: 'Not yet checked', notes: '' },
-      { url: 'https://fake website.com', status: 'Pending', lastChecked: 'Not yet checked', notes: '' },
-      { url: 'https://.com', status: 'Pending', lastChecked: 'Not yet checked', notes: '' },
-      { url: 'not-a-url-at-all', status: 'Pending', lastChecked: 'Not yet checked', notes: '' },
-      { url: 'https://localhost:99999', status: 'Pending', lastChecked: 'Not yet checked', notes: '' },
-      { url: 'ftp://wrong-scheme.com', status: 'Pending', lastChecked: 'Not yet checked', notes: '' }
+      { url: 'http://thisisnotavalidurl', status: 'Pending', lastChecked: null, notes: '' },
+      { url: 'https://999.999.999.999', status: 'Pending', lastChecked: null, notes: '' },
+      { url: 'htp://wrong-protocol.com', status: 'Pending', lastChecked: null, notes: '' },
+      { url: 'www.missing-protocol.com', status: 'Pending', lastChecked: null, notes: '' },
+      { url: 'https://nonexistent-domain-12345678.xyz', status: 'Pending', lastChecked: null, notes: '' },
+      { url: 'https://fake website.com', status: 'Pending', lastChecked: null, notes: '' },
+      { url: 'https://.com', status: 'Pending', lastChecked: null, notes: '' },
+      { url: 'not-a-url-at-all', status: 'Pending', lastChecked: null, notes: '' },
+      { url: 'https://localhost:99999', status: 'Pending', lastChecked: null, notes: '' },
+      { url: 'ftp://wrong-scheme.com', status: 'Pending', lastChecked: null, notes: '' }
     ];
 
-    await this.writeAllURLs(sampleURLs);
-    console.log('✅ Sample data created in urls.csv');
+    await store.replaceURLs(sampleURLs);
+    logger.info('Sample data created', { store: store.id, urls: sampleURLs.length });
   }
 }
 
@@ -0,0 +1,29 @@
+const express = require('express');
+const AlertController = require('../controllers/alert.controller');
+const validate = require('../middleware/validate');
+const schemas = require('../schemas/alert.schemas');
+
+const router = express.Router();
+
+// GET /api/alerts/rules - Get all alert rules
+router.get('/rules', validate(schemas.getAllRules), AlertController.getAllRules);
+
+// POST /api/alerts/rules - Add an alert rule
+router.post('/rules', validate(schemas.createRule), AlertController.createRule);
+
+// GET /api/alerts/rules/:id - Get a single alert rule
+router.get('/rules/:id', validate(schemas.getRule), AlertController.getRule);
+
+// PATCH /api/alerts/rules/:id - Edit an alert rule
+router.patch('/rules/:id', validate(schemas.updateRule), AlertController.updateRule);
+
+// DELETE /api/alerts/rules/:id - Delete an alert rule
+router.delete('/rules/:id', validate(schemas.deleteRule), AlertController.deleteRule);
+
+// POST /api/alerts/rules/:id/test - Send a test alert
+router.post('/rules/:id/test', validate(schemas.testRule), AlertController.testRule);
+
+// GET /api/alerts/deliveries - Get the alert delivery log
+router.get('/deliveries', validate(schemas.getDeliveries), AlertController.getDeliveries);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const AuthController = require('../controllers/auth.controller');
+const { requireRole } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const schemas = require('../schemas/auth.schemas');
+
+// Mounted behind authenticate (see server.js)
+const router = express.Router();
+
+// GET /api/auth/me - Current role and credential
+router.get('/me', validate(schemas.getMe), AuthController.getMe);
+
+// PATCH /api/auth/me - Change the caller's own settings (timezone)
+router.patch('/me', validate(schemas.updateMe), AuthController.updateMe);
+
+// POST /api/auth/token - Exchange an API key for a JWT
+router.post('/token', validate(schemas.createToken), AuthController.createToken);
+
+// GET /api/auth/keys - Get all API keys
+router.get('/keys', requireRole('admin'), validate(schemas.getAllKeys), AuthController.getAllKeys);
+
+// POST /api/auth/keys - Create an API key
+router.post('/keys', requireRole('admin'), validate(schemas.createKey), AuthController.createKey);
+
+// PATCH /api/auth/keys/:id - Rename an API key, change its role or timezone
+router.patch('/keys/:id', requireRole('admin'), validate(schemas.updateKey), AuthController.updateKey);
+
+// DELETE /api/auth/keys/:id - Revoke an API key
+router.delete('/keys/:id', requireRole('admin'), validate(schemas.deleteKey), AuthController.deleteKey);
+
+module.exports = router;
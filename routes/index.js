@@ -0,0 +1,32 @@
+const urlRoutes = require('./url.routes');
+const runRoutes = require('./run.routes');
+const jobRoutes = require('./job.routes');
+const scheduleRoutes = require('./schedule.routes');
+const alertRoutes = require('./alert.routes');
+const sitemapRoutes = require('./sitemap.routes');
+const projectRoutes = require('./project.routes');
+const authRoutes = require('./auth.routes');
+const statsRoutes = require('./stats.routes');
+
+// Roles needed to read (GET) and change (other methods) under each path -
+// viewers read, editors change URLs and run checks, admins manage
+// schedules, alerts and API keys (see config/roles.js)
+const EDITABLE = { read: 'viewer', write: 'editor' };
+
+/**
+ * API routers and where they are mounted (server.js); also the source of the
+ * OpenAPI document (GET /api/docs)
+ */
+const apiRoutes = [
+  { path: '/api/auth', router: authRoutes, tag: 'Auth', roles: { read: 'viewer', write: 'viewer' } },
+  { path: '/api/urls', router: urlRoutes, tag: 'URLs', roles: EDITABLE },
+  { path: '/api/runs', router: runRoutes, tag: 'Runs', roles: EDITABLE },
+  { path: '/api/jobs', router: jobRoutes, tag: 'Jobs', roles: EDITABLE },
+  { path: '/api/schedules', router: scheduleRoutes, tag: 'Schedules', roles: { read: 'viewer', write: 'admin' } },
+  { path: '/api/alerts', router: alertRoutes, tag: 'Alerts', roles: { read: 'admin', write: 'admin' } },
+  { path: '/api/sitemaps', router: sitemapRoutes, tag: 'Sitemaps', roles: EDITABLE },
+  { path: '/api/projects', router: projectRoutes, tag: 'Projects', roles: EDITABLE },
+  { path: '/api/stats', router: statsRoutes, tag: 'Stats', roles: EDITABLE }
+];
+
+module.exports = { apiRoutes };
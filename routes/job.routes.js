@@ -0,0 +1,17 @@
+const express = require('express');
+const JobController = require('../controllers/job.controller');
+const validate = require('../middleware/validate');
+const schemas = require('../schemas/job.schemas');
+
+const router = express.Router();
+
+// GET /api/jobs - Get all check jobs
+router.get('/', validate(schemas.getAllJobs), JobController.getAllJobs);
+
+// GET /api/jobs/:id - Get job progress and results
+router.get('/:id', validate(schemas.getJob), JobController.getJob);
+
+// DELETE /api/jobs/:id - Cancel a running job
+router.delete('/:id', validate(schemas.cancelJob), JobController.cancelJob);
+
+module.exports = router;
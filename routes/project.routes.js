@@ -0,0 +1,46 @@
+const express = require('express');
+const ProjectController = require('../controllers/project.controller');
+const ScheduleController = require('../controllers/schedule.controller');
+const RunController = require('../controllers/run.controller');
+const StatsController = require('../controllers/stats.controller');
+const urlRoutes = require('./url.routes');
+const { requireRole } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const projectSchemas = require('../schemas/project.schemas');
+const scheduleSchemas = require('../schemas/schedule.schemas');
+const runSchemas = require('../schemas/run.schemas');
+const statsSchemas = require('../schemas/stats.schemas');
+
+const router = express.Router();
+
+// GET /api/projects - Get all projects
+router.get('/', validate(projectSchemas.getAllProjects), ProjectController.getAllProjects);
+
+// POST /api/projects - Add a project
+router.post('/', validate(projectSchemas.createProject), ProjectController.createProject);
+
+// GET /api/projects/:projectId - Get a single project
+router.get('/:projectId', validate(projectSchemas.getProject), ProjectController.getProject);
+
+// PATCH /api/projects/:projectId - Edit a project
+router.patch('/:projectId', validate(projectSchemas.updateProject), ProjectController.updateProject);
+
+// DELETE /api/projects/:projectId - Delete a project and its URLs
+router.delete('/:projectId', validate(projectSchemas.deleteProject), ProjectController.deleteProject);
+
+// /api/projects/:projectId/urls/... - Same endpoints as /api/urls, scoped to the project
+router.use('/:projectId/urls', ProjectController.requireProject, urlRoutes);
+
+// GET /api/projects/:projectId/runs - Check runs of the project
+router.get('/:projectId/runs', ProjectController.requireProject, validate(runSchemas.getAllRuns), RunController.getAllRuns);
+
+// GET /api/projects/:projectId/stats/trends - Indexation trends of the project
+router.get('/:projectId/stats/trends', ProjectController.requireProject, validate(statsSchemas.getTrends), StatsController.getTrends);
+
+// GET /api/projects/:projectId/schedules - Schedules targeting the project
+router.get('/:projectId/schedules', ProjectController.requireProject, validate(scheduleSchemas.getAllSchedules), ScheduleController.getAllSchedules);
+
+// POST /api/projects/:projectId/schedules - Add a schedule for the project
+router.post('/:projectId/schedules', requireRole('admin'), ProjectController.requireProject, validate(scheduleSchemas.createSchedule), ScheduleController.createSchedule);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const RunController = require('../controllers/run.controller');
+const validate = require('../middleware/validate');
+const schemas = require('../schemas/run.schemas');
+
+const router = express.Router();
+
+// GET /api/runs - Get all check runs
+router.get('/', validate(schemas.getAllRuns), RunController.getAllRuns);
+
+// GET /api/runs/:id - Get a single run with its results
+router.get('/:id', validate(schemas.getRun), RunController.getRun);
+
+module.exports = router;
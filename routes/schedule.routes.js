@@ -0,0 +1,23 @@
+const express = require('express');
+const ScheduleController = require('../controllers/schedule.controller');
+const validate = require('../middleware/validate');
+const schemas = require('../schemas/schedule.schemas');
+
+const router = express.Router();
+
+// GET /api/schedules - Get all schedules
+router.get('/', validate(schemas.getAllSchedules), ScheduleController.getAllSchedules);
+
+// POST /api/schedules - Add a schedule
+router.post('/', validate(schemas.createSchedule), ScheduleController.createSchedule);
+
+// GET /api/schedules/:id - Get a single schedule
+router.get('/:id', validate(schemas.getSchedule), ScheduleController.getSchedule);
+
+// PATCH /api/schedules/:id - Edit a schedule
+router.patch('/:id', validate(schemas.updateSchedule), ScheduleController.updateSchedule);
+
+// DELETE /api/schedules/:id - Delete a schedule
+router.delete('/:id', validate(schemas.deleteSchedule), ScheduleController.deleteSchedule);
+
+module.exports = router;
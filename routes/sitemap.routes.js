@@ -0,0 +1,29 @@
+const express = require('express');
+const SitemapController = require('../controllers/sitemap.controller');
+const validate = require('../middleware/validate');
+const schemas = require('../schemas/sitemap.schemas');
+
+const router = express.Router();
+
+// GET /api/sitemaps - Get all sitemaps
+router.get('/', validate(schemas.getAllSitemaps), SitemapController.getAllSitemaps);
+
+// POST /api/sitemaps - Import a sitemap from a URL or an uploaded XML/.gz file
+router.post('/', SitemapController.getUploadMiddleware(), validate(schemas.createSitemap), SitemapController.createSitemap);
+
+// GET /api/sitemaps/:id - Get a single sitemap
+router.get('/:id', validate(schemas.getSitemap), SitemapController.getSitemap);
+
+// PATCH /api/sitemaps/:id - Edit a sitemap's sync settings
+router.patch('/:id', validate(schemas.updateSitemap), SitemapController.updateSitemap);
+
+// DELETE /api/sitemaps/:id - Delete a sitemap
+router.delete('/:id', validate(schemas.deleteSitemap), SitemapController.deleteSitemap);
+
+// POST /api/sitemaps/:id/sync - Re-sync a sitemap now
+router.post('/:id/sync', SitemapController.getUploadMiddleware(), validate(schemas.syncSitemap), SitemapController.syncSitemap);
+
+// GET /api/sitemaps/:id/coverage - Sitemap URLs vs indexation status
+router.get('/:id/coverage', validate(schemas.getCoverage), SitemapController.getCoverage);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const StatsController = require('../controllers/stats.controller');
+const validate = require('../middleware/validate');
+const schemas = require('../schemas/stats.schemas');
+
+const router = express.Router();
+
+// GET /api/stats/trends - Indexation trends over time
+router.get('/trends', validate(schemas.getTrends), StatsController.getTrends);
+
+module.exports = router;
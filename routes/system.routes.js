@@ -0,0 +1,20 @@
+const express = require('express');
+const HealthController = require('../controllers/health.controller');
+const DocsController = require('../controllers/docs.controller');
+const { authorize } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const schemas = require('../schemas/system.schemas');
+
+// Mounted at the root: /metrics is outside /api for Prometheus
+const router = express.Router();
+
+// GET /api/health - Health check (public)
+router.get('/api/health', validate(schemas.getHealth), HealthController.getHealth);
+
+// GET /metrics - Prometheus metrics (viewer role; "Authorization: Bearer <key>" in the scrape config)
+router.get('/metrics', authorize({ read: 'viewer', write: 'admin' }), validate(schemas.getMetrics), HealthController.getMetrics);
+
+// GET /api/docs - OpenAPI document (public)
+router.get('/api/docs', validate(schemas.getDocs), DocsController.getDocs);
+
+module.exports = router;
@@ -1,21 +1,60 @@
 const express = require('express');
 const URLController = require('../controllers/url.controller');
+const validate = require('../middleware/validate');
+const schemas = require('../schemas/url.schemas');
 
-const router = express.Router();
+// mergeParams: also mounted as /api/projects/:projectId/urls
+const router = express.Router({ mergeParams: true });
 
 // GET /api/urls - Get all URLs
-router.get('/', URLController.getAllURLs);
+router.get('/', validate(schemas.getAllURLs), URLController.getAllURLs);
 
 // POST /api/urls/upload - Upload CSV file with URLs
-router.post('/upload', URLController.getUploadMiddleware(), URLController.uploadCSV);
+router.post('/upload', URLController.getUploadMiddleware(), validate(schemas.uploadCSV), URLController.uploadCSV);
 
-// GET /api/urls/download - Download current URLs as CSV
-router.get('/download', URLController.downloadCSV);
+// GET /api/urls/download - Download URLs as CSV, XLSX, JSON or NDJSON
+router.get('/download', validate(schemas.downloadURLs), URLController.downloadURLs);
+
+// GET /api/urls/providers - List available indexation providers
+router.get('/providers', validate(schemas.getProviders), URLController.getProviders);
+
+// GET /api/urls/submitters - List indexing submitters and their quota
+router.get('/submitters', validate(schemas.getSubmitters), URLController.getSubmitters);
+
+// POST /api/urls/request-indexing - Request indexing of all matching URLs (default: Not Indexed)
+router.post('/request-indexing', validate(schemas.requestIndexingAll), URLController.requestIndexingAll);
 
 // POST /api/urls/check - Manually trigger indexation check
-router.post('/check', URLController.checkAllURLs);
+router.post('/check', validate(schemas.checkAllURLs), URLController.checkAllURLs);
+
+// GET /api/urls/check/stream - Live check progress (Server-Sent Events)
+router.get('/check/stream', validate(schemas.streamCheckEvents), URLController.streamCheckEvents);
 
 // GET /api/urls/status - Get check status and statistics
-router.get('/status', URLController.getCheckStatus);
+router.get('/status', validate(schemas.getCheckStatus), URLController.getCheckStatus);
+
+// POST /api/urls - Add a single URL
+router.post('/', validate(schemas.createURL), URLController.createURL);
+
+// GET /api/urls/:id - Get a single URL
+router.get('/:id', validate(schemas.getURL), URLController.getURL);
+
+// PATCH /api/urls/:id - Edit a single URL
+router.patch('/:id', validate(schemas.updateURL), URLController.updateURL);
+
+// DELETE /api/urls/:id - Delete a single URL
+router.delete('/:id', validate(schemas.deleteURL), URLController.deleteURL);
+
+// POST /api/urls/:id/check - Check a single URL
+router.post('/:id/check', validate(schemas.checkURL), URLController.checkURL);
+
+// GET /api/urls/:id/history - Get check history of a single URL
+router.get('/:id/history', validate(schemas.getURLHistory), URLController.getURLHistory);
+
+// POST /api/urls/:id/request-indexing - Request indexing of a single URL
+router.post('/:id/request-indexing', validate(schemas.requestIndexing), URLController.requestIndexing);
+
+// GET /api/urls/:id/submissions - Get indexing submissions of a single URL
+router.get('/:id/submissions', validate(schemas.getURLSubmissions), URLController.getURLSubmissions);
 
 module.exports = router;
\ No newline at end of file
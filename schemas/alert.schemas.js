@@ -0,0 +1,93 @@
+const { getNotifierTypes } = require('../services/notifiers');
+const { STATUSES } = require('../config/statuses');
+const { string, nonEmpty, boolean, integer, object, params, status, limit, success, item, items } = require('./common');
+
+const statusOrAny = { type: 'string', enum: ['*', ...STATUSES] };
+
+const channel = object({
+  type: { type: 'string', enum: getNotifierTypes() },
+  url: string('Webhook or Slack incoming webhook URL'),
+  to: {
+    anyOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }],
+    description: 'Email address(es)'
+  }
+}, ['type']);
+
+const fields = {
+  name: nonEmpty('Rule name'),
+  type: { type: 'string', enum: ['status_change', 'status_count'] },
+  from: { ...statusOrAny, description: 'status_change: previous status ("*" = any)' },
+  to: { ...statusOrAny, description: 'status_change: new status ("*" = any)' },
+  status: { ...status, description: 'status_count: status to count' },
+  threshold: integer('status_count: alert when more URLs than this have the status', { minimum: 0 }),
+  channels: { type: 'array', minItems: 1, items: channel },
+  enabled: boolean('Default true')
+};
+
+const ruleParams = params('id');
+
+module.exports = {
+  getAllRules: {
+    summary: 'List alert rules',
+    responses: {
+      200: items('AlertRule')
+    }
+  },
+
+  createRule: {
+    summary: 'Add an alert rule',
+    body: object(fields, ['name', 'type', 'channels']),
+    responses: {
+      201: item('AlertRule')
+    }
+  },
+
+  getRule: {
+    summary: 'Get an alert rule',
+    params: ruleParams,
+    responses: {
+      200: success({ data: { $ref: '#/components/schemas/AlertRule' } })
+    }
+  },
+
+  updateRule: {
+    summary: 'Edit an alert rule',
+    params: ruleParams,
+    body: object(fields),
+    responses: {
+      200: item('AlertRule')
+    }
+  },
+
+  deleteRule: {
+    summary: 'Delete an alert rule',
+    params: ruleParams,
+    responses: {
+      200: item('AlertRule')
+    }
+  },
+
+  testRule: {
+    summary: 'Send a test alert to the rule\'s channels',
+    description: '"success" is false when a channel failed.',
+    params: ruleParams,
+    responses: {
+      200: object({
+        success: boolean(),
+        data: { type: 'array', items: { $ref: '#/components/schemas/AlertDelivery' } }
+      })
+    }
+  },
+
+  getDeliveries: {
+    summary: 'Alert delivery log (newest first)',
+    query: object({
+      ruleId: string('Only deliveries of this rule'),
+      status: { type: 'string', enum: ['sent', 'failed'] },
+      limit
+    }),
+    responses: {
+      200: items('AlertDelivery')
+    }
+  }
+};
@@ -0,0 +1,71 @@
+const { string, nonEmpty, integer, object, params, role, success, item, items } = require('./common');
+
+const timezone = {
+  type: ['string', 'null'],
+  description: 'IANA timezone timestamps are shown in for this key (e.g. "Europe/London"); null for UTC'
+};
+
+const me = success({ message: string(), data: { $ref: '#/components/schemas/Auth' } });
+
+module.exports = {
+  getMe: {
+    summary: 'Current role and credential',
+    responses: {
+      200: me
+    }
+  },
+
+  updateMe: {
+    summary: 'Change the caller\'s own settings',
+    description: 'Only for API keys (and tokens issued for them).',
+    body: object({ timezone }, ['timezone']),
+    responses: {
+      200: me
+    }
+  },
+
+  createToken: {
+    summary: 'Exchange an API key for a JWT',
+    description: 'The token\'s role defaults to the key\'s and can only be lower. Needs JWT_SECRET.',
+    body: object({ role: { ...role, description: 'Role of the token (at most the caller\'s)' } }),
+    responses: {
+      201: success({
+        message: string(),
+        data: object({ token: string(), role: string(), expiresAt: string() })
+      })
+    }
+  },
+
+  getAllKeys: {
+    summary: 'List API keys',
+    responses: {
+      200: items('ApiKey')
+    }
+  },
+
+  createKey: {
+    summary: 'Create an API key',
+    description: 'The key is only returned once, in "data.key".',
+    body: object({ name: nonEmpty('Key name'), role, timezone }, ['name', 'role']),
+    responses: {
+      201: item('ApiKey')
+    }
+  },
+
+  updateKey: {
+    summary: 'Rename an API key, change its role or timezone',
+    params: params('id'),
+    body: object({ name: nonEmpty('Key name'), role, timezone }),
+    responses: {
+      200: item('ApiKey')
+    }
+  },
+
+  deleteKey: {
+    summary: 'Revoke an API key',
+    params: params('id'),
+    responses: {
+      200: item('ApiKey')
+    }
+  }
+};
@@ -0,0 +1,80 @@
+/**
+ * Schema building blocks shared by the route schemas
+ * Route schemas are { summary, description, params, query, body, upload, responses }
+ * where params/query/body are JSON Schemas (see middleware/validate.js);
+ * `upload` names the multipart file field, `responses` are the success bodies
+ * by status (or OpenAPI response objects, for non-JSON bodies).
+ * A property's `errorCode` replaces VALIDATION_FAILED when it alone is invalid.
+ * Unknown body and query fields are ignored, as before, so they are allowed here.
+ */
+const { STATUSES } = require('../config/statuses');
+const { ROLES } = require('../config/roles');
+
+const string = (description, extra = {}) => ({ type: 'string', ...(description && { description }), ...extra });
+const nonEmpty = (description, extra = {}) => string(description, { minLength: 1, ...extra });
+const boolean = description => ({ type: 'boolean', ...(description && { description }) });
+const integer = (description, extra = {}) => ({ type: 'integer', ...(description && { description }), ...extra });
+
+/**
+ * Object schema; `required` lists required properties
+ */
+function object(properties, required = [], extra = {}) {
+  return { type: 'object', properties, ...(required.length > 0 && { required }), ...extra };
+}
+
+/**
+ * Path parameters, e.g. params('id')
+ */
+function params(...names) {
+  return object(Object.fromEntries(names.map(name => [name, nonEmpty()])), names);
+}
+
+const timezone = string('IANA timezone, e.g. "Europe/London"', { minLength: 1 });
+const cron = string('Cron expression (5 fields, or 6 with seconds), e.g. "0 9 * * *"', { minLength: 1 });
+const status = { type: 'string', enum: STATUSES };
+const role = { type: 'string', enum: ROLES };
+
+// A list as an array or a comma-separated string ("blog,docs")
+const list = description => ({
+  anyOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }],
+  description
+});
+
+const tags = list('Tags, as an array or comma-separated; stored lowercase with spaces as dashes');
+
+// Custom field values; `nullable` allows null to remove a field (PATCH)
+const fields = (nullable = false) => ({
+  type: 'object',
+  description: `Custom fields, e.g. { "owner": "alice", "priority": 1 }${nullable ? '; null removes a field' : ''}`,
+  maxProperties: 20,
+  additionalProperties: { type: nullable ? ['string', 'number', 'boolean', 'null'] : ['string', 'number', 'boolean'] }
+});
+
+const limit = integer('Page size', { minimum: 1 });
+const offset = integer('Index of the first result', { minimum: 0 });
+
+// Success bodies
+const success = (properties = {}) => object({ success: { type: 'boolean', const: true }, ...properties }, ['success']);
+const item = ref => success({ message: string(), data: { $ref: `#/components/schemas/${ref}` } });
+const items = ref => success({ count: integer(), data: { type: 'array', items: { $ref: `#/components/schemas/${ref}` } } });
+
+module.exports = {
+  string,
+  nonEmpty,
+  boolean,
+  integer,
+  object,
+  params,
+  timezone,
+  cron,
+  status,
+  role,
+  list,
+  tags,
+  fields,
+  limit,
+  offset,
+  success,
+  item,
+  items
+};
@@ -0,0 +1,176 @@
+/**
+ * Resources returned by the API, for the OpenAPI document (GET /api/docs)
+ * Timestamps are ISO-8601 UTC, or in the requested timezone (see README "Timestamps")
+ */
+const { ERROR_CODES } = require('../utils/errors');
+const { string, boolean, integer, object, status, role, fields } = require('./common');
+
+const timestamp = (description = '') => ({ type: 'string', format: 'date-time', ...(description && { description }) });
+const nullable = schema => ({ ...schema, type: [schema.type, 'null'] });
+const stored = { id: string(), createdAt: timestamp(), updatedAt: timestamp() };
+
+module.exports = {
+  Error: object({
+    success: { type: 'boolean', const: false },
+    code: { type: 'string', enum: Object.keys(ERROR_CODES), description: 'Stable error code; see README "Errors"' },
+    message: string('Human-readable, may change'),
+    errors: { type: 'array', items: { type: 'string' }, description: 'Every problem found (validation errors)' },
+    requestId: string('Also in the X-Request-Id header and the logs')
+  }, ['success', 'code', 'message']),
+
+  URL: object({
+    id: string(),
+    projectId: string(),
+    url: string(),
+    status,
+    lastChecked: nullable(timestamp('null until the URL is checked')),
+    notes: string('Notes from the last check'),
+    provider: string(),
+    httpCode: nullable(integer()),
+    lastmod: nullable(string('From the sitemap')),
+    signals: nullable({ type: 'object' }),
+    addedAt: timestamp(),
+    tags: { type: 'array', items: { type: 'string' } },
+    fields: fields(),
+    userNotes: string()
+  }),
+
+  HistoryEntry: object({
+    runId: string(),
+    urlId: string(),
+    url: string(),
+    status,
+    notes: string(),
+    httpCode: nullable(integer()),
+    provider: string(),
+    checkedAt: timestamp()
+  }),
+
+  Submission: object({
+    urlId: string(),
+    url: string(),
+    projectId: string(),
+    submitter: string('google, indexnow'),
+    type: { type: 'string', enum: ['URL_UPDATED', 'URL_DELETED'] },
+    trigger: { type: 'string', enum: ['manual', 'auto'] },
+    status: { type: 'string', enum: ['submitted', 'failed', 'skipped'], description: 'skipped: not sent, over the daily quota' },
+    httpCode: nullable(integer()),
+    message: string(),
+    submittedAt: timestamp()
+  }),
+
+  Quota: object({
+    limit: nullable(integer('Requests per day; null when unlimited')),
+    used: integer('Requests sent today'),
+    remaining: nullable(integer()),
+    resetsAt: timestamp()
+  }),
+
+  Job: object({
+    id: string(),
+    source: string('manual, schedule, ...'),
+    provider: string(),
+    projectId: nullable(string()),
+    status: { type: 'string', enum: ['running', 'cancelling', 'completed', 'cancelled', 'failed'] },
+    progress: object({ processed: integer(), total: integer(), percent: integer() }),
+    etaSeconds: nullable(integer()),
+    stats: object({ retries: integer(), throughput: { type: 'number', description: 'URLs per minute' } }),
+    createdAt: timestamp(),
+    finishedAt: nullable(timestamp()),
+    error: nullable(string()),
+    run: nullable({ type: 'object' }),
+    results: { type: 'array', items: { type: 'object' } }
+  }),
+
+  Run: object({
+    id: string(),
+    source: string(),
+    provider: string(),
+    projectId: nullable(string()),
+    status: { type: 'string', enum: ['completed', 'cancelled'] },
+    startedAt: timestamp(),
+    finishedAt: timestamp(),
+    durationMs: integer(),
+    total: integer(),
+    indexed: integer(),
+    notIndexed: integer(),
+    invalid: integer(),
+    blocked: integer(),
+    unsafe: integer(),
+    failed: integer()
+  }),
+
+  Project: object({
+    ...stored,
+    name: string(),
+    domain: nullable(string()),
+    urlCount: integer(),
+    statusCounts: { type: 'object', additionalProperties: { type: 'integer' } }
+  }),
+
+  Schedule: object({
+    ...stored,
+    name: string(),
+    cron: string(),
+    timezone: string(),
+    target: object({ type: string(), value: string() }),
+    provider: string(),
+    enabled: boolean(),
+    nextRuns: { type: 'array', items: timestamp() }
+  }),
+
+  AlertRule: object({
+    ...stored,
+    name: string(),
+    type: { type: 'string', enum: ['status_change', 'status_count'] },
+    channels: { type: 'array', items: { type: 'object' } },
+    enabled: boolean()
+  }),
+
+  AlertDelivery: object({
+    id: string(),
+    ruleId: string(),
+    ruleName: string(),
+    channel: string(),
+    target: string(),
+    status: { type: 'string', enum: ['sent', 'failed'] },
+    attempts: integer(),
+    error: string(),
+    message: string(),
+    sentAt: timestamp()
+  }),
+
+  Sitemap: object({
+    ...stored,
+    source: { type: 'string', enum: ['url', 'file'] },
+    url: nullable(string()),
+    fileName: nullable(string()),
+    projectId: string(),
+    cron: nullable(string()),
+    timezone: string(),
+    enabled: boolean(),
+    prune: boolean(),
+    urlCount: integer(),
+    lastSyncedAt: nullable(timestamp()),
+    lastSync: nullable({ type: 'object' }),
+    nextSyncs: { type: 'array', items: timestamp() }
+  }),
+
+  ApiKey: object({
+    ...stored,
+    name: string(),
+    role,
+    prefix: string('First characters of the key, to recognize it'),
+    timezone: nullable(string()),
+    key: string('The key itself; only when it is created')
+  }),
+
+  Auth: object({
+    type: { type: 'string', enum: ['key', 'jwt', 'anonymous'] },
+    role,
+    keyId: nullable(string()),
+    name: nullable(string()),
+    timezone: nullable(string()),
+    authEnabled: boolean()
+  })
+};
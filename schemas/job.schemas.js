@@ -0,0 +1,29 @@
+const { string, params, success, items } = require('./common');
+
+const jobParams = params('id');
+
+module.exports = {
+  getAllJobs: {
+    summary: 'List check jobs (newest first, without per-URL results)',
+    responses: {
+      200: items('Job')
+    }
+  },
+
+  getJob: {
+    summary: 'Job progress, ETA and per-URL results',
+    params: jobParams,
+    responses: {
+      200: success({ data: { $ref: '#/components/schemas/Job' } })
+    }
+  },
+
+  cancelJob: {
+    summary: 'Cancel a running job',
+    description: 'Results checked so far are saved. 409 CONFLICT when the job has already finished.',
+    params: jobParams,
+    responses: {
+      202: success({ message: string(), data: { $ref: '#/components/schemas/Job' } })
+    }
+  }
+};
@@ -0,0 +1,51 @@
+const { string, nonEmpty, object, params, success, item, items } = require('./common');
+
+const domain = {
+  type: ['string', 'null'],
+  description: 'Host name the project\'s URLs belong to (e.g. "example.com"); null or "" for none'
+};
+
+const projectParams = params('projectId');
+
+module.exports = {
+  getAllProjects: {
+    summary: 'List projects with URL counts',
+    responses: {
+      200: items('Project')
+    }
+  },
+
+  createProject: {
+    summary: 'Add a project',
+    body: object({ name: nonEmpty('Project name'), domain }, ['name']),
+    responses: {
+      201: item('Project')
+    }
+  },
+
+  getProject: {
+    summary: 'Get a project with URL counts',
+    params: projectParams,
+    responses: {
+      200: item('Project')
+    }
+  },
+
+  updateProject: {
+    summary: 'Edit a project',
+    params: projectParams,
+    body: object({ name: nonEmpty('Project name'), domain }),
+    responses: {
+      200: item('Project')
+    }
+  },
+
+  deleteProject: {
+    summary: 'Delete a project with its URLs, schedules and sitemaps',
+    description: 'The default project cannot be deleted.',
+    params: projectParams,
+    responses: {
+      200: success({ message: string(), data: { $ref: '#/components/schemas/Project' } })
+    }
+  }
+};
@@ -0,0 +1,22 @@
+const { string, object, params, limit, success, items } = require('./common');
+
+module.exports = {
+  getAllRuns: {
+    summary: 'List check runs (newest first)',
+    query: object({
+      projectId: string('Only runs of this project'),
+      limit
+    }),
+    responses: {
+      200: items('Run')
+    }
+  },
+
+  getRun: {
+    summary: 'Get a check run with its results',
+    params: params('id'),
+    responses: {
+      200: success({ data: { $ref: '#/components/schemas/Run' } })
+    }
+  }
+};
@@ -0,0 +1,60 @@
+const { string, nonEmpty, boolean, object, params, timezone, cron, success, item, items } = require('./common');
+
+const target = object({
+  type: { type: 'string', enum: ['all', 'tag', 'project'] },
+  value: string('Tag or project ID (not for "all")')
+}, ['type'], { description: 'URLs to check (default all)' });
+
+const fields = {
+  name: nonEmpty('Schedule name'),
+  cron,
+  timezone: { ...timezone, description: 'IANA timezone the cron expression runs in (default UTC)' },
+  target,
+  provider: string('Provider ID; "" for the default provider at run time'),
+  enabled: boolean('Default true')
+};
+
+const scheduleParams = params('id');
+
+module.exports = {
+  getAllSchedules: {
+    summary: 'List schedules with their next run times',
+    responses: {
+      200: items('Schedule')
+    }
+  },
+
+  createSchedule: {
+    summary: 'Add a schedule',
+    description: 'Under /api/projects/{projectId}/schedules the target is the project.',
+    body: object(fields, ['name', 'cron']),
+    responses: {
+      201: item('Schedule')
+    }
+  },
+
+  getSchedule: {
+    summary: 'Get a schedule',
+    params: scheduleParams,
+    responses: {
+      200: success({ data: { $ref: '#/components/schemas/Schedule' } })
+    }
+  },
+
+  updateSchedule: {
+    summary: 'Edit a schedule',
+    params: scheduleParams,
+    body: object(fields),
+    responses: {
+      200: item('Schedule')
+    }
+  },
+
+  deleteSchedule: {
+    summary: 'Delete a schedule',
+    params: scheduleParams,
+    responses: {
+      200: item('Schedule')
+    }
+  }
+};
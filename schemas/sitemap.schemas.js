@@ -0,0 +1,85 @@
+const { string, boolean, object, params, timezone, success, item, items } = require('./common');
+
+const settings = {
+  cron: {
+    type: ['string', 'null'],
+    description: 'Cron expression for automatic syncs (e.g. "0 6 * * *"); null or "" to only sync on demand. Not for uploaded files.'
+  },
+  timezone: { ...timezone, description: 'IANA timezone the cron expression runs in (default UTC)' },
+  enabled: boolean('Sync on schedule (default true)'),
+  prune: boolean('Remove URLs that left the sitemap (default false)')
+};
+
+const upload = {
+  field: 'sitemapFile',
+  description: 'Sitemap or sitemap index (.xml or .xml.gz)',
+  required: false
+};
+
+const sitemapParams = params('id');
+
+module.exports = {
+  getAllSitemaps: {
+    summary: 'List sitemaps',
+    responses: {
+      200: items('Sitemap')
+    }
+  },
+
+  createSitemap: {
+    summary: 'Import a sitemap',
+    description: 'From a URL (JSON or form body) or an uploaded file. Sitemap indexes are followed.',
+    upload,
+    body: object({
+      url: string('Sitemap URL (required without a file)', { errorCode: 'URL_INVALID' }),
+      projectId: string('Project to import into (default: the default project)', { minLength: 1 }),
+      ...settings
+    }),
+    responses: {
+      201: item('Sitemap')
+    }
+  },
+
+  getSitemap: {
+    summary: 'Get a sitemap',
+    params: sitemapParams,
+    responses: {
+      200: success({ data: { $ref: '#/components/schemas/Sitemap' } })
+    }
+  },
+
+  updateSitemap: {
+    summary: 'Edit a sitemap\'s sync settings',
+    params: sitemapParams,
+    body: object(settings),
+    responses: {
+      200: item('Sitemap')
+    }
+  },
+
+  deleteSitemap: {
+    summary: 'Delete a sitemap (its URLs are kept)',
+    params: sitemapParams,
+    responses: {
+      200: item('Sitemap')
+    }
+  },
+
+  syncSitemap: {
+    summary: 'Re-sync a sitemap now',
+    description: 'Uploaded sitemaps need the new file.',
+    params: sitemapParams,
+    upload,
+    responses: {
+      200: item('Sitemap')
+    }
+  },
+
+  getCoverage: {
+    summary: 'Sitemap URLs vs indexation status',
+    params: sitemapParams,
+    responses: {
+      200: success({ data: { type: 'object' } })
+    }
+  }
+};
@@ -0,0 +1,19 @@
+const TrendsService = require('../services/trends.service');
+const { string, object, list, success } = require('./common');
+
+module.exports = {
+  getTrends: {
+    summary: 'Indexation trends over time',
+    description: 'Status counts per day or week, status changes, time to index and per-host breakdown.',
+    query: object({
+      from: string('Start date (default: 30 days before "to")'),
+      to: string('End date; a date-only value includes the whole day (default: now)'),
+      interval: { type: 'string', enum: TrendsService.INTERVALS, description: 'Bucket size (default day)' },
+      tag: list('Only URLs with any of these tags'),
+      projectId: string('Only URLs of this project')
+    }),
+    responses: {
+      200: success({ data: { type: 'object' } })
+    }
+  }
+};
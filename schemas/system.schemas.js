@@ -0,0 +1,32 @@
+const { string, integer, object } = require('./common');
+
+module.exports = {
+  getHealth: {
+    summary: 'API, storage and scheduler health',
+    description: '503 when storage or the scheduler is unhealthy.',
+    responses: {
+      200: object({
+        status: { type: 'string', enum: ['ok', 'degraded'] },
+        message: string(),
+        timestamp: string(),
+        uptimeSeconds: integer(),
+        storage: { type: 'object' },
+        scheduler: { type: 'object' }
+      })
+    }
+  },
+
+  getMetrics: {
+    summary: 'Prometheus metrics',
+    responses: {
+      200: { description: 'Prometheus text format', content: { 'text/plain': {} } }
+    }
+  },
+
+  getDocs: {
+    summary: 'This OpenAPI document',
+    responses: {
+      200: { description: 'OpenAPI 3.0 document', content: { 'application/json': {} } }
+    }
+  }
+};
@@ -0,0 +1,262 @@
+const ExportService = require('../services/export.service');
+const URLQueryService = require('../services/urlQuery.service');
+const IndexingService = require('../services/indexing.service');
+const { STATUSES } = require('../config/statuses');
+const {
+  string, nonEmpty, integer, object, params, list, tags, fields, limit, offset, success, item, items
+} = require('./common');
+
+const UPLOAD_MODES = ['replace', 'append', 'merge', 'upsert', 'remove'];
+
+const provider = string('Provider ID (see GET /api/urls/providers); default: INDEXATION_PROVIDER');
+
+// Filters, sort and pagination of GET /api/urls (services/urlQuery.service.js)
+const filters = {
+  status: list(`Status(es), case-insensitive: ${STATUSES.join(', ')}`),
+  host: list('Host name(s)'),
+  tag: list('URLs with any of these tags'),
+  q: string('Text search in the URL, notes and user notes'),
+  checkedBefore: string('Last checked before this date (e.g. "2024-05-01")'),
+  checkedAfter: string('Last checked after this date'),
+  sort: list(`Sort fields, "-" for descending (e.g. "-lastChecked"): ${URLQueryService.SORT_FIELDS.join(', ')}`),
+  limit,
+  offset
+};
+
+// field.<name>=<value> filters on custom fields
+const fieldFilters = {
+  '^field\\..+$': { type: 'string', description: 'Custom field value, e.g. field.owner=alice' }
+};
+
+const urlQuery = object(filters, [], { patternProperties: fieldFilters });
+
+// Indexing requests (services/indexing.service.js)
+const submission = {
+  submitters: list('Submitter IDs (see GET /api/urls/submitters); default: INDEXING_SUBMITTERS'),
+  type: { type: 'string', enum: IndexingService.TYPES, description: 'URL_UPDATED (default) or URL_DELETED (Google only)' }
+};
+
+const quota = {
+  type: 'object',
+  description: 'Quota left today, by submitter',
+  additionalProperties: { $ref: '#/components/schemas/Quota' }
+};
+
+const metadata = {
+  userNotes: string('Your own notes (at most 5000 characters)', { maxLength: 5000 })
+};
+
+const idParams = params('id');
+
+module.exports = {
+  getAllURLs: {
+    summary: 'List URLs',
+    description: 'Filter with status, host, tag, q, checkedBefore/After and field.<name>; sort and paginate with sort, limit and offset.',
+    query: urlQuery,
+    responses: {
+      200: success({ total: { type: 'integer' }, count: { type: 'integer' }, limit: { type: 'integer' }, offset: { type: 'integer' }, data: { type: 'array', items: { $ref: '#/components/schemas/URL' } } })
+    }
+  },
+
+  uploadCSV: {
+    summary: 'Upload a URL list (CSV, TSV or TXT)',
+    description: 'CSV/TSV with a "URL" column (or none, with one URL per row) or TXT with one URL per line. ' +
+      'Every row is reported: added, updated, duplicate or rejected with a reason.',
+    upload: { field: 'csvFile', description: 'URL list (.csv, .tsv or .txt)' },
+    query: object({
+      mode: { type: 'string', enum: UPLOAD_MODES },
+      stripTracking: { type: 'boolean' }
+    }),
+    body: object({
+      mode: { type: 'string', enum: UPLOAD_MODES, description: 'replace (default) | append | merge | upsert (same as merge) | remove' },
+      stripTracking: { type: 'boolean', description: 'Remove utm_* and click ID parameters (default true)' }
+    }),
+    responses: {
+      200: success({
+        message: string(),
+        mode: string(),
+        format: string(),
+        summary: { type: 'object' },
+        duplicates: { type: 'array', items: { type: 'object' } },
+        rejected: { type: 'array', items: { type: 'object' } },
+        report: { type: 'array', items: { type: 'object' } },
+        count: { type: 'integer' },
+        data: { type: 'array', items: { $ref: '#/components/schemas/URL' } }
+      })
+    }
+  },
+
+  downloadURLs: {
+    summary: 'Download URLs as CSV, XLSX, JSON or NDJSON',
+    description: 'Accepts the same filters, sort and pagination as GET /api/urls.',
+    query: object({
+      ...filters,
+      format: string(`One of: ${ExportService.FORMATS.join(', ')} (default csv)`),
+      columns: list(`"all" or a list of: ${ExportService.COLUMNS.join(', ')}`)
+    }, [], { patternProperties: fieldFilters }),
+    responses: {
+      200: {
+        description: 'The export file',
+        content: {
+          'text/csv': {},
+          'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': {},
+          'application/json': {},
+          'application/x-ndjson': {}
+        }
+      }
+    }
+  },
+
+  getProviders: {
+    summary: 'List indexation providers',
+    responses: {
+      200: success({ data: { type: 'array', items: { type: 'object' } } })
+    }
+  },
+
+  getSubmitters: {
+    summary: 'List indexing submitters',
+    description: 'Each submitter with whether it is configured and, if so, its quota for today.',
+    responses: {
+      200: success({ data: { type: 'array', items: { type: 'object' } } })
+    }
+  },
+
+  requestIndexingAll: {
+    summary: 'Request indexing of URLs',
+    description: 'Submits every URL with the status (default "Not Indexed") to the search engines. ' +
+      'URLs beyond a submitter\'s daily quota are recorded as skipped. success is false unless every submission was accepted.',
+    body: object({
+      status: list(`Status(es), case-insensitive (default "Not Indexed"): ${STATUSES.join(', ')}`),
+      tag: list('Only URLs with any of these tags'),
+      host: list('Only URLs on these host names'),
+      limit: integer('Submit at most this many URLs', { minimum: 1 }),
+      ...submission
+    }),
+    responses: {
+      200: success({
+        message: string(),
+        urls: integer('URLs submitted'),
+        quota,
+        count: integer(),
+        data: { type: 'array', items: { $ref: '#/components/schemas/Submission' } }
+      })
+    }
+  },
+
+  checkAllURLs: {
+    summary: 'Check all URLs',
+    description: 'Starts a background job and responds right away with its ID (409 CHECK_IN_PROGRESS while another job runs).',
+    query: object({ provider, tag: list('Only check URLs with any of these tags') }),
+    body: object({ provider, tag: list('Only check URLs with any of these tags') }),
+    responses: {
+      202: success({
+        message: string(),
+        jobId: string(),
+        statusUrl: string(),
+        data: { $ref: '#/components/schemas/Job' }
+      })
+    }
+  },
+
+  streamCheckEvents: {
+    summary: 'Live check progress (Server-Sent Events)',
+    description: 'Sends connected, run-started, url-checked and run-finished events.',
+    responses: {
+      200: { description: 'Event stream', content: { 'text/event-stream': {} } }
+    }
+  },
+
+  getCheckStatus: {
+    summary: 'Check status and statistics',
+    query: object({ tag: list('Only count URLs with any of these tags') }),
+    responses: {
+      200: success({ data: { type: 'object' } })
+    }
+  },
+
+  createURL: {
+    summary: 'Add a URL',
+    body: object({
+      url: nonEmpty('http(s) URL', { errorCode: 'URL_INVALID' }),
+      notes: string('Notes'),
+      ...metadata,
+      tags,
+      fields: fields()
+    }, ['url']),
+    responses: {
+      201: item('URL')
+    }
+  },
+
+  getURL: {
+    summary: 'Get a URL',
+    params: idParams,
+    responses: {
+      200: item('URL')
+    }
+  },
+
+  updateURL: {
+    summary: 'Edit a URL',
+    description: 'A changed URL is checked again. Fields set to null are removed.',
+    params: idParams,
+    body: object({
+      url: nonEmpty('http(s) URL', { errorCode: 'URL_INVALID' }),
+      notes: string('Notes'),
+      ...metadata,
+      tags,
+      fields: fields(true)
+    }),
+    responses: {
+      200: item('URL')
+    }
+  },
+
+  deleteURL: {
+    summary: 'Delete a URL',
+    params: idParams,
+    responses: {
+      200: item('URL')
+    }
+  },
+
+  checkURL: {
+    summary: 'Check a URL now',
+    params: idParams,
+    query: object({ provider }),
+    body: object({ provider }),
+    responses: {
+      200: item('URL')
+    }
+  },
+
+  getURLHistory: {
+    summary: 'Check history of a URL',
+    params: idParams,
+    responses: {
+      200: items('HistoryEntry')
+    }
+  },
+
+  requestIndexing: {
+    summary: 'Request indexing of a URL',
+    description: 'Submits the URL to the search engines. success is false unless every submitter accepted it.',
+    params: idParams,
+    body: object(submission),
+    responses: {
+      200: success({
+        quota,
+        data: { type: 'array', items: { $ref: '#/components/schemas/Submission' } }
+      })
+    }
+  },
+
+  getURLSubmissions: {
+    summary: 'Indexing submissions of a URL',
+    params: idParams,
+    responses: {
+      200: items('Submission')
+    }
+  }
+};
@@ -1,19 +1,31 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
-require('dotenv').config();
+require('dotenv').config({ quiet: true });
 
-const urlRoutes = require('./routes/url.routes');
+const { apiRoutes } = require('./routes');
+const systemRoutes = require('./routes/system.routes');
 const errorHandler = require('./middleware/errorHandler');
+const requestContext = require('./middleware/requestContext');
+const { timezone } = require('./middleware/timezone');
+const { authorize } = require('./middleware/auth');
+const { getCorsOptions } = require('./config/cors');
 const { startScheduler } = require('./config/scheduler');
+const AlertService = require('./services/alert.service');
+const AuthService = require('./services/auth.service');
+const IndexingService = require('./services/indexing.service');
+const { getStoreDriver, openStore } = require('./models/stores');
+const logger = require('./utils/logger');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
 // Middleware
-app.use(cors());
+app.use(requestContext);
+app.use(cors(getCorsOptions()));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(timezone);
 
 // Serve static files (for any frontend build)
 app.use(express.static(path.join(__dirname, 'public')));
@@ -23,34 +35,46 @@ app.get('/', (req, res) => {
 });
 
 
-// Routes
-app.use('/api/urls', urlRoutes);
-
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.json({ 
-    status: 'ok', 
-    message: 'URL Indexation Checker API is running',
-    timestamp: new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })
-  });
+// Routes - each behind the roles in routes/index.js (see config/roles.js)
+apiRoutes.forEach(({ path: mountPath, router, roles }) => {
+  app.use(mountPath, authorize(roles), router);
 });
 
+// Health check (public), Prometheus metrics and the OpenAPI document (GET /api/docs)
+app.use(systemRoutes);
+
+// JSON 404 for unknown API paths
+app.use('/api', errorHandler.notFoundHandler);
+
 // Error handling middleware
 app.use(errorHandler);
 
 // Start server
 app.listen(PORT, () => {
-  console.log('═'.repeat(60));
-  console.log('🚀 URL Indexation Checker Backend');
-  console.log('═'.repeat(60));
-  console.log(`✅ Server running on: http://localhost:${PORT}`);
-  console.log(`📊 API Base URL: http://localhost:${PORT}/api`);
-  console.log(`💚 Health Check: http://localhost:${PORT}/api/health`);
-  console.log('═'.repeat(60));
-  
-  // Start the scheduler for daily checks
-  console.log('\n⏰ Starting Cron Scheduler...');
-  startScheduler();
-  console.log('');
-});
+  logger.info('URL Indexation Checker Backend started', {
+    port: Number(PORT),
+    apiBaseUrl: `http://localhost:${PORT}/api`,
+    storage: getStoreDriver(),
+    auth: AuthService.isEnabled()
+  });
+
+  // Open the store now so migrations and the CSV import run at startup
+  openStore().catch(error => {
+    logger.error('Error opening storage', { error });
+  });
+
+  AuthService.ensureAdminKey().catch(error => {
+    logger.error('Error creating admin API key', { error });
+  });
+
+  // Deliver alerts after every check run
+  AlertService.start();
 
+  // Resubmit URLs that stay Not Indexed (INDEXING_RESUBMIT_AFTER)
+  IndexingService.start();
+
+  // Start the scheduler for scheduled checks and sitemap syncs
+  startScheduler().catch(error => {
+    logger.error('Error starting scheduler', { error });
+  });
+});
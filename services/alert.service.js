@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const AlertRuleModel = require('../models/alertRule.model');
+const AlertDeliveryModel = require('../models/alertDelivery.model');
+const checkEvents = require('./events.service');
+const { getNotifier } = require('./notifiers');
+const logger = require('../utils/logger');
+
+/**
+ * Alert Service
+ * Evaluates alert rules after every finished check run and delivers
+ * matching alerts through the rule's channels (webhook, slack, email).
+ *
+ * Rule types:
+ * - status_change: { from, to } - URLs moving between statuses ("*" = any)
+ * - status_count: { status, threshold } - more than `threshold` URLs with `status` in the run
+ *
+ * Env: ALERT_MAX_ATTEMPTS (default 3), ALERT_RETRY_DELAY_MS (default 2000, doubled per retry)
+ */
+class AlertService {
+  /**
+   * Subscribe to finished check runs
+   */
+  static start() {
+    checkEvents.on('run-finished', (event) => {
+      this.handleRunFinished(event).catch(error => {
+        logger.error('Error processing alerts', { jobId: event.jobId, error });
+      });
+    });
+  }
+
+  /**
+   * Evaluate all enabled rules against a finished run and deliver alerts
+   */
+  static async handleRunFinished(event) {
+    if (event.status === 'failed') {
+      return [];
+    }
+
+    const rules = (await AlertRuleModel.readAll()).filter(rule => rule.enabled);
+    const deliveries = [];
+
+    for (const rule of rules) {
+      const evaluation = this.evaluate(rule, event);
+      if (evaluation) {
+        const alert = this.buildAlert(rule, event, evaluation);
+        logger.info('Alert triggered', { ruleId: rule.id, rule: rule.name, alert: alert.message });
+        deliveries.push(...await this.dispatch(rule, alert));
+      }
+    }
+
+    return deliveries;
+  }
+
+  /**
+   * Check a rule against a run
+   * Returns { message, matches } when the rule fires, otherwise null
+   */
+  static evaluate(rule, event) {
+    if (rule.type === 'status_change') {
+      const matches = (event.changes || []).filter(change =>
+        (rule.from === '*' || change.from === rule.from) &&
+        (rule.to === '*' || change.to === rule.to)
+      );
+
+      if (matches.length === 0) {
+        return null;
+      }
+
+      return {
+        message: `${matches.length} URL(s) went from ${rule.from === '*' ? 'any status' : rule.from} to ${rule.to === '*' ? 'another status' : rule.to}`,
+        matches
+      };
+    }
+
+    if (rule.type === 'status_count') {
+      const count = (event.statusCounts || {})[rule.status] || 0;
+
+      if (count <= rule.threshold) {
+        return null;
+      }
+
+      return {
+        message: `${count} URL(s) are "${rule.status}" (threshold ${rule.threshold})`,
+        matches: (event.changes || []).filter(change => change.to === rule.status)
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Alert payload shared by all channels
+   */
+  static buildAlert(rule, event, { message, matches }) {
+    return {
+      rule: { id: rule.id, name: rule.name, type: rule.type },
+      message,
+      run: {
+        jobId: event.jobId,
+        source: event.source,
+        provider: event.provider,
+        summary: event.summary,
+        finishedAt: event.finishedAt
+      },
+      matches,
+      sentAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Deliver an alert through every channel of a rule
+   * Resolves to the delivery log records
+   */
+  static async dispatch(rule, alert) {
+    return Promise.all((rule.channels || []).map(channel => this.deliver(rule, channel, alert)));
+  }
+
+  /**
+   * Deliver to one channel with retries, then log the outcome
+   */
+  static async deliver(rule, channel, alert) {
+    const notifier = getNotifier(channel.type);
+    const maxAttempts = parseInt(process.env.ALERT_MAX_ATTEMPTS, 10) || 3;
+    const retryDelayMs = parseInt(process.env.ALERT_RETRY_DELAY_MS, 10) || 2000;
+
+    let attempts = 0;
+    let lastError = null;
+
+    while (notifier && attempts < maxAttempts) {
+      attempts++;
+      try {
+        await notifier.send(channel, alert);
+        lastError = null;
+        break;
+      } catch (error) {
+        lastError = error;
+        if (attempts < maxAttempts) {
+          await new Promise(resolve => setTimeout(resolve, retryDelayMs * 2 ** (attempts - 1)));
+        }
+      }
+    }
+
+    const delivery = {
+      id: crypto.randomUUID(),
+      ruleId: rule.id,
+      ruleName: rule.name,
+      channel: channel.type,
+      target: notifier ? notifier.describe(channel) : '',
+      status: notifier && !lastError ? 'sent' : 'failed',
+      attempts,
+      error: !notifier ? `Unknown channel type "${channel.type}"` : (lastError ? lastError.message : ''),
+      message: alert.message,
+      sentAt: new Date().toISOString()
+    };
+
+    if (delivery.status === 'failed') {
+      logger.error('Alert delivery failed', { ruleId: rule.id, channel: delivery.channel, attempts, error: delivery.error });
+    }
+
+    await AlertDeliveryModel.append(delivery);
+    return delivery;
+  }
+
+  /**
+   * Send a sample alert for a rule (used by the test endpoint)
+   */
+  static async sendTest(rule) {
+    const alert = this.buildAlert(
+      rule,
+      {
+        jobId: 'test',
+        source: 'test',
+        provider: 'test',
+        summary: { total: 1, indexed: 0, notIndexed: 1, invalid: 0, blocked: 0, unsafe: 0, failed: 0 },
+        finishedAt: new Date().toISOString()
+      },
+      {
+        message: 'Test alert - delivery is working',
+        matches: [{ id: 'test', url: 'https://example.com/', from: 'Indexed', to: 'Not Indexed', notes: 'Test' }]
+      }
+    );
+
+    return this.dispatch(rule, alert);
+  }
+}
+
+module.exports = AlertService;
@@ -0,0 +1,199 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const ApiKeyModel = require('../models/apiKey.model');
+const { ROLES, hasRole } = require('../config/roles');
+const logger = require('../utils/logger');
+const { AppError } = require('../utils/errors');
+
+const KEY_PREFIX = 'uic_';
+const BOOTSTRAP_KEY_FILE_PATH = path.join(__dirname, '../data/admin-key.txt');
+
+// lastUsedAt is written at most this often per key
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Auth Service
+ * Authenticates API requests with API keys or HS256 JWTs.
+ *
+ * Env: AUTH_ENABLED (default true; "false" lets every request through as admin),
+ *      ADMIN_API_KEY (an admin key that is not stored, e.g. for bootstrapping),
+ *      JWT_SECRET (enables JWTs), JWT_EXPIRES_IN (token lifetime in seconds, default 3600)
+ */
+class AuthService {
+  static isEnabled() {
+    return process.env.AUTH_ENABLED !== 'false';
+  }
+
+  static hashKey(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+  }
+
+  /**
+   * New random key value, e.g. "uic_3q2-..."
+   */
+  static generateKey() {
+    return KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+  }
+
+  /**
+   * Create and store an API key
+   * Resolves to { key, value } - the value is not stored and can't be shown again
+   */
+  static async createKey({ name, role }) {
+    const value = this.generateKey();
+    const key = await ApiKeyModel.create({
+      name,
+      role,
+      prefix: value.slice(0, KEY_PREFIX.length + 6),
+      hash: this.hashKey(value)
+    });
+    return { key, value };
+  }
+
+  /**
+   * Public form of a stored key (without its hash)
+   */
+  static serializeKey(key) {
+    const { hash, ...rest } = key;
+    return rest;
+  }
+
+  /**
+   * When auth is on and there is no way to authenticate yet, create an
+   * admin key and write it to data/admin-key.txt (not to the logs, which
+   * may be shipped elsewhere)
+   */
+  static async ensureAdminKey() {
+    if (!this.isEnabled() || process.env.ADMIN_API_KEY) {
+      return null;
+    }
+    if ((await ApiKeyModel.readAll()).length > 0) {
+      return null;
+    }
+
+    const { value } = await this.createKey({ name: 'Bootstrap admin', role: 'admin' });
+    await fs.promises.writeFile(BOOTSTRAP_KEY_FILE_PATH, value + '\n', { mode: 0o600 });
+    logger.warn('No API keys yet - created an admin key; delete the file once the key is stored safely', {
+      file: BOOTSTRAP_KEY_FILE_PATH
+    });
+    return value;
+  }
+
+  /**
+   * Resolve an API key value to { type, role, keyId, name, timezone }, or null
+   */
+  static async verifyKey(value) {
+    const adminKey = process.env.ADMIN_API_KEY;
+    if (adminKey && value.length === adminKey.length &&
+        crypto.timingSafeEqual(Buffer.from(value), Buffer.from(adminKey))) {
+      return { type: 'key', role: 'admin', keyId: null, name: 'ADMIN_API_KEY', timezone: null };
+    }
+
+    const key = await ApiKeyModel.findByHash(this.hashKey(value));
+    if (!key) {
+      return null;
+    }
+
+    const now = Date.now();
+    if (!key.lastUsedAt || now - new Date(key.lastUsedAt).getTime() > TOUCH_INTERVAL_MS) {
+      ApiKeyModel.touch(key.id, new Date(now).toISOString()).catch(error => {
+        logger.error('Error recording API key use', { keyId: key.id, error });
+      });
+    }
+
+    return { type: 'key', role: key.role, keyId: key.id, name: key.name, timezone: key.timezone || null };
+  }
+
+  static getJwtSecret() {
+    return process.env.JWT_SECRET || null;
+  }
+
+  static sign(data, secret) {
+    return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+  }
+
+  /**
+   * Issue an HS256 JWT for an authenticated caller
+   * Tokens issued for an API key stop working when the key is deleted
+   */
+  static issueToken({ subject, role, keyId }) {
+    const secret = this.getJwtSecret();
+    if (!secret) {
+      throw new AppError('JWTs are not enabled (set JWT_SECRET)', { code: 'JWT_DISABLED' });
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const expiresIn = parseInt(process.env.JWT_EXPIRES_IN, 10) || 3600;
+    const encode = (obj) => Buffer.from(JSON.stringify(obj)).toString('base64url');
+
+    const header = encode({ alg: 'HS256', typ: 'JWT' });
+    const claims = encode({ sub: subject, role, ...(keyId && { kid: keyId }), iat: now, exp: now + expiresIn });
+    const unsigned = `${header}.${claims}`;
+
+    return {
+      token: `${unsigned}.${this.sign(unsigned, secret)}`,
+      expiresAt: new Date((now + expiresIn) * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Resolve a JWT to { type, role, keyId, name, timezone }, or null when it is
+   * malformed, badly signed, expired or has no valid role
+   * Tokens issued for an API key use that key's timezone setting, and its
+   * current role when that is lower than the token's
+   */
+  static async verifyToken(token) {
+    const secret = this.getJwtSecret();
+    const parts = token.split('.');
+    if (!secret || parts.length !== 3) {
+      return null;
+    }
+
+    const expected = Buffer.from(this.sign(`${parts[0]}.${parts[1]}`, secret));
+    const actual = Buffer.from(parts[2]);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    let header;
+    let claims;
+    try {
+      header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+      claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    } catch (error) {
+      return null;
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (header.alg !== 'HS256' || !ROLES.includes(claims.role) ||
+        (claims.exp !== undefined && now >= claims.exp) ||
+        (claims.nbf !== undefined && now < claims.nbf)) {
+      return null;
+    }
+
+    const key = claims.kid ? await ApiKeyModel.findById(claims.kid) : null;
+    if (claims.kid && !key) {
+      return null;
+    }
+
+    // A key downgraded since the token was issued caps the token's role too
+    const role = key && !hasRole(key.role, claims.role) ? key.role : claims.role;
+
+    return { type: 'jwt', role, keyId: claims.kid || null, name: claims.sub || null, timezone: (key && key.timezone) || null };
+  }
+
+  /**
+   * Resolve a credential (API key or JWT) to the caller, or null
+   */
+  static async authenticate(credential) {
+    if (!credential) {
+      return null;
+    }
+    return credential.split('.').length === 3
+      ? this.verifyToken(credential)
+      : this.verifyKey(credential);
+  }
+}
+
+module.exports = AuthService;
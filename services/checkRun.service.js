@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const URLModel = require('../models/url.model');
+const HistoryModel = require('../models/history.model');
+const RunModel = require('../models/run.model');
+const IndexationService = require('./indexation.service');
+const MetricsService = require('./metrics.service');
+const { getProvider } = require('./providers');
+
+/**
+ * Check Run Service
+ * Runs an indexation check over all URLs, updates their latest status
+ * in urls.csv and records the run plus one history entry per URL
+ */
+class CheckRunService {
+  /**
+   * Count results per status
+   */
+  static summarize(results) {
+    return {
+      total: results.length,
+      indexed: results.filter(r => r.status === 'Indexed').length,
+      notIndexed: results.filter(r => r.status === 'Not Indexed').length,
+      invalid: results.filter(r => r.status === 'Invalid URL').length,
+      blocked: results.filter(r => r.status === 'Blocked by robots.txt').length,
+      unsafe: results.filter(r => r.status === 'Blocked (unsafe target)').length,
+      failed: results.filter(r => r.status === 'Check Failed').length
+    };
+  }
+
+  /**
+   * Whether a URL belongs to a schedule target
+   * Target: { type: 'all' } | { type: 'tag', value } | { type: 'project', value }
+   */
+  static matchesTarget(urlData, target) {
+    if (!target || target.type === 'all') {
+      return true;
+    }
+    if (target.type === 'tag') {
+      return (urlData.tags || []).includes(target.value);
+    }
+    if (target.type === 'project') {
+      return urlData.projectId === target.value;
+    }
+    return false;
+  }
+
+  /**
+   * Project shared by all the URLs, or null when they span several
+   */
+  static projectOf(urls) {
+    const projectIds = new Set(urls.map(urlData => urlData.projectId));
+    return projectIds.size === 1 ? [...projectIds][0] : null;
+  }
+
+  /**
+   * Get the URLs a run would check
+   * `urlIds` and/or `target` limit the selection (default: all URLs)
+   */
+  static async selectURLs({ urlIds, target } = {}) {
+    const urls = await URLModel.readAllURLs();
+    return urls.filter(urlData =>
+      (!urlIds || urlIds.includes(urlData.id)) && this.matchesTarget(urlData, target)
+    );
+  }
+
+  /**
+   * Perform a check run
+   * Options:
+   * - source: 'manual' | 'scheduled'
+   * - provider: provider ID (default provider if omitted)
+   * - urls: URLs to check (default: selectURLs({ urlIds, target }))
+   * - runId: ID to record the run under
+   * - signal: AbortSignal to cancel; results checked so far are still saved
+   * - onResult(result): progress callback, called once per URL
+   * - onRetry(retry): called whenever a URL is scheduled for a retry
+   * Resolves to { run, urls, changes } - run is null when there was nothing to check
+   */
+  static async run({ source = 'manual', provider, urlIds, target, urls, runId, signal, onResult, onRetry } = {}) {
+    const providerId = getProvider(provider).id;
+    const targets = urls || await this.selectURLs({ urlIds, target });
+
+    if (targets.length === 0) {
+      return { run: null, urls: [] };
+    }
+
+    const run = {
+      id: runId || crypto.randomUUID(),
+      source,
+      provider: providerId,
+      projectId: this.projectOf(targets),
+      startedAt: new Date().toISOString()
+    };
+
+    const { results, stats } = await IndexationService.runChecks(targets, {
+      provider: providerId,
+      signal,
+      onResult,
+      onRetry
+    });
+
+    // Update latest status of the checked URLs
+    const updatedUrls = await URLModel.updateURLStatuses(results);
+
+    // Keep every result so status changes can be traced over time
+    await HistoryModel.append(results.map(result => ({
+      runId: run.id,
+      urlId: result.id,
+      url: result.url,
+      status: result.status,
+      notes: result.notes,
+      httpCode: result.httpCode,
+      provider: result.provider,
+      checkedAt: result.checkedAt
+    })));
+
+    Object.assign(
+      run,
+      {
+        status: signal && signal.aborted ? 'cancelled' : 'completed',
+        finishedAt: new Date().toISOString(),
+        durationMs: stats.durationMs,
+        retries: stats.retries,
+        throughput: stats.throughput
+      },
+      this.summarize(results)
+    );
+    await RunModel.create(run);
+    MetricsService.recordRun(run);
+
+    // Status transitions compared to the previous check, e.g. Indexed -> Not Indexed
+    const previousStatus = new Map(targets.map(urlData => [urlData.id, urlData.status]));
+    const changes = results
+      .filter(result => previousStatus.get(result.id) !== result.status)
+      .map(result => ({
+        id: result.id,
+        url: result.url,
+        from: previousStatus.get(result.id),
+        to: result.status,
+        notes: result.notes
+      }));
+
+    return { run, urls: updatedUrls, changes };
+  }
+}
+
+module.exports = CheckRunService;
@@ -0,0 +1,19 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Check Events
+ * In-process event bus for check runs, used by the SSE stream.
+ *
+ * Events:
+ * - run-started: { jobId, source, provider, total, startedAt }
+ * - url-checked: { jobId, result, progress }
+ * - run-finished: { jobId, status, source, provider, summary, statusCounts, changes, finishedAt, error }
+ *   statusCounts: { [status]: count }
+ *   changes: [{ id, url, from, to, notes }] - URLs whose status changed in this run
+ */
+const checkEvents = new EventEmitter();
+
+// Every open SSE connection adds listeners
+checkEvents.setMaxListeners(0);
+
+module.exports = checkEvents;
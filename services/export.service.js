@@ -0,0 +1,220 @@
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const { STATUSES } = require('../config/statuses');
+const { formatFields } = require('../utils/metadata.utils');
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+// Exportable columns: CSV/XLSX header and how to read the value from a URL record
+// (`history` must be attached to the records when that column is selected)
+const COLUMNS = {
+  id: { title: 'ID', value: urlData => urlData.id },
+  projectId: { title: 'Project ID', value: urlData => urlData.projectId },
+  url: { title: 'URL', value: urlData => urlData.url },
+  status: { title: 'Status', value: urlData => urlData.status },
+  lastChecked: { title: 'Last Checked Date', value: urlData => urlData.lastChecked },
+  notes: { title: 'Check Notes', value: urlData => urlData.notes },
+  userNotes: { title: 'User Notes', value: urlData => urlData.userNotes || '' },
+  tags: { title: 'Tags', value: urlData => urlData.tags || [], text: tags => (tags || []).join(', ') },
+  fields: { title: 'Custom Fields', value: urlData => urlData.fields || {}, text: formatFields },
+  httpCode: { title: 'HTTP Code', value: urlData => urlData.httpCode },
+  provider: { title: 'Provider', value: urlData => urlData.provider },
+  finalUrl: { title: 'Final URL', value: urlData => urlData.signals ? urlData.signals.finalUrl : null },
+  redirectChain: {
+    title: 'Redirect Chain',
+    value: urlData => urlData.signals ? urlData.signals.redirectChain : [],
+    text: chain => (chain || []).map(hop => `${hop.status} ${hop.url}`).join(' | ')
+  },
+  canonicalUrl: { title: 'Canonical URL', value: urlData => urlData.signals ? urlData.signals.canonicalUrl : null },
+  noindex: { title: 'Noindex', value: urlData => urlData.signals ? urlData.signals.noindex : null },
+  title: { title: 'Title', value: urlData => urlData.signals ? urlData.signals.title : null },
+  lastmod: { title: 'Lastmod', value: urlData => urlData.lastmod },
+  addedAt: { title: 'Added At', value: urlData => urlData.addedAt },
+  history: {
+    title: 'History',
+    value: urlData => urlData.history || [],
+    text: history => (history || []).map(record => `${record.checkedAt} ${record.status}`).join(' | ')
+  }
+};
+
+// The original CSV columns plus the main check details and user metadata
+const DEFAULT_COLUMNS = ['url', 'status', 'lastChecked', 'notes', 'httpCode', 'finalUrl', 'provider', 'tags', 'userNotes'];
+
+/**
+ * Quote a CSV field when it contains a delimiter, quote or line break
+ */
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Cell value for CSV/XLSX (lists flattened to text)
+ */
+function cellValue(column, urlData) {
+  const value = COLUMNS[column].value(urlData);
+  if (COLUMNS[column].text) {
+    return COLUMNS[column].text(value);
+  }
+  return value === undefined ? null : value;
+}
+
+/**
+ * Export Service
+ * Streams URL lists as CSV, XLSX (with a summary sheet), JSON or NDJSON
+ */
+class ExportService {
+  static get FORMATS() {
+    return Object.keys(FORMATS);
+  }
+
+  static get COLUMNS() {
+    return Object.keys(COLUMNS);
+  }
+
+  /**
+   * Read `format` and `columns` from a request query string
+   * `columns` is comma-separated, or "all"
+   * Returns { errors, options: { format, columns } }
+   */
+  static parse(query = {}) {
+    const errors = [];
+    const format = String(query.format || 'csv').toLowerCase();
+
+    if (!FORMATS[format]) {
+      errors.push(`"format" must be one of: ${this.FORMATS.join(', ')}`);
+    }
+
+    let columns = DEFAULT_COLUMNS;
+    if (query.columns !== undefined) {
+      const requested = [].concat(query.columns).join(',').split(',').map(column => column.trim()).filter(Boolean);
+      columns = requested.includes('all') ? this.COLUMNS : requested;
+
+      const unknown = columns.filter(column => !COLUMNS[column]);
+      if (unknown.length > 0 || columns.length === 0) {
+        errors.push(`"columns" must be "all" or a list of: ${this.COLUMNS.join(', ')}`);
+      }
+    }
+
+    return { errors, options: { format, columns: [...new Set(columns)] } };
+  }
+
+  /**
+   * Content type and file extension of a format
+   */
+  static getFormat(format) {
+    return FORMATS[format];
+  }
+
+  /**
+   * Pick the selected columns from a URL record (JSON/NDJSON)
+   */
+  static toRecord(urlData, columns) {
+    return columns.reduce((record, column) => {
+      const value = COLUMNS[column].value(urlData);
+      record[column] = value === undefined ? null : value;
+      return record;
+    }, {});
+  }
+
+  static * csvLines(urls, columns) {
+    yield columns.map(column => csvField(COLUMNS[column].title)).join(',') + '\r\n';
+    for (const urlData of urls) {
+      yield columns.map(column => csvField(cellValue(column, urlData))).join(',') + '\r\n';
+    }
+  }
+
+  static * jsonChunks(urls, columns) {
+    yield '[';
+    for (let i = 0; i < urls.length; i++) {
+      yield (i > 0 ? ',\n' : '\n') + JSON.stringify(this.toRecord(urls[i], columns));
+    }
+    yield urls.length > 0 ? '\n]\n' : ']\n';
+  }
+
+  static * ndjsonLines(urls, columns) {
+    for (const urlData of urls) {
+      yield JSON.stringify(this.toRecord(urlData, columns)) + '\n';
+    }
+  }
+
+  /**
+   * Write an Excel workbook: a Summary sheet (status counts) and a URLs sheet
+   * `meta` adds rows at the top of the summary (e.g. project, filters)
+   */
+  static async writeWorkbook(stream, urls, columns, meta) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+    workbook.creator = 'URL Indexation Checker';
+    workbook.created = new Date();
+
+    const summary = workbook.addWorksheet('Summary');
+    summary.columns = [{ width: 26 }, { width: 14 }, { width: 10 }];
+    summary.addRow(['URL Indexation Report']).font = { bold: true, size: 14 };
+    summary.addRow(['Generated At', new Date().toISOString()]);
+    Object.entries(meta).forEach(([label, value]) => summary.addRow([label, value]));
+    summary.addRow(['Total URLs', urls.length]);
+    summary.addRow([]);
+    summary.addRow(['Status', 'URLs', 'Share']).font = { bold: true };
+
+    const counts = urls.reduce((result, urlData) => {
+      result[urlData.status] = (result[urlData.status] || 0) + 1;
+      return result;
+    }, {});
+    const statuses = [...STATUSES, ...Object.keys(counts).filter(status => !STATUSES.includes(status))];
+    statuses.forEach(status => {
+      const count = counts[status] || 0;
+      const row = summary.addRow([status, count, urls.length > 0 ? count / urls.length : 0]);
+      row.getCell(3).numFmt = '0.0%';
+    });
+    summary.commit();
+
+    const sheet = workbook.addWorksheet('URLs', { views: [{ state: 'frozen', ySplit: 1 }] });
+    sheet.columns = columns.map(column => ({
+      header: COLUMNS[column].title,
+      key: column,
+      width: ['url', 'finalUrl', 'canonicalUrl', 'redirectChain', 'history', 'title', 'notes', 'userNotes', 'fields'].includes(column) ? 50 : 18
+    }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+
+    for (const urlData of urls) {
+      sheet.addRow(columns.map(column => cellValue(column, urlData))).commit();
+    }
+    sheet.commit();
+
+    await workbook.commit();
+  }
+
+  /**
+   * Stream URLs to `stream` (e.g. an HTTP response) in the given format
+   * URLs need a `history` array when the history column is selected
+   * Resolves once everything is written
+   */
+  static async export(stream, urls, { format, columns, meta = {} }) {
+    if (format === 'xlsx') {
+      return this.writeWorkbook(stream, urls, columns, meta);
+    }
+
+    const chunks = format === 'json'
+      ? this.jsonChunks(urls, columns)
+      : format === 'ndjson'
+        ? this.ndjsonLines(urls, columns)
+        : this.csvLines(urls, columns);
+
+    // Readable.from pulls one chunk at a time, honouring backpressure
+    await new Promise((resolve, reject) => {
+      Readable.from(chunks)
+        .on('error', reject)
+        .pipe(stream)
+        .on('finish', resolve)
+        .on('error', reject);
+    });
+  }
+}
+
+module.exports = ExportService;
@@ -0,0 +1,111 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const axios = require('axios');
+
+const DEFAULT_TOKEN_URL = 'https://oauth2.googleapis.com/token';
+
+// Access tokens cached per scope until shortly before they expire
+const tokenCache = new Map();
+
+/**
+ * Google Auth Service
+ * Issues OAuth2 access tokens for Google APIs.
+ *
+ * Credentials are taken from (first match wins):
+ * 1. GOOGLE_ACCESS_TOKEN - a ready-made bearer token
+ * 2. GOOGLE_SERVICE_ACCOUNT_JSON - service account key as inline JSON
+ * 3. GOOGLE_APPLICATION_CREDENTIALS - path to a service account key file
+ *
+ * GOOGLE_TOKEN_URL overrides the token endpoint (useful for local mocks).
+ */
+class GoogleAuthService {
+  /**
+   * Whether any Google credentials are available
+   */
+  static hasCredentials() {
+    return Boolean(
+      process.env.GOOGLE_ACCESS_TOKEN ||
+      process.env.GOOGLE_SERVICE_ACCOUNT_JSON ||
+      process.env.GOOGLE_APPLICATION_CREDENTIALS
+    );
+  }
+
+  /**
+   * Load the service account key, if one is configured
+   */
+  static loadServiceAccount() {
+    if (process.env.GOOGLE_SERVICE_ACCOUNT_JSON) {
+      return JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_JSON);
+    }
+    if (process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+      return JSON.parse(fs.readFileSync(process.env.GOOGLE_APPLICATION_CREDENTIALS, 'utf8'));
+    }
+    return null;
+  }
+
+  /**
+   * Build a signed RS256 JWT assertion for the service account
+   */
+  static createAssertion(serviceAccount, scope, tokenUrl) {
+    const now = Math.floor(Date.now() / 1000);
+    const encode = (obj) => Buffer.from(JSON.stringify(obj)).toString('base64url');
+
+    const header = encode({ alg: 'RS256', typ: 'JWT' });
+    const claims = encode({
+      iss: serviceAccount.client_email,
+      scope,
+      aud: tokenUrl,
+      iat: now,
+      exp: now + 3600
+    });
+
+    const signature = crypto
+      .createSign('RSA-SHA256')
+      .update(`${header}.${claims}`)
+      .sign(serviceAccount.private_key, 'base64url');
+
+    return `${header}.${claims}.${signature}`;
+  }
+
+  /**
+   * Get an access token for the given OAuth scope
+   */
+  static async getAccessToken(scope) {
+    if (process.env.GOOGLE_ACCESS_TOKEN) {
+      return process.env.GOOGLE_ACCESS_TOKEN;
+    }
+
+    const cached = tokenCache.get(scope);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.token;
+    }
+
+    const serviceAccount = this.loadServiceAccount();
+    if (!serviceAccount) {
+      throw new Error('Google credentials are not configured');
+    }
+
+    const tokenUrl = process.env.GOOGLE_TOKEN_URL || serviceAccount.token_uri || DEFAULT_TOKEN_URL;
+    const assertion = this.createAssertion(serviceAccount, scope, tokenUrl);
+
+    const response = await axios.post(
+      tokenUrl,
+      new URLSearchParams({
+        grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+        assertion
+      }).toString(),
+      {
+        timeout: 10000,
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+      }
+    );
+
+    const { access_token: token, expires_in: expiresIn = 3600 } = response.data;
+    // Refresh a minute early so a token never expires mid-request
+    tokenCache.set(scope, { token, expiresAt: Date.now() + (expiresIn - 60) * 1000 });
+
+    return token;
+  }
+}
+
+module.exports = GoogleAuthService;
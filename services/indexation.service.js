@@ -1,15 +1,17 @@
-const axios = require('axios');
+const { getProvider } = require('./providers');
+const MetricsService = require('./metrics.service');
+const logger = require('../utils/logger');
 
 /**
  * Indexation Service
  * Checks if a URL is indexed by Google
- * 
- * Method: We simulate Google "site:" search by:
- * 1. Validating URL format
- * 2. Making HTTP request to check if URL is accessible
- * 3. Based on HTTP status and response, determine indexation likelihood
- * 
- * Note: For production, use Google Search Console API or Custom Search API
+ *
+ * The actual check is delegated to a provider (see services/providers):
+ * - http: HTTP accessibility heuristic (default, no credentials needed)
+ * - search-console: Google Search Console URL Inspection API
+ * - custom-search: Google Custom Search `site:` query
+ *
+ * The provider is picked per request or via INDEXATION_PROVIDER.
  */
 class IndexationService {
   /**
@@ -34,111 +36,243 @@ class IndexationService {
 
   /**
    * Check indexation status of a single URL
+   * Resolves to { status, notes, httpCode?, signals?, provider }
+   * Options: { provider } - provider ID, defaults to INDEXATION_PROVIDER
    */
-  static async checkIndexation(url) {
-    // Step 1: Validate URL format
+  static async checkIndexation(url, options = {}) {
+    const provider = getProvider(options.provider);
+
+    // Validate URL format before spending a provider call on it
     if (!this.isValidURL(url)) {
       return {
         status: 'Invalid URL',
-        notes: 'Invalid URL format'
+        notes: 'Invalid URL format',
+        provider: provider.id
       };
     }
 
-    try {
-      // Step 2: Make HTTP request to check if URL is accessible
-      const response = await axios.get(url, {
-        timeout: 10000, // 10 seconds timeout
-        maxRedirects: 5,
-        validateStatus: function (status) {
-          return status < 500; // Accept any status < 500
-        },
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (compatible; URL-Indexation-Checker/1.0)'
+    const result = await provider.check(url);
+    return {
+      ...result,
+      provider: provider.id
+    };
+  }
+
+  /**
+   * Check engine settings, read from env on every run
+   */
+  static getEngineConfig() {
+    const number = (value, fallback) => {
+      const parsed = parseInt(value, 10);
+      return Number.isNaN(parsed) ? fallback : parsed;
+    };
+
+    return {
+      // URLs checked in parallel overall
+      concurrency: Math.max(1, number(process.env.CHECK_CONCURRENCY, 5)),
+      // URLs checked in parallel on the same hostname
+      perHostConcurrency: Math.max(1, number(process.env.CHECK_PER_HOST_CONCURRENCY, 1)),
+      // Pause between two requests to the same hostname
+      hostDelayMs: Math.max(0, number(process.env.CHECK_HOST_DELAY_MS, 500)),
+      maxRetries: Math.max(0, number(process.env.CHECK_MAX_RETRIES, 2)),
+      retryBaseDelayMs: Math.max(0, number(process.env.CHECK_RETRY_BASE_DELAY_MS, 1000)),
+      retryMaxDelayMs: Math.max(0, number(process.env.CHECK_RETRY_MAX_DELAY_MS, 60000))
+    };
+  }
+
+  /**
+   * Check multiple URLs with a worker pool
+   *
+   * Up to `concurrency` checks run at once, at most `perHostConcurrency` per
+   * hostname, with `hostDelayMs` between requests to the same hostname.
+   * Retryable results (timeouts, 429, 503) are retried with exponential
+   * backoff, or after the Retry-After delay when the server sent one.
+   *
+   * Options: { provider, signal, onResult, onRetry }
+   * - signal: AbortSignal, no new checks start once aborted
+   * - onResult(result): called after each URL is finished
+   * - onRetry({ url, attempt, delayMs, notes }): called before each retry
+   *
+   * Resolves to { results, stats } - results keep the input order
+   * (URLs skipped by a cancel are left out)
+   */
+  static async runChecks(urls, options = {}) {
+    const { signal, onResult, onRetry, ...checkOptions } = options;
+    const config = this.getEngineConfig();
+    const startedAt = Date.now();
+
+    const hostOf = (url) => {
+      try {
+        return new URL(url).hostname;
+      } catch (error) {
+        return null;
+      }
+    };
+
+    const pending = urls.map((urlData, index) => ({
+      urlData,
+      index,
+      host: this.isValidURL(urlData.url) ? hostOf(urlData.url) : null,
+      attempt: 0,
+      notBefore: 0
+    }));
+    const results = new Array(urls.length);
+    const hostActive = new Map();
+    const hostNextAt = new Map();
+    const stats = { retries: 0 };
+    let active = 0;
+
+    await new Promise((resolve) => {
+      let timer = null;
+
+      const pump = () => {
+        const aborted = signal && signal.aborted;
+
+        if ((aborted || pending.length === 0) && active === 0) {
+          clearTimeout(timer);
+          if (signal) {
+            signal.removeEventListener('abort', pump);
+          }
+          return resolve();
         }
-      });
-
-      // Step 3: Determine indexation based on response
-      if (response.status === 200) {
-        // URL is accessible and returns content
-        // In real scenario, we would check Google's index
-        // For this demo, we assume accessible pages are likely indexed
-        return {
-          status: 'Indexed',
-          notes: `HTTP ${response.status} - Page accessible`
-        };
-      } else if (response.status === 404) {
-        return {
-          status: 'Not Indexed',
-          notes: 'HTTP 404 - Page not found'
-        };
-      } else if (response.status === 403) {
-        return {
-          status: 'Not Indexed',
-          notes: 'HTTP 403 - Access forbidden'
-        };
-      } else if (response.status >= 400) {
-        return {
-          status: 'Not Indexed',
-          notes: `HTTP ${response.status} - Client error`
-        };
-      } else {
-        return {
-          status: 'Not Indexed',
-          notes: `HTTP ${response.status} - Unusual status`
-        };
+
+        if (aborted) {
+          return;
+        }
+
+        const now = Date.now();
+        let wakeAt = Infinity;
+
+        for (let i = 0; i < pending.length && active < config.concurrency;) {
+          const item = pending[i];
+          const { host } = item;
+
+          if (host && (hostActive.get(host) || 0) >= config.perHostConcurrency) {
+            i++;
+            continue;
+          }
+
+          const readyAt = Math.max(item.notBefore, host ? hostNextAt.get(host) || 0 : 0);
+          if (readyAt > now) {
+            wakeAt = Math.min(wakeAt, readyAt);
+            i++;
+            continue;
+          }
+
+          pending.splice(i, 1);
+          start(item);
+        }
+
+        clearTimeout(timer);
+        timer = wakeAt < Infinity ? setTimeout(pump, wakeAt - now) : null;
+      };
+
+      const start = (item) => {
+        const { urlData, host } = item;
+        active++;
+        if (host) {
+          hostActive.set(host, (hostActive.get(host) || 0) + 1);
+        }
+        item.attempt++;
+
+        logger.debug('Checking URL', { url: urlData.url, attempt: item.attempt });
+        const attemptStartedAt = Date.now();
+
+        this.checkIndexation(urlData.url, checkOptions)
+          .catch(error => ({
+            status: 'Check Failed',
+            notes: `Error: ${error.message.substring(0, 50)}`
+          }))
+          .then(result => {
+            active--;
+            MetricsService.recordCheckAttempt({
+              provider: result.provider || checkOptions.provider,
+              status: result.status,
+              httpCode: result.httpCode,
+              durationMs: Date.now() - attemptStartedAt
+            });
+            if (host) {
+              hostActive.set(host, hostActive.get(host) - 1);
+              hostNextAt.set(host, Math.max(hostNextAt.get(host) || 0, Date.now() + config.hostDelayMs));
+            }
+
+            const canRetry = result.retryable && item.attempt <= config.maxRetries && !(signal && signal.aborted);
+
+            if (canRetry) {
+              const backoff = Math.min(
+                config.retryMaxDelayMs,
+                config.retryBaseDelayMs * 2 ** (item.attempt - 1)
+              );
+              const delayMs = result.retryAfterMs != null ? result.retryAfterMs : backoff;
+
+              item.notBefore = Date.now() + delayMs;
+              // Retry-After applies to the whole host, not only this URL
+              if (host && result.retryAfterMs != null) {
+                hostNextAt.set(host, Math.max(hostNextAt.get(host) || 0, item.notBefore));
+              }
+
+              stats.retries++;
+              MetricsService.recordRetry(result.provider || checkOptions.provider);
+              pending.push(item);
+
+              if (onRetry) {
+                onRetry({ url: urlData.url, attempt: item.attempt, delayMs, notes: result.notes });
+              }
+            } else {
+              const entry = {
+                id: urlData.id,
+                url: urlData.url,
+                status: result.status,
+                notes: result.notes,
+                httpCode: result.httpCode == null ? null : result.httpCode,
+                signals: result.signals || null,
+                provider: result.provider,
+                attempts: item.attempt,
+                checkedAt: new Date().toISOString()
+              };
+              results[item.index] = entry;
+              MetricsService.recordCheckResult(entry);
+
+              if (onResult) {
+                onResult(entry);
+              }
+            }
+
+            pump();
+          });
+      };
+
+      if (signal) {
+        signal.addEventListener('abort', pump);
       }
-    } catch (error) {
-      // Handle network errors
-      if (error.code === 'ENOTFOUND') {
-        return {
-          status: 'Invalid URL',
-          notes: 'DNS not found - Domain does not exist'
-        };
-      } else if (error.code === 'ETIMEDOUT' || error.message.includes('timeout')) {
-        return {
-          status: 'Not Indexed',
-          notes: 'Connection timeout'
-        };
-      } else if (error.code === 'ECONNREFUSED') {
-        return {
-          status: 'Invalid URL',
-          notes: 'Connection refused'
-        };
-      } else if (error.message.includes('Invalid URL')) {
-        return {
-          status: 'Invalid URL',
-          notes: 'Malformed URL'
-        };
-      } else {
-        return {
-          status: 'Not Indexed',
-          notes: `Error: ${error.message.substring(0, 50)}`
-        };
+      pump();
+    });
+
+    const checked = results.filter(Boolean);
+    const durationMs = Date.now() - startedAt;
+
+    return {
+      results: checked,
+      stats: {
+        checked: checked.length,
+        retries: stats.retries,
+        durationMs,
+        // URLs finished per minute
+        throughput: durationMs > 0 ? Math.round((checked.length / durationMs) * 60000 * 10) / 10 : 0,
+        concurrency: config.concurrency,
+        perHostConcurrency: config.perHostConcurrency
       }
-    }
+    };
   }
 
   /**
    * Check multiple URLs
+   * Same options as runChecks, resolves to the results only
    */
-  static async checkMultipleURLs(urls) {
-    const results = [];
-    
-    for (const urlData of urls) {
-      console.log(`🔍 Checking: ${urlData.url}`);
-      const result = await this.checkIndexation(urlData.url);
-      results.push({
-        url: urlData.url,
-        status: result.status,
-        notes: result.notes
-      });
-      
-      // Small delay to avoid overwhelming the system
-      await new Promise(resolve => setTimeout(resolve, 500));
-    }
-    
+  static async checkMultipleURLs(urls, options = {}) {
+    const { results } = await this.runChecks(urls, options);
     return results;
   }
 }
 
-module.exports = IndexationService;
\ No newline at end of file
+module.exports = IndexationService;
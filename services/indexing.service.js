@@ -0,0 +1,235 @@
+const HistoryModel = require('../models/history.model');
+const SubmissionModel = require('../models/submission.model');
+const URLModel = require('../models/url.model');
+const MetricsService = require('./metrics.service');
+const checkEvents = require('./events.service');
+const { getSubmitter, getSubmitters, listSubmitters } = require('./submitters');
+const { startOfDay } = require('../utils/date.utils');
+const { isHttpURL } = require('../utils/url.utils');
+const Mutex = require('../utils/mutex');
+const logger = require('../utils/logger');
+
+const TYPES = ['URL_UPDATED', 'URL_DELETED'];
+
+// One lock per submitter: reading the quota, sending and logging the results
+// run as one step, so concurrent submits (manual and auto) can't both spend
+// the same remaining quota
+const submitterLocks = new Map();
+
+function submitterLock(id) {
+  if (!submitterLocks.has(id)) {
+    submitterLocks.set(id, new Mutex());
+  }
+  return submitterLocks.get(id);
+}
+
+/**
+ * Indexing Service
+ * Asks search engines to (re)crawl URLs through the submitters (Google
+ * Indexing API, IndexNow), keeps every request in the submission log and
+ * stays within each submitter's daily quota: URLs beyond it are recorded as
+ * skipped instead of being sent.
+ *
+ * With INDEXING_RESUBMIT_AFTER set, URLs that were found Not Indexed that
+ * many checks in a row (counted since their last submission) are submitted
+ * again after every check run.
+ *
+ * Env: INDEXING_RESUBMIT_AFTER (default 0 = never), INDEXING_SUBMITTERS (see services/submitters)
+ */
+class IndexingService {
+  static get TYPES() {
+    return TYPES;
+  }
+
+  static getLimits() {
+    return {
+      resubmitAfter: parseInt(process.env.INDEXING_RESUBMIT_AFTER, 10) || 0
+    };
+  }
+
+  /**
+   * Subscribe to finished check runs
+   */
+  static start() {
+    checkEvents.on('run-finished', (event) => {
+      this.handleRunFinished(event).catch(error => {
+        logger.error('Error resubmitting URLs for indexing', { jobId: event.jobId, error });
+      });
+    });
+  }
+
+  /**
+   * Today's quota of a submitter: { limit, used, remaining, resetsAt }
+   * limit and remaining are null when there is no limit. Requests that
+   * reached the search engine count, whether accepted or not.
+   */
+  static async getQuota(submitter, now = new Date()) {
+    const limit = submitter.getDailyQuota();
+    const dayStart = startOfDay(submitter.quotaTimezone, now);
+    const resetsAt = startOfDay(submitter.quotaTimezone, new Date(dayStart.getTime() + 36 * 60 * 60 * 1000));
+
+    const records = await SubmissionModel.readAll({ submitter: submitter.id, since: dayStart.toISOString() });
+    const used = records.filter(record => record.httpCode != null).length;
+
+    return {
+      limit: limit > 0 ? limit : null,
+      used,
+      remaining: limit > 0 ? Math.max(0, limit - used) : null,
+      resetsAt: resetsAt.toISOString()
+    };
+  }
+
+  /**
+   * Submitters with their configuration state and, when configured, today's quota
+   */
+  static async listSubmitters() {
+    return Promise.all(listSubmitters().map(async (submitter) => ({
+      ...submitter,
+      quota: submitter.configured ? await this.getQuota(getSubmitter(submitter.id)) : null
+    })));
+  }
+
+  /**
+   * Submit URL records to search engines
+   * Options: { submitters (IDs, default: INDEXING_SUBMITTERS), type (URL_UPDATED
+   * or URL_DELETED), trigger ('manual' | 'auto') }
+   * Resolves to { results, quota } - one submission record per URL and
+   * submitter, and each submitter's quota afterwards. URLs that aren't
+   * http(s) (e.g. stored without a scheme) are recorded as failed, unsent.
+   * Throws a 400 SUBMITTER_UNKNOWN / SUBMITTER_UNAVAILABLE error for
+   * unusable submitters.
+   */
+  static async submit(urls, { submitters: submitterIds, type = 'URL_UPDATED', trigger = 'manual' } = {}) {
+    const submitters = getSubmitters(submitterIds);
+    const results = [];
+    const quota = {};
+
+    const valid = urls.filter(urlData => isHttpURL(urlData.url));
+
+    for (const submitter of submitters) {
+      const records = await submitterLock(submitter.id).runExclusive(async () => {
+        const { limit, remaining, resetsAt } = await this.getQuota(submitter);
+        const allowed = remaining === null ? valid : valid.slice(0, remaining);
+        const sent = allowed.length > 0 ? await submitter.submit(allowed.map(urlData => urlData.url), { type }) : [];
+        const byUrl = new Map(sent.map(result => [result.url, result]));
+        const submittedAt = new Date().toISOString();
+
+        const submitted = urls.map(urlData => {
+          let result = byUrl.get(urlData.url);
+          if (!isHttpURL(urlData.url)) {
+            result = { status: 'failed', httpCode: null, message: 'Not an http(s) URL; fix the URL and submit it again' };
+          } else if (!result) {
+            result = { status: 'skipped', httpCode: null, message: `Daily quota of ${limit} reached; resets at ${resetsAt}` };
+          }
+
+          return {
+            urlId: urlData.id,
+            url: urlData.url,
+            projectId: urlData.projectId,
+            submitter: submitter.id,
+            type,
+            trigger,
+            status: result.status,
+            httpCode: result.httpCode,
+            message: result.message,
+            submittedAt
+          };
+        });
+
+        await SubmissionModel.append(submitted);
+        return submitted;
+      });
+
+      results.push(...records);
+    }
+
+    results.forEach(record => MetricsService.recordSubmission(record));
+
+    for (const submitter of submitters) {
+      quota[submitter.id] = await this.getQuota(submitter);
+    }
+
+    logger.info('URLs submitted for indexing', {
+      trigger,
+      urls: urls.length,
+      submitted: results.filter(record => record.status === 'submitted').length,
+      failed: results.filter(record => record.status === 'failed').length,
+      skipped: results.filter(record => record.status === 'skipped').length
+    });
+
+    return { results, quota };
+  }
+
+  /**
+   * Consecutive Not Indexed checks of each URL since it was last submitted;
+   * an Indexed check starts the count again, other results (failed checks,
+   * blocked, ...) don't count either way
+   */
+  static countNotIndexedChecks(history, submissions) {
+    const lastSubmitted = new Map();
+    submissions
+      .filter(record => record.status !== 'skipped')
+      .forEach(record => lastSubmitted.set(record.urlId, record.submittedAt));
+
+    const counts = new Map();
+    history.forEach(record => {
+      const since = lastSubmitted.get(record.urlId);
+      if (since && Date.parse(record.checkedAt) <= Date.parse(since)) {
+        return;
+      }
+      if (record.status === 'Indexed') {
+        counts.set(record.urlId, 0);
+      } else if (record.status === 'Not Indexed') {
+        counts.set(record.urlId, (counts.get(record.urlId) || 0) + 1);
+      }
+    });
+
+    return counts;
+  }
+
+  /**
+   * Resubmit the run's Not Indexed URLs that reached INDEXING_RESUBMIT_AFTER
+   * Resolves to the submission records (empty when nothing was due)
+   */
+  static async handleRunFinished(event) {
+    const { resubmitAfter } = this.getLimits();
+    if (resubmitAfter <= 0 || event.status === 'failed') {
+      return [];
+    }
+
+    // The run's results are in the history under the job's ID
+    const history = await HistoryModel.readAll();
+    const notIndexed = new Set(history
+      .filter(record => record.runId === event.jobId && record.status === 'Not Indexed')
+      .map(record => record.urlId));
+
+    if (notIndexed.size === 0) {
+      return [];
+    }
+
+    const counts = this.countNotIndexedChecks(
+      history.filter(record => notIndexed.has(record.urlId)),
+      await SubmissionModel.readAll()
+    );
+    const urls = (await URLModel.readAllURLs()).filter(urlData =>
+      notIndexed.has(urlData.id) && urlData.status === 'Not Indexed' && counts.get(urlData.id) >= resubmitAfter
+    );
+
+    if (urls.length === 0) {
+      return [];
+    }
+
+    let results;
+    try {
+      ({ results } = await this.submit(urls, { trigger: 'auto' }));
+    } catch (error) {
+      // e.g. no submitter configured
+      logger.warn('Could not resubmit URLs for indexing', { jobId: event.jobId, urls: urls.length, error: error.message });
+      return [];
+    }
+
+    return results;
+  }
+}
+
+module.exports = IndexingService;
@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const CheckRunService = require('./checkRun.service');
+const checkEvents = require('./events.service');
+const { getProvider } = require('./providers');
+const { ConflictError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Finished jobs kept in memory for GET /api/jobs
+const MAX_FINISHED_JOBS = 20;
+
+const jobs = new Map();
+let activeJobId = null;
+
+/**
+ * Job Service
+ * Runs check runs in the background and tracks their progress.
+ * Only one check job runs at a time, whether started manually or by the scheduler.
+ */
+class JobService {
+  /**
+   * Currently running job, if any
+   */
+  static getActiveJob() {
+    return activeJobId ? jobs.get(activeJobId) : null;
+  }
+
+  /**
+   * Start a check job
+   * Options: { source, provider, urlIds, target }
+   * Resolves to the job, or null when there are no URLs to check.
+   * Throws a 409 CHECK_IN_PROGRESS error if a job is already running.
+   * `job.promise` settles when the job is finished.
+   */
+  static async start({ source = 'manual', provider, urlIds, target } = {}) {
+    const providerId = getProvider(provider).id;
+
+    if (activeJobId) {
+      throw new ConflictError(`A check is already running (job ${activeJobId})`, {
+        code: 'CHECK_IN_PROGRESS',
+        details: { jobId: activeJobId, statusUrl: `/api/jobs/${activeJobId}` }
+      });
+    }
+
+    // Reserve the slot before the first await so concurrent starts are rejected
+    const id = crypto.randomUUID();
+    activeJobId = id;
+
+    let urls;
+    try {
+      urls = await CheckRunService.selectURLs({ urlIds, target });
+    } catch (error) {
+      activeJobId = null;
+      throw error;
+    }
+
+    if (urls.length === 0) {
+      activeJobId = null;
+      return null;
+    }
+
+    const controller = new AbortController();
+    const job = {
+      id,
+      source,
+      provider: providerId,
+      projectId: CheckRunService.projectOf(urls),
+      status: 'running',
+      total: urls.length,
+      processed: 0,
+      retries: 0,
+      results: [],
+      changes: [],
+      run: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      controller
+    };
+    jobs.set(id, job);
+
+    checkEvents.emit('run-started', {
+      jobId: id,
+      source,
+      provider: providerId,
+      projectId: job.projectId,
+      total: job.total,
+      startedAt: job.createdAt
+    });
+
+    job.promise = CheckRunService.run({
+      source,
+      provider: providerId,
+      urls,
+      runId: id,
+      signal: controller.signal,
+      onResult: (result) => {
+        job.results.push(result);
+        job.processed++;
+        checkEvents.emit('url-checked', {
+          jobId: id,
+          result,
+          progress: { processed: job.processed, total: job.total }
+        });
+      },
+      onRetry: () => {
+        job.retries++;
+      }
+    })
+      .then(({ run, changes }) => {
+        job.run = run;
+        job.changes = changes;
+        job.status = controller.signal.aborted ? 'cancelled' : 'completed';
+        return job;
+      })
+      .catch((error) => {
+        logger.error('Check job failed', { jobId: id, error });
+        job.status = 'failed';
+        job.error = error.message;
+        return job;
+      })
+      .finally(() => {
+        job.finishedAt = new Date().toISOString();
+        activeJobId = null;
+        this.pruneFinishedJobs();
+
+        checkEvents.emit('run-finished', {
+          jobId: id,
+          status: job.status,
+          source,
+          provider: providerId,
+          projectId: job.projectId,
+          summary: CheckRunService.summarize(job.results),
+          statusCounts: job.results.reduce((counts, result) => {
+            counts[result.status] = (counts[result.status] || 0) + 1;
+            return counts;
+          }, {}),
+          changes: job.changes,
+          finishedAt: job.finishedAt,
+          error: job.error
+        });
+      });
+
+    return job;
+  }
+
+  /**
+   * Request cancellation of a running job
+   * Resolves to the job, or null if not found
+   */
+  static cancel(id) {
+    const job = jobs.get(id);
+    if (!job) {
+      return null;
+    }
+
+    if (job.status === 'running') {
+      job.status = 'cancelling';
+      job.controller.abort();
+    }
+
+    return job;
+  }
+
+  /**
+   * Find a job by ID
+   */
+  static findById(id) {
+    return jobs.get(id) || null;
+  }
+
+  /**
+   * All known jobs (newest first)
+   */
+  static list() {
+    return [...jobs.values()].reverse();
+  }
+
+  /**
+   * Drop the oldest finished jobs beyond MAX_FINISHED_JOBS
+   */
+  static pruneFinishedJobs() {
+    const finished = [...jobs.values()].filter(job => job.finishedAt);
+    finished
+      .slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))
+      .forEach(job => jobs.delete(job.id));
+  }
+
+  /**
+   * Public view of a job with progress and ETA
+   * Set `includeResults` to false to leave out per-URL results
+   */
+  static serialize(job, { includeResults = true } = {}) {
+    const endedAt = job.finishedAt ? new Date(job.finishedAt).getTime() : Date.now();
+    const elapsedMs = endedAt - new Date(job.createdAt).getTime();
+    const remaining = job.total - job.processed;
+    const running = job.status === 'running';
+
+    return {
+      id: job.id,
+      source: job.source,
+      provider: job.provider,
+      projectId: job.projectId,
+      status: job.status,
+      progress: {
+        processed: job.processed,
+        total: job.total,
+        percent: Math.round((job.processed / job.total) * 100)
+      },
+      // Average time per URL so far times the URLs left
+      etaSeconds: running && job.processed > 0
+        ? Math.round((elapsedMs / job.processed) * remaining / 1000)
+        : null,
+      stats: {
+        retries: job.retries,
+        // URLs finished per minute so far
+        throughput: elapsedMs > 0 ? Math.round((job.processed / elapsedMs) * 60000 * 10) / 10 : 0
+      },
+      createdAt: job.createdAt,
+      finishedAt: job.finishedAt,
+      error: job.error,
+      run: job.run,
+      ...(includeResults && { results: job.results })
+    };
+  }
+}
+
+module.exports = JobService;
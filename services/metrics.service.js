@@ -0,0 +1,157 @@
+const client = require('prom-client');
+const URLModel = require('../models/url.model');
+
+const register = new client.Registry();
+
+// Process metrics: CPU, memory, event loop lag, ...
+client.collectDefaultMetrics({ register });
+
+const checkDuration = new client.Histogram({
+  name: 'indexation_check_duration_seconds',
+  help: 'Duration of single URL checks (each attempt)',
+  labelNames: ['provider', 'status'],
+  buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [register]
+});
+
+const checkResults = new client.Counter({
+  name: 'indexation_check_results_total',
+  help: 'URL check results by status',
+  labelNames: ['provider', 'status'],
+  registers: [register]
+});
+
+const checkRetries = new client.Counter({
+  name: 'indexation_check_retries_total',
+  help: 'URL checks retried after a timeout, 429 or 503',
+  labelNames: ['provider'],
+  registers: [register]
+});
+
+const targetResponses = new client.Counter({
+  name: 'indexation_target_http_responses_total',
+  help: 'HTTP status codes returned by checked sites (each attempt)',
+  labelNames: ['code'],
+  registers: [register]
+});
+
+const runDuration = new client.Histogram({
+  name: 'indexation_run_duration_seconds',
+  help: 'Duration of check runs',
+  labelNames: ['source', 'status'],
+  buckets: [1, 5, 15, 30, 60, 120, 300, 600, 1800, 3600],
+  registers: [register]
+});
+
+const schedulerRuns = new client.Counter({
+  name: 'indexation_scheduler_runs_total',
+  help: 'Scheduled tasks run, by result',
+  labelNames: ['type', 'result'],
+  registers: [register]
+});
+
+const schedulerLastSuccess = new client.Gauge({
+  name: 'indexation_scheduler_last_success_timestamp_seconds',
+  help: 'When a scheduled task last succeeded (Unix time)',
+  labelNames: ['type', 'id', 'name'],
+  registers: [register]
+});
+
+const indexingSubmissions = new client.Counter({
+  name: 'indexation_submissions_total',
+  help: 'URLs submitted for indexing, by submitter and result',
+  labelNames: ['submitter', 'status', 'trigger'],
+  registers: [register]
+});
+
+const httpDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'API request latency',
+  labelNames: ['method', 'route', 'status_code'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+
+// Current URL counts, read from the store on every scrape
+new client.Gauge({
+  name: 'indexation_urls',
+  help: 'Tracked URLs by current status',
+  labelNames: ['project', 'status'],
+  registers: [register],
+  async collect() {
+    this.reset();
+    const counts = new Map();
+    (await URLModel.readAllURLs()).forEach(urlData => {
+      const key = `${urlData.projectId}\n${urlData.status}`;
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    counts.forEach((count, key) => {
+      const [project, status] = key.split('\n');
+      this.set({ project, status }, count);
+    });
+  }
+});
+
+/**
+ * Metrics Service
+ * Prometheus metrics, served at GET /metrics
+ */
+class MetricsService {
+  /**
+   * One URL check attempt
+   */
+  static recordCheckAttempt({ provider, status, httpCode, durationMs }) {
+    checkDuration.observe({ provider: provider || 'unknown', status }, durationMs / 1000);
+    if (httpCode != null) {
+      targetResponses.inc({ code: String(httpCode) });
+    }
+  }
+
+  static recordRetry(provider) {
+    checkRetries.inc({ provider: provider || 'unknown' });
+  }
+
+  /**
+   * Final result of a URL check (after retries)
+   */
+  static recordCheckResult({ provider, status }) {
+    checkResults.inc({ provider: provider || 'unknown', status });
+  }
+
+  static recordRun(run) {
+    runDuration.observe({ source: run.source, status: run.status }, (run.durationMs || 0) / 1000);
+  }
+
+  /**
+   * A scheduled check or sitemap sync finished
+   * result: 'success' | 'skipped' | 'failure'
+   */
+  static recordScheduledRun({ type, id, name, result }) {
+    schedulerRuns.inc({ type, result });
+    if (result === 'success') {
+      schedulerLastSuccess.set({ type, id, name: name || '' }, Date.now() / 1000);
+    }
+  }
+
+  /**
+   * A URL submitted for indexing (see IndexingService)
+   * status: 'submitted' | 'failed' | 'skipped'
+   */
+  static recordSubmission({ submitter, status, trigger }) {
+    indexingSubmissions.inc({ submitter, status, trigger });
+  }
+
+  static recordRequest({ method, route, statusCode, durationMs }) {
+    httpDuration.observe({ method, route, status_code: String(statusCode) }, durationMs / 1000);
+  }
+
+  static get contentType() {
+    return register.contentType;
+  }
+
+  static getMetrics() {
+    return register.metrics();
+  }
+}
+
+module.exports = MetricsService;
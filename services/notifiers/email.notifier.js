@@ -0,0 +1,73 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * Email Notifier
+ * Sends the alert over SMTP.
+ *
+ * Env:
+ * - SMTP_HOST, SMTP_PORT (default 587), SMTP_SECURE ("true" for implicit TLS)
+ * - SMTP_USER, SMTP_PASS - optional credentials
+ * - ALERT_EMAIL_FROM - sender address
+ */
+class EmailNotifier {
+  static get type() {
+    return 'email';
+  }
+
+  static validate(channel) {
+    const recipients = [].concat(channel.to || []);
+    if (recipients.length === 0 || !recipients.every(to => /^[^\s@]+@[^\s@]+$/.test(to))) {
+      return 'email channel needs "to" (an address or a list of addresses)';
+    }
+    if (!process.env.SMTP_HOST) {
+      return 'email channel needs SMTP_HOST to be configured';
+    }
+    return null;
+  }
+
+  static describe(channel) {
+    return [].concat(channel.to).join(', ');
+  }
+
+  static createTransport() {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+
+  /**
+   * Plain-text email body
+   */
+  static buildText(alert) {
+    const lines = [
+      alert.message,
+      '',
+      `Rule: ${alert.rule.name}`,
+      `Run: ${alert.run.jobId} (${alert.run.source}, provider ${alert.run.provider})`,
+      `Finished: ${alert.run.finishedAt}`
+    ];
+
+    if (alert.matches.length > 0) {
+      lines.push('', 'URLs:');
+      alert.matches.forEach(match => lines.push(`- ${match.url}: ${match.from} -> ${match.to} (${match.notes})`));
+    }
+
+    return lines.join('\n');
+  }
+
+  static async send(channel, alert) {
+    await this.createTransport().sendMail({
+      from: process.env.ALERT_EMAIL_FROM || 'url-indexation-checker@localhost',
+      to: [].concat(channel.to).join(', '),
+      subject: `[URL Indexation] ${alert.rule.name}`,
+      text: this.buildText(alert)
+    });
+  }
+}
+
+module.exports = EmailNotifier;
@@ -0,0 +1,20 @@
+const WebhookNotifier = require('./webhook.notifier');
+const SlackNotifier = require('./slack.notifier');
+const EmailNotifier = require('./email.notifier');
+
+const notifiers = [WebhookNotifier, SlackNotifier, EmailNotifier];
+
+/**
+ * Alert Notifiers
+ * Every notifier exposes `type`, `validate(channel)`, `describe(channel)`
+ * and `send(channel, alert)`, which throws when delivery fails.
+ */
+function getNotifier(type) {
+  return notifiers.find(notifier => notifier.type === type) || null;
+}
+
+function getNotifierTypes() {
+  return notifiers.map(notifier => notifier.type);
+}
+
+module.exports = { getNotifier, getNotifierTypes };
@@ -0,0 +1,55 @@
+const axios = require('axios');
+const { isHttpURL } = require('../../utils/url.utils');
+
+// Keep messages readable in Slack
+const MAX_LISTED_URLS = 20;
+
+/**
+ * Slack Notifier
+ * Sends a Slack incoming-webhook payload ({ text, blocks })
+ */
+class SlackNotifier {
+  static get type() {
+    return 'slack';
+  }
+
+  static validate(channel) {
+    return isHttpURL(channel.url) ? null : 'slack channel needs an incoming webhook "url"';
+  }
+
+  static describe(channel) {
+    return channel.url;
+  }
+
+  /**
+   * Build the Slack message payload
+   */
+  static buildPayload(alert) {
+    const lines = alert.matches
+      .slice(0, MAX_LISTED_URLS)
+      .map(match => `• <${match.url}|${match.url}>: ${match.from} → ${match.to}`);
+
+    if (alert.matches.length > MAX_LISTED_URLS) {
+      lines.push(`…and ${alert.matches.length - MAX_LISTED_URLS} more`);
+    }
+
+    const blocks = [
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: `*:rotating_light: ${alert.rule.name}*\n${alert.message}` }
+      }
+    ];
+
+    if (lines.length > 0) {
+      blocks.push({ type: 'section', text: { type: 'mrkdwn', text: lines.join('\n') } });
+    }
+
+    return { text: `${alert.rule.name}: ${alert.message}`, blocks };
+  }
+
+  static async send(channel, alert) {
+    await axios.post(channel.url, this.buildPayload(alert), { timeout: 10000 });
+  }
+}
+
+module.exports = SlackNotifier;
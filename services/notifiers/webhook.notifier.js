@@ -0,0 +1,32 @@
+const axios = require('axios');
+const { isHttpURL } = require('../../utils/url.utils');
+
+/**
+ * Webhook Notifier
+ * POSTs the alert as JSON to any URL
+ */
+class WebhookNotifier {
+  static get type() {
+    return 'webhook';
+  }
+
+  /**
+   * Validate channel settings, returns an error message or null
+   */
+  static validate(channel) {
+    return isHttpURL(channel.url) ? null : 'webhook channel needs an http(s) "url"';
+  }
+
+  static describe(channel) {
+    return channel.url;
+  }
+
+  static async send(channel, alert) {
+    await axios.post(channel.url, { event: 'indexation.alert', ...alert }, {
+      timeout: 10000,
+      headers: { 'User-Agent': 'URL-Indexation-Checker/1.0' }
+    });
+  }
+}
+
+module.exports = WebhookNotifier;
@@ -0,0 +1,242 @@
+const { ERROR_CODES } = require('../utils/errors');
+const components = require('../schemas/components');
+const { version, description } = require('../package.json');
+
+const HTTP_STATUS_TEXT = {
+  200: 'OK',
+  201: 'Created',
+  202: 'Accepted',
+  400: 'Invalid request',
+  401: 'Missing or invalid credential',
+  403: 'Role too low',
+  404: 'Not found',
+  413: 'Upload too large',
+  415: 'Unsupported file type'
+};
+
+const TAG_DESCRIPTIONS = {
+  Projects: 'Every /api/urls endpoint is also available under /api/projects/{projectId}/urls, scoped to the project.'
+};
+
+/**
+ * "/api/urls/{id}" for the Express path "/api/urls/:id"
+ */
+function toOpenAPIPath(path) {
+  return path.replace(/:(\w+)/g, '{$1}');
+}
+
+/**
+ * Express path of a router mounted with router.use(), e.g. "/:projectId/urls"
+ * Express 4 keeps only the compiled pattern, so the path is read back from it
+ */
+function toMountPath(layer) {
+  if (layer.regexp.fast_slash) {
+    return '';
+  }
+
+  let param = 0;
+  return layer.regexp.source
+    .replace(/^\^/, '')
+    .replace(/\\\/\?\(\?=\\\/\|\$\)$/, '')
+    .replace(/\(\?:\\\/\(\[\^\/\]\+\?\)\)/g, () => `/:${layer.keys[param++].name}`)
+    .replace(/\\(.)/g, '$1');
+}
+
+/**
+ * Routes of a router, including those of routers mounted in it, with their
+ * full Express path and every handle a request goes through:
+ * [{ path, route, handles }]
+ */
+function collectRoutes(router, prefix = '', parentHandles = []) {
+  const routes = [];
+
+  router.stack.forEach((layer, index) => {
+    if (layer.route) {
+      routes.push({
+        path: `${prefix}${layer.route.path === '/' ? '' : layer.route.path}`,
+        route: layer.route,
+        handles: [...parentHandles, ...layer.route.stack.map(routeLayer => routeLayer.handle)]
+      });
+    } else if (layer.handle.stack) {
+      // Middleware mounted on the same path ahead of the router (e.g. requireProject, requireRole)
+      const middleware = router.stack.slice(0, index)
+        .filter(other => !other.route && !other.handle.stack && other.regexp.source === layer.regexp.source)
+        .map(other => other.handle);
+      routes.push(...collectRoutes(layer.handle, `${prefix}${toMountPath(layer)}`, [...parentHandles, ...middleware]));
+    }
+  });
+
+  return routes;
+}
+
+/**
+ * Parameters of one location ("path" or "query") from a route schema
+ */
+function toParameters(schema, location) {
+  if (!schema || !schema.properties) {
+    return [];
+  }
+  return Object.entries(schema.properties).map(([name, { description, ...property }]) => ({
+    name,
+    in: location,
+    required: location === 'path' || (schema.required || []).includes(name),
+    ...(description && { description }),
+    schema: property
+  }));
+}
+
+function toRequestBody({ body, upload }) {
+  if (upload) {
+    const properties = {
+      [upload.field]: { type: 'string', format: 'binary', description: upload.description },
+      ...(body && body.properties)
+    };
+    return {
+      required: upload.required !== false,
+      content: {
+        'multipart/form-data': {
+          schema: { type: 'object', properties, ...(upload.required !== false && { required: [upload.field] }) }
+        }
+      }
+    };
+  }
+  if (body) {
+    return {
+      required: Boolean(body.required),
+      content: { 'application/json': { schema: body } }
+    };
+  }
+  return null;
+}
+
+function toResponses(schema, { secured, hasPathParams }) {
+  const responses = {};
+
+  Object.entries(schema.responses || { 200: {} }).forEach(([status, response]) => {
+    // Non-JSON bodies are given as OpenAPI response objects
+    responses[status] = response.content
+      ? response
+      : { description: HTTP_STATUS_TEXT[status] || 'OK', content: { 'application/json': { schema: response } } };
+  });
+
+  const error = { $ref: '#/components/responses/Error' };
+  if (schema.params || schema.query || schema.body || schema.upload) {
+    responses[400] = error;
+  }
+  if (secured) {
+    responses[401] = error;
+    responses[403] = error;
+  }
+  if (hasPathParams) {
+    responses[404] = error;
+  }
+  if (schema.upload) {
+    responses[413] = error;
+    responses[415] = error;
+  }
+  responses.default = error;
+
+  return responses;
+}
+
+/**
+ * Role needed for a request method, from requireRole()/authorize() in the
+ * route or the router's mount (routes/index.js); null when public
+ */
+function getRole(method, handles, mountRoles) {
+  const required = handles.find(handle => handle.role);
+  if (required) {
+    return required.role;
+  }
+  const roles = (handles.find(handle => handle.roles) || {}).roles || mountRoles;
+  if (!roles) {
+    return null;
+  }
+  return method === 'get' ? roles.read : roles.write;
+}
+
+/**
+ * OpenAPI document of the API, built from the Express routers and the
+ * request schemas they validate with (schemas/), so the docs can't drift
+ * from what is enforced
+ */
+class OpenAPIService {
+  /**
+   * mounts: [{ path, router, tag, roles }] (see routes/index.js); roles are
+   * { read, write } of the router's mount, or none for public routers
+   */
+  static build(mounts) {
+    const paths = {};
+    const operationIds = new Set();
+
+    mounts.forEach(({ path: mountPath, router, tag, roles }) => {
+      collectRoutes(router, mountPath).forEach(({ path: routePath, route, handles }) => {
+        const schema = (handles.find(handle => handle.schema) || {}).schema || {};
+        const path = toOpenAPIPath(routePath);
+
+        Object.keys(route.methods).forEach(method => {
+          const role = getRole(method, handles, roles);
+
+          // Route params the schema doesn't describe (e.g. a parent router's :projectId)
+          const pathParams = toParameters(schema.params, 'path');
+          (path.match(/{\w+}/g) || [])
+            .map(param => param.slice(1, -1))
+            .filter(name => !pathParams.some(param => param.name === name))
+            .forEach(name => pathParams.push({ name, in: 'path', required: true, schema: { type: 'string' } }));
+          pathParams.sort((a, b) => path.indexOf(`{${a.name}}`) - path.indexOf(`{${b.name}}`));
+
+          // Controller method name; "createScheduleInProjects" when another router uses it too
+          const name = handles[handles.length - 1].name;
+          const operationId = operationIds.has(name) ? `${name}In${tag}` : name;
+          operationIds.add(operationId);
+
+          const requestBody = toRequestBody(schema);
+
+          paths[path] = paths[path] || {};
+          paths[path][method] = {
+            tags: [tag],
+            operationId,
+            summary: schema.summary,
+            description: [schema.description, role ? `Requires the "${role}" role.` : 'Public.'].filter(Boolean).join(' '),
+            parameters: [...pathParams, ...toParameters(schema.query, 'query')],
+            ...(requestBody && { requestBody }),
+            responses: toResponses(schema, { secured: Boolean(role), hasPathParams: pathParams.length > 0 }),
+            ...(!role && { security: [] })
+          };
+        });
+      });
+    });
+
+    const tags = [...new Set(mounts.map(mount => mount.tag))]
+      .map(name => ({ name, ...(TAG_DESCRIPTIONS[name] && { description: TAG_DESCRIPTIONS[name] }) }));
+
+    return {
+      openapi: '3.1.0',
+      info: {
+        title: 'URL Indexation Checker API',
+        version,
+        description: `${description}. Errors are { success: false, code, message, ... } with a stable code: ` +
+          `${Object.keys(ERROR_CODES).join(', ')}. Add "?tz=<IANA timezone>" to show timestamps in that timezone.`
+      },
+      servers: [{ url: '/' }],
+      tags,
+      security: [{ apiKey: [] }, { bearer: [] }],
+      paths,
+      components: {
+        securitySchemes: {
+          apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+          bearer: { type: 'http', scheme: 'bearer', description: 'API key or JWT (POST /api/auth/token)' }
+        },
+        responses: {
+          Error: {
+            description: 'Error',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+          }
+        },
+        schemas: components
+      }
+    };
+  }
+}
+
+module.exports = OpenAPIService;
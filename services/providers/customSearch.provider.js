@@ -0,0 +1,91 @@
+const axios = require('axios');
+const { getRetryInfo } = require('../../utils/http.utils');
+
+const DEFAULT_BASE_URL = 'https://www.googleapis.com';
+
+/**
+ * Custom Search Provider
+ * Runs a `site:` query through the Google Custom Search JSON API and
+ * reports the URL as indexed when it shows up in the results.
+ *
+ * Env:
+ * - GOOGLE_CSE_API_KEY - API key
+ * - GOOGLE_CSE_ID - search engine ID (cx)
+ * - CUSTOM_SEARCH_BASE_URL - API base URL override (for local mocks)
+ */
+class CustomSearchProvider {
+  static get id() {
+    return 'custom-search';
+  }
+
+  static get description() {
+    return 'Google Custom Search JSON API (site: query)';
+  }
+
+  static isConfigured() {
+    return Boolean(process.env.GOOGLE_CSE_API_KEY && process.env.GOOGLE_CSE_ID);
+  }
+
+  /**
+   * Reduce a URL to host + path so http/https, "www." and trailing
+   * slashes don't cause false negatives
+   */
+  static comparable(url) {
+    try {
+      const urlObj = new URL(url);
+      const host = urlObj.hostname.replace(/^www\./, '');
+      const pathname = urlObj.pathname.replace(/\/+$/, '');
+      return `${host}${pathname}${urlObj.search}`.toLowerCase();
+    } catch (error) {
+      return url.toLowerCase();
+    }
+  }
+
+  /**
+   * Check a single (already validated) URL
+   */
+  static async check(url) {
+    try {
+      const baseUrl = process.env.CUSTOM_SEARCH_BASE_URL || DEFAULT_BASE_URL;
+      const response = await axios.get(`${baseUrl}/customsearch/v1`, {
+        timeout: 15000,
+        params: {
+          key: process.env.GOOGLE_CSE_API_KEY,
+          cx: process.env.GOOGLE_CSE_ID,
+          q: `site:${url}`,
+          num: 10
+        }
+      });
+
+      const items = response.data.items || [];
+      const total = Number((response.data.searchInformation || {}).totalResults || 0);
+      const target = this.comparable(url);
+
+      if (items.some(item => this.comparable(item.link) === target)) {
+        return {
+          status: 'Indexed',
+          notes: 'Found in site: search results'
+        };
+      }
+
+      return {
+        status: 'Not Indexed',
+        notes: total > 0
+          ? `site: search returned ${total} results, but not this URL`
+          : 'No site: search results'
+      };
+    } catch (error) {
+      const apiMessage = error.response && error.response.data && error.response.data.error
+        ? error.response.data.error.message
+        : error.message;
+
+      return {
+        status: 'Check Failed',
+        notes: `Custom Search error: ${String(apiMessage).substring(0, 80)}`,
+        ...getRetryInfo(error)
+      };
+    }
+  }
+}
+
+module.exports = CustomSearchProvider;
@@ -0,0 +1,279 @@
+const { getRetryInfo, isTimeoutError } = require('../../utils/http.utils');
+const { extractHeadSignals, hasNoindex } = require('../../utils/html.utils');
+const { normalizeURL } = require('../../utils/url.utils');
+const RobotsService = require('../robots.service');
+const SafeFetchService = require('../safeFetch.service');
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; URL-Indexation-Checker/1.0)';
+const MAX_REDIRECTS = 5;
+
+/**
+ * HTTP Provider
+ * Heuristic check: a page that answers HTTP 200 is assumed to be indexed,
+ * unless it carries a noindex (meta robots / X-Robots-Tag) or a canonical
+ * pointing to another URL. Needs no credentials, but it only proves the
+ * page is reachable and indexable. robots.txt is honoured: pages Googlebot
+ * may not crawl are reported as blocked, and pages this checker may not
+ * crawl are never fetched. Pages are fetched through SafeFetchService, so
+ * private and reserved addresses are reported as `Blocked (unsafe target)`.
+ */
+class HttpProvider {
+  static get id() {
+    return 'http';
+  }
+
+  static get description() {
+    return 'HTTP accessibility heuristic (200 OK = likely indexed)';
+  }
+
+  static isConfigured() {
+    return true;
+  }
+
+  /**
+   * robots.txt verdict for a URL, or null when it may be crawled
+   */
+  static async checkRobots(url) {
+    if (!RobotsService.isEnabled()) {
+      return null;
+    }
+
+    const { googlebot, checker } = await RobotsService.check(url);
+
+    if (!googlebot.allowed) {
+      return {
+        status: 'Blocked by robots.txt',
+        notes: `Disallowed for ${RobotsService.GOOGLEBOT_USER_AGENT} by "${RobotsService.describeRule(googlebot.rule)}"`
+      };
+    }
+
+    if (!checker.allowed) {
+      return {
+        status: 'Check Failed',
+        notes: `Not crawled: disallowed for ${RobotsService.CHECKER_USER_AGENT} by "${RobotsService.describeRule(checker.rule)}"`
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * GET a URL, following redirects by hand so every hop is recorded
+   * Every hop is checked for an unsafe target, then against robots.txt; a
+   * disallowed hop stops the fetch and is returned as `blocked`
+   * Only the first SAFE_FETCH_MAX_BYTES of a page are read (enough for its <head>)
+   * Resolves to { response, blocked, finalUrl, redirectChain: [{ url, status }] }
+   */
+  static async fetchWithRedirects(url) {
+    const redirectChain = [];
+    let currentUrl = url;
+
+    for (;;) {
+      await SafeFetchService.checkTarget(currentUrl);
+
+      const blocked = await this.checkRobots(currentUrl);
+      if (blocked) {
+        return { response: null, blocked, finalUrl: currentUrl, redirectChain };
+      }
+
+      const response = await SafeFetchService.request(currentUrl, {
+        responseType: 'text',
+        truncate: true,
+        validateStatus: function (status) {
+          return status < 500; // Accept any status < 500
+        },
+        headers: {
+          'User-Agent': USER_AGENT
+        }
+      });
+
+      const location = response.headers.location;
+      if (response.status < 300 || response.status >= 400 || !location) {
+        return { response, blocked: null, finalUrl: currentUrl, redirectChain };
+      }
+
+      if (redirectChain.length >= MAX_REDIRECTS) {
+        const error = new Error(`Too many redirects (more than ${MAX_REDIRECTS})`);
+        error.code = 'TOO_MANY_REDIRECTS';
+        throw error;
+      }
+
+      redirectChain.push({ url: currentUrl, status: response.status });
+      currentUrl = new URL(location, currentUrl).href;
+    }
+  }
+
+  /**
+   * Collect indexability signals from a response
+   */
+  static collectSignals(response, finalUrl, redirectChain) {
+    const header = response.headers['x-robots-tag'];
+    const xRobotsTag = header ? [].concat(header).join(', ') : null;
+    const isHtml = /html/i.test(response.headers['content-type'] || '') && typeof response.data === 'string';
+    const head = isHtml ? extractHeadSignals(response.data) : { title: null, metaRobots: null, canonical: null };
+
+    let canonicalUrl = null;
+    if (head.canonical) {
+      try {
+        canonicalUrl = new URL(head.canonical, finalUrl).href;
+      } catch (error) {
+        canonicalUrl = head.canonical;
+      }
+    }
+
+    return {
+      finalUrl,
+      redirectChain,
+      title: head.title,
+      metaRobots: head.metaRobots,
+      xRobotsTag,
+      noindex: hasNoindex(head.metaRobots) || hasNoindex(xRobotsTag),
+      canonicalUrl,
+      // Canonical pointing at another URL means Google indexes that one instead
+      canonicalized: Boolean(canonicalUrl) && normalizeURL(canonicalUrl) !== normalizeURL(finalUrl)
+    };
+  }
+
+  /**
+   * Short form of a canonical target for notes: path on the same host, full URL otherwise
+   */
+  static describeCanonical(canonicalUrl, finalUrl) {
+    try {
+      const canonical = new URL(canonicalUrl);
+      return canonical.host === new URL(finalUrl).host
+        ? `${canonical.pathname}${canonical.search}`
+        : canonical.href;
+    } catch (error) {
+      return canonicalUrl;
+    }
+  }
+
+  /**
+   * Check a single (already validated) URL
+   */
+  static async check(url) {
+    try {
+      const { response, blocked, finalUrl, redirectChain } = await this.fetchWithRedirects(url);
+      const redirected = redirectChain.length > 0 ? ` (redirected to ${finalUrl})` : '';
+
+      if (blocked) {
+        return { ...blocked, notes: `${blocked.notes}${redirected}` };
+      }
+
+      const signals = this.collectSignals(response, finalUrl, redirectChain);
+
+      if (response.status === 200 && signals.noindex) {
+        return {
+          status: 'Not Indexed',
+          notes: hasNoindex(signals.metaRobots) ? 'noindex meta present' : 'X-Robots-Tag noindex header present',
+          httpCode: response.status,
+          signals
+        };
+      }
+
+      if (response.status === 200 && signals.canonicalized) {
+        return {
+          status: 'Not Indexed',
+          notes: `canonicalised to ${this.describeCanonical(signals.canonicalUrl, finalUrl)}`,
+          httpCode: response.status,
+          signals
+        };
+      }
+
+      // We assume accessible pages are likely indexed
+      if (response.status === 200) {
+        return {
+          status: 'Indexed',
+          notes: `HTTP ${response.status} - Page accessible${redirected}`,
+          httpCode: response.status,
+          signals
+        };
+      } else if (response.status === 404) {
+        return {
+          status: 'Not Indexed',
+          notes: 'HTTP 404 - Page not found',
+          httpCode: response.status,
+          signals
+        };
+      } else if (response.status === 403) {
+        return {
+          status: 'Not Indexed',
+          notes: 'HTTP 403 - Access forbidden',
+          httpCode: response.status,
+          signals
+        };
+      } else if (response.status === 429) {
+        return {
+          status: 'Not Indexed',
+          notes: 'HTTP 429 - Too many requests',
+          httpCode: response.status,
+          signals,
+          ...getRetryInfo(response)
+        };
+      } else if (response.status >= 400) {
+        return {
+          status: 'Not Indexed',
+          notes: `HTTP ${response.status} - Client error`,
+          httpCode: response.status,
+          signals
+        };
+      } else {
+        return {
+          status: 'Not Indexed',
+          notes: `HTTP ${response.status} - Unusual status`,
+          httpCode: response.status,
+          signals
+        };
+      }
+    } catch (error) {
+      // Handle network errors
+      if (error.code === 'UNSAFE_TARGET') {
+        return {
+          status: 'Blocked (unsafe target)',
+          notes: error.message
+        };
+      } else if (error.code === 'ENOTFOUND') {
+        return {
+          status: 'Invalid URL',
+          notes: 'DNS not found - Domain does not exist'
+        };
+      } else if (isTimeoutError(error)) {
+        return {
+          status: 'Not Indexed',
+          notes: 'Connection timeout',
+          ...getRetryInfo(error)
+        };
+      } else if (error.response && error.response.status === 503) {
+        return {
+          status: 'Not Indexed',
+          notes: 'HTTP 503 - Service unavailable',
+          httpCode: 503,
+          ...getRetryInfo(error)
+        };
+      } else if (error.code === 'ECONNREFUSED') {
+        return {
+          status: 'Invalid URL',
+          notes: 'Connection refused'
+        };
+      } else if (error.code === 'TOO_MANY_REDIRECTS') {
+        return {
+          status: 'Not Indexed',
+          notes: error.message
+        };
+      } else if (error.message.includes('Invalid URL')) {
+        return {
+          status: 'Invalid URL',
+          notes: 'Malformed URL'
+        };
+      } else {
+        return {
+          status: 'Not Indexed',
+          notes: `Error: ${error.message.substring(0, 50)}`,
+          httpCode: error.response ? error.response.status : null
+        };
+      }
+    }
+  }
+}
+
+module.exports = HttpProvider;
@@ -0,0 +1,56 @@
+const HttpProvider = require('./http.provider');
+const SearchConsoleProvider = require('./searchConsole.provider');
+const CustomSearchProvider = require('./customSearch.provider');
+const { AppError } = require('../../utils/errors');
+
+const providers = [HttpProvider, SearchConsoleProvider, CustomSearchProvider];
+
+/**
+ * Indexation Providers
+ * Every provider exposes `id`, `description`, `isConfigured()` and
+ * `check(url)` resolving to `{ status, notes, httpCode? }`.
+ * Transient failures (timeouts, 429, 503) also set `retryable: true` and,
+ * when the server sent Retry-After, `retryAfterMs`.
+ *
+ * The default provider comes from INDEXATION_PROVIDER (falls back to "http").
+ */
+function getDefaultProviderId() {
+  return process.env.INDEXATION_PROVIDER || HttpProvider.id;
+}
+
+/**
+ * List providers with their configuration state
+ */
+function listProviders() {
+  const defaultId = getDefaultProviderId();
+  return providers.map(provider => ({
+    id: provider.id,
+    description: provider.description,
+    configured: provider.isConfigured(),
+    default: provider.id === defaultId
+  }));
+}
+
+/**
+ * Resolve a provider by ID (or the default one).
+ * Throws a 400 error for unknown (PROVIDER_UNKNOWN) or unconfigured
+ * (PROVIDER_UNAVAILABLE) providers.
+ */
+function getProvider(id) {
+  const providerId = id || getDefaultProviderId();
+  const provider = providers.find(p => p.id === providerId);
+
+  if (!provider) {
+    throw new AppError(`Unknown indexation provider "${providerId}". Available: ${providers.map(p => p.id).join(', ')}`, {
+      code: 'PROVIDER_UNKNOWN'
+    });
+  }
+
+  if (!provider.isConfigured()) {
+    throw new AppError(`Indexation provider "${providerId}" is not configured`, { code: 'PROVIDER_UNAVAILABLE' });
+  }
+
+  return provider;
+}
+
+module.exports = { getProvider, listProviders, getDefaultProviderId };
@@ -0,0 +1,100 @@
+const axios = require('axios');
+const { getRetryInfo } = require('../../utils/http.utils');
+const GoogleAuthService = require('../googleAuth.service');
+
+const SCOPE = 'https://www.googleapis.com/auth/webmasters.readonly';
+const DEFAULT_BASE_URL = 'https://searchconsole.googleapis.com';
+
+/**
+ * Search Console Provider
+ * Asks the Google Search Console URL Inspection API whether a URL is indexed.
+ *
+ * Env:
+ * - GSC_SITE_URLS - comma separated verified properties
+ *   (e.g. "sc-domain:example.com,https://blog.example.org/")
+ * - GSC_API_BASE_URL - API base URL override (for local mocks)
+ * - Google credentials, see GoogleAuthService
+ */
+class SearchConsoleProvider {
+  static get id() {
+    return 'search-console';
+  }
+
+  static get description() {
+    return 'Google Search Console URL Inspection API';
+  }
+
+  static getSiteUrls() {
+    return (process.env.GSC_SITE_URLS || '')
+      .split(',')
+      .map(site => site.trim())
+      .filter(Boolean);
+  }
+
+  static isConfigured() {
+    return this.getSiteUrls().length > 0 && GoogleAuthService.hasCredentials();
+  }
+
+  /**
+   * Find the verified property that contains the URL
+   */
+  static findProperty(url) {
+    const { hostname } = new URL(url);
+
+    return this.getSiteUrls().find(site => {
+      if (site.startsWith('sc-domain:')) {
+        const domain = site.slice('sc-domain:'.length).toLowerCase();
+        return hostname === domain || hostname.endsWith(`.${domain}`);
+      }
+      return url.startsWith(site);
+    });
+  }
+
+  /**
+   * Check a single (already validated) URL
+   */
+  static async check(url) {
+    const siteUrl = this.findProperty(url);
+    if (!siteUrl) {
+      return {
+        status: 'Check Failed',
+        notes: 'URL is not covered by any configured Search Console property'
+      };
+    }
+
+    try {
+      const token = await GoogleAuthService.getAccessToken(SCOPE);
+      const baseUrl = process.env.GSC_API_BASE_URL || DEFAULT_BASE_URL;
+
+      const response = await axios.post(
+        `${baseUrl}/v1/urlInspection/index:inspect`,
+        { inspectionUrl: url, siteUrl },
+        {
+          timeout: 15000,
+          headers: { Authorization: `Bearer ${token}` }
+        }
+      );
+
+      const result = (response.data.inspectionResult || {}).indexStatusResult || {};
+      const coverage = result.coverageState || 'Unknown coverage state';
+      const crawled = result.lastCrawlTime ? ` (last crawl ${result.lastCrawlTime})` : '';
+
+      return {
+        status: result.verdict === 'PASS' ? 'Indexed' : 'Not Indexed',
+        notes: `${coverage}${crawled}`
+      };
+    } catch (error) {
+      const apiMessage = error.response && error.response.data && error.response.data.error
+        ? error.response.data.error.message
+        : error.message;
+
+      return {
+        status: 'Check Failed',
+        notes: `Search Console error: ${String(apiMessage).substring(0, 80)}`,
+        ...getRetryInfo(error)
+      };
+    }
+  }
+}
+
+module.exports = SearchConsoleProvider;
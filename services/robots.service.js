@@ -0,0 +1,208 @@
+const SafeFetchService = require('./safeFetch.service');
+
+// Product token we identify as in robots.txt groups
+const CHECKER_USER_AGENT = 'URL-Indexation-Checker';
+const GOOGLEBOT_USER_AGENT = 'Googlebot';
+
+// Google reads the first 500 KiB of a robots.txt and ignores the rest
+const MAX_ROBOTS_BYTES = 500 * 1024;
+
+// Cached robots.txt per origin: { expiresAt, promise }
+const cache = new Map();
+
+/**
+ * Robots Service
+ * Fetches robots.txt (cached per origin) and evaluates its rules following
+ * RFC 9309 / Google's implementation:
+ * - the group with the most specific matching user-agent wins, else "*"
+ * - the longest matching rule wins, "Allow" wins a tie
+ * - "*" wildcards and "$" end anchors are supported
+ * - a missing robots.txt (4xx) or one that can't be fetched allows everything
+ *
+ * Env: ROBOTS_CACHE_TTL_MS (default 1 hour), RESPECT_ROBOTS_TXT ("false" to skip)
+ */
+class RobotsService {
+  static get CHECKER_USER_AGENT() {
+    return CHECKER_USER_AGENT;
+  }
+
+  static get GOOGLEBOT_USER_AGENT() {
+    return GOOGLEBOT_USER_AGENT;
+  }
+
+  static isEnabled() {
+    return process.env.RESPECT_ROBOTS_TXT !== 'false';
+  }
+
+  /**
+   * Parse robots.txt into groups: [{ agents: [...], rules: [{ type, path, line }] }]
+   */
+  static parse(content) {
+    const groups = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    content.split(/\r?\n/).forEach((rawLine, index) => {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      const match = line.match(/^([\w-]+)\s*:\s*(.*)$/);
+      if (!match) {
+        return;
+      }
+
+      const field = match[1].toLowerCase();
+      const value = match[2].trim();
+
+      if (field === 'user-agent') {
+        // Consecutive user-agent lines share one group
+        if (!lastWasAgent) {
+          current = { agents: [], rules: [] };
+          groups.push(current);
+        }
+        current.agents.push(value.toLowerCase());
+        lastWasAgent = true;
+        return;
+      }
+
+      lastWasAgent = false;
+
+      if ((field === 'allow' || field === 'disallow') && current) {
+        // An empty Disallow allows everything and matches nothing
+        if (value) {
+          current.rules.push({ type: field, path: value, line: index + 1 });
+        }
+      }
+    });
+
+    return groups;
+  }
+
+  /**
+   * Rules that apply to a user-agent (merged from all matching groups)
+   */
+  static rulesFor(groups, userAgent) {
+    const token = userAgent.toLowerCase();
+    const specific = groups.filter(group => group.agents.some(agent => agent !== '*' && token.startsWith(agent)));
+
+    if (specific.length > 0) {
+      const longest = Math.max(...specific.map(group =>
+        Math.max(...group.agents.filter(agent => token.startsWith(agent)).map(agent => agent.length))
+      ));
+      return specific
+        .filter(group => group.agents.some(agent => token.startsWith(agent) && agent.length === longest))
+        .flatMap(group => group.rules);
+    }
+
+    return groups.filter(group => group.agents.includes('*')).flatMap(group => group.rules);
+  }
+
+  /**
+   * Whether a robots.txt path pattern matches a URL path
+   */
+  static matches(pattern, path) {
+    const anchored = pattern.endsWith('$');
+    const body = anchored ? pattern.slice(0, -1) : pattern;
+    const regex = body
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+
+    return new RegExp(`^${regex}${anchored ? '$' : ''}`).test(path);
+  }
+
+  /**
+   * Evaluate parsed groups for a URL and user-agent
+   * Returns { allowed, rule } - rule is the deciding rule or null
+   */
+  static evaluate(groups, url, userAgent) {
+    const urlObj = new URL(url);
+    const path = `${urlObj.pathname}${urlObj.search}`;
+
+    let decision = null;
+    this.rulesFor(groups, userAgent).forEach(rule => {
+      if (!this.matches(rule.path, path)) {
+        return;
+      }
+      const better = !decision ||
+        rule.path.length > decision.path.length ||
+        (rule.path.length === decision.path.length && rule.type === 'allow');
+      if (better) {
+        decision = rule;
+      }
+    });
+
+    return {
+      allowed: !decision || decision.type === 'allow',
+      rule: decision
+    };
+  }
+
+  /**
+   * Fetch and parse robots.txt for an origin
+   * Resolves to { groups, status, error }
+   */
+  static async fetch(origin) {
+    try {
+      const response = await SafeFetchService.get(`${origin}/robots.txt`, {
+        maxRedirects: 5,
+        responseType: 'text',
+        maxBytes: MAX_ROBOTS_BYTES,
+        truncate: true,
+        validateStatus: () => true,
+        headers: { 'User-Agent': `Mozilla/5.0 (compatible; ${CHECKER_USER_AGENT}/1.0)` }
+      });
+
+      if (response.status >= 200 && response.status < 300) {
+        return { groups: this.parse(String(response.data || '')), status: response.status, error: null };
+      }
+
+      return { groups: [], status: response.status, error: null };
+    } catch (error) {
+      return { groups: [], status: null, error: error.message };
+    }
+  }
+
+  /**
+   * Cached robots.txt for the origin of a URL
+   */
+  static async getRobots(url) {
+    const { origin } = new URL(url);
+    const ttl = parseInt(process.env.ROBOTS_CACHE_TTL_MS, 10) || 60 * 60 * 1000;
+    const cached = cache.get(origin);
+
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.promise;
+    }
+
+    // Cache the promise so parallel checks on one host share a fetch
+    const promise = this.fetch(origin);
+    cache.set(origin, { expiresAt: Date.now() + ttl, promise });
+    return promise;
+  }
+
+  /**
+   * Check a URL against its robots.txt for Googlebot and for this checker
+   * Resolves to { googlebot: { allowed, rule }, checker: { allowed, rule } }
+   */
+  static async check(url) {
+    const { groups } = await this.getRobots(url);
+
+    return {
+      googlebot: this.evaluate(groups, url, GOOGLEBOT_USER_AGENT),
+      checker: this.evaluate(groups, url, CHECKER_USER_AGENT)
+    };
+  }
+
+  /**
+   * Readable form of a rule, e.g. "Disallow: /private (line 4)"
+   */
+  static describeRule(rule) {
+    const type = rule.type === 'allow' ? 'Allow' : 'Disallow';
+    return `${type}: ${rule.path} (line ${rule.line})`;
+  }
+
+  static clearCache() {
+    cache.clear();
+  }
+}
+
+module.exports = RobotsService;
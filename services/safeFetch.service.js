@@ -0,0 +1,307 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+
+// Private, loopback, link-local (incl. cloud metadata 169.254.169.254) and
+// other special-purpose ranges that must not be fetched on a user's behalf
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.0.2.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['198.51.100.0', 24, 'ipv4'],
+  ['203.0.113.0', 24, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6'],
+  ['2001:db8::', 32, 'ipv6']
+];
+
+// IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are checked against the IPv4 ranges
+const blockList = new net.BlockList();
+BLOCKED_RANGES.forEach(([address, prefix, type]) => blockList.addSubnet(address, prefix, type));
+
+const DEFAULT_MAX_REDIRECTS = 5;
+
+const isSuccess = status => status >= 200 && status < 300;
+
+/**
+ * Error for a URL that resolves to a blocked address
+ */
+function unsafeTargetError(hostname, address) {
+  const error = new Error(address && address !== hostname
+    ? `Unsafe target: ${hostname} resolves to ${address} (private or reserved address)`
+    : `Unsafe target: ${hostname} is a private or reserved address`);
+  error.code = 'UNSAFE_TARGET';
+  return error;
+}
+
+/**
+ * Error for a status failing validateStatus (shaped like axios': `response` attached)
+ */
+function statusError(response) {
+  const error = new Error(`Request failed with status code ${response.status}`);
+  error.response = response;
+  return error;
+}
+
+function timeoutError(timeoutMs) {
+  const error = new Error(`Request timeout after ${timeoutMs}ms`);
+  error.code = 'ETIMEDOUT';
+  return error;
+}
+
+/**
+ * Allowlist entries from SAFE_FETCH_ALLOWLIST: host names ("intranet.example.com"),
+ * wildcards ("*.example.com"), IP addresses and CIDR ranges ("10.1.0.0/16")
+ */
+function getAllowlist() {
+  const hosts = [];
+  const networks = new net.BlockList();
+
+  String(process.env.SAFE_FETCH_ALLOWLIST || '')
+    .split(',')
+    .map(entry => entry.trim().toLowerCase())
+    .filter(Boolean)
+    .forEach(entry => {
+      const [address, prefix] = entry.split('/');
+      const type = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+      if (!net.isIP(address)) {
+        hosts.push(entry);
+      } else if (prefix !== undefined) {
+        networks.addSubnet(address, parseInt(prefix, 10), type);
+      } else {
+        networks.addAddress(address, type);
+      }
+    });
+
+  return { hosts, networks };
+}
+
+function hostAllowed(hostname, hosts) {
+  return hosts.some(host => host.startsWith('*.')
+    ? hostname.endsWith(host.slice(1))
+    : hostname === host);
+}
+
+/**
+ * dns.lookup replacement for the HTTP agents: resolves the host and refuses
+ * to connect when any of its addresses is blocked. Checking at connect time
+ * (not only before the request) stops DNS rebinding between check and use.
+ */
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const blocked = addresses.find(({ address }) => !SafeFetchService.isAllowedAddress(address, hostname));
+    if (blocked) {
+      return callback(unsafeTargetError(hostname, blocked.address));
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: safeLookup });
+const httpsAgent = new https.Agent({ lookup: safeLookup });
+
+/**
+ * Safe Fetch Service
+ * HTTP GETs for user-supplied URLs (checked pages, robots.txt, sitemaps)
+ * that can't be turned against the server or its network:
+ * - only http(s); hosts resolving to private, loopback, link-local or other
+ *   reserved addresses are refused (unless allowlisted)
+ * - redirects are followed by hand and every hop is validated again
+ * - response size and total time are capped
+ *
+ * Env: SAFE_FETCH_ALLOWLIST (comma-separated hosts, *.wildcards, IPs or CIDRs
+ *      that may be fetched even though they are private, e.g. "localhost,10.1.0.0/16"),
+ *      SAFE_FETCH_MAX_BYTES (default 5 MB per response),
+ *      SAFE_FETCH_TIMEOUT_MS (default 10000, whole request incl. body)
+ */
+class SafeFetchService {
+  static getLimits() {
+    return {
+      maxBytes: parseInt(process.env.SAFE_FETCH_MAX_BYTES, 10) || 5 * 1024 * 1024,
+      timeoutMs: parseInt(process.env.SAFE_FETCH_TIMEOUT_MS, 10) || 10000
+    };
+  }
+
+  /**
+   * Whether an IP address may be fetched (`hostname`: the name it was resolved from)
+   */
+  static isAllowedAddress(address, hostname = address) {
+    const { hosts, networks } = getAllowlist();
+    const type = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+
+    if (hostAllowed(String(hostname).toLowerCase(), hosts) || networks.check(address, type)) {
+      return true;
+    }
+    return !blockList.check(address, type);
+  }
+
+  /**
+   * Validate a URL before fetching it: http(s) only, and its host must not
+   * be (or resolve to) a blocked address
+   * Rejects with an UNSAFE_TARGET error, or the DNS error (e.g. ENOTFOUND)
+   */
+  static async checkTarget(url) {
+    const urlObj = new URL(url);
+    if (!['http:', 'https:'].includes(urlObj.protocol)) {
+      const error = new Error(`Unsafe target: ${urlObj.protocol} URLs can't be fetched`);
+      error.code = 'UNSAFE_TARGET';
+      throw error;
+    }
+
+    const hostname = urlObj.hostname.replace(/^\[(.*)\]$/, '$1');
+
+    // Literal IPs never go through the agents' lookup, so they are checked here only
+    if (net.isIP(hostname)) {
+      if (!this.isAllowedAddress(hostname)) {
+        throw unsafeTargetError(hostname);
+      }
+      return;
+    }
+
+    await new Promise((resolve, reject) => {
+      safeLookup(hostname, { all: true }, error => (error ? reject(error) : resolve()));
+    });
+  }
+
+  /**
+   * Read a response stream up to `maxBytes`; past it the rest is dropped
+   * (`truncate`) or the read fails
+   */
+  static async readBody(stream, { maxBytes, truncate }) {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of stream) {
+      if (size + chunk.length > maxBytes) {
+        if (!truncate) {
+          const error = new Error(`Response too large (over ${maxBytes} bytes)`);
+          error.code = 'RESPONSE_TOO_LARGE';
+          throw error;
+        }
+        chunks.push(chunk.subarray(0, maxBytes - size));
+        return { body: Buffer.concat(chunks), truncated: true };
+      }
+      chunks.push(chunk);
+      size += chunk.length;
+    }
+
+    return { body: Buffer.concat(chunks), truncated: false };
+  }
+
+  /**
+   * GET a single URL (no redirects followed)
+   * Options: { headers, responseType: 'text' | 'arraybuffer', maxBytes, truncate,
+   *            timeoutMs, validateStatus (default: 2xx) }
+   * Resolves to { status, headers, data, truncated }; like axios, a status
+   * failing validateStatus rejects with an error carrying `response`
+   */
+  static async request(url, options = {}) {
+    const limits = this.getLimits();
+    const {
+      headers = {},
+      responseType = 'text',
+      maxBytes = limits.maxBytes,
+      truncate = false,
+      timeoutMs = limits.timeoutMs,
+      validateStatus = isSuccess
+    } = options;
+
+    await this.checkTarget(url);
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+      const response = await axios.get(url, {
+        timeout: timeoutMs,
+        maxRedirects: 0,
+        responseType: 'stream',
+        validateStatus: () => true,
+        signal: controller.signal,
+        httpAgent,
+        httpsAgent,
+        proxy: false,
+        headers
+      });
+
+      // The timer covers the body too: a slow trickle is cut off
+      controller.signal.addEventListener('abort', () => response.data.destroy(timeoutError(timeoutMs)));
+
+      const { body, truncated } = await this.readBody(response.data, { maxBytes, truncate });
+      const result = {
+        status: response.status,
+        headers: response.headers,
+        data: responseType === 'arraybuffer' ? body : body.toString('utf8'),
+        truncated
+      };
+
+      if (!validateStatus(result.status)) {
+        throw statusError(result);
+      }
+
+      return result;
+    } catch (error) {
+      if (controller.signal.aborted && !error.response) {
+        throw timeoutError(timeoutMs);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * GET a URL, following up to `maxRedirects` redirects; every hop is validated
+   * Options: those of request(), plus maxRedirects
+   * Resolves to the final response plus { finalUrl, redirectChain: [{ url, status }] }
+   */
+  static async get(url, { maxRedirects = DEFAULT_MAX_REDIRECTS, validateStatus = isSuccess, ...options } = {}) {
+    const redirectChain = [];
+    let currentUrl = url;
+
+    for (;;) {
+      const response = await this.request(currentUrl, { ...options, validateStatus: () => true });
+      const location = response.headers.location;
+
+      if (response.status < 300 || response.status >= 400 || !location) {
+        if (!validateStatus(response.status)) {
+          throw statusError(response);
+        }
+        return { ...response, finalUrl: currentUrl, redirectChain };
+      }
+
+      if (redirectChain.length >= maxRedirects) {
+        const error = new Error(`Too many redirects (more than ${maxRedirects})`);
+        error.code = 'TOO_MANY_REDIRECTS';
+        throw error;
+      }
+
+      redirectChain.push({ url: currentUrl, status: response.status });
+      currentUrl = new URL(location, currentUrl).href;
+    }
+  }
+}
+
+module.exports = SafeFetchService;
@@ -0,0 +1,314 @@
+const zlib = require('zlib');
+const { promisify } = require('util');
+const URLModel = require('../models/url.model');
+const SitemapModel = require('../models/sitemap.model');
+const SafeFetchService = require('./safeFetch.service');
+const { decodeEntities } = require('../utils/html.utils');
+const { normalizeURL, cleanURL } = require('../utils/url.utils');
+const { DEFAULT_PROJECT_ID } = require('../config/projects');
+const { AppError, formatBytes } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; URL-Indexation-Checker/1.0)';
+
+const gunzip = promisify(zlib.gunzip);
+
+/**
+ * Sitemap Service
+ * Reads sitemaps (plain or gzipped XML), expands sitemap indexes and keeps
+ * the URL list in sync with them.
+ *
+ * Env: SITEMAP_MAX_FILES (default 50 sitemaps per sync),
+ *      SITEMAP_MAX_URLS (default 50000 URLs per sync),
+ *      SITEMAP_MAX_BYTES (default 50 MB per sitemap, uncompressed - the protocol's limit)
+ */
+class SitemapService {
+  static getLimits() {
+    return {
+      maxFiles: parseInt(process.env.SITEMAP_MAX_FILES, 10) || 50,
+      maxUrls: parseInt(process.env.SITEMAP_MAX_URLS, 10) || 50000,
+      maxBytes: parseInt(process.env.SITEMAP_MAX_BYTES, 10) || 50 * 1024 * 1024
+    };
+  }
+
+  /**
+   * Decode sitemap file contents, gunzipping when needed (by magic bytes,
+   * since servers often send .xml.gz without a gzip content encoding)
+   * Rejects with a 400 SITEMAP_INVALID error for broken gzip data, or when it
+   * inflates beyond SITEMAP_MAX_BYTES (a small file can hide gigabytes)
+   */
+  static async decode(buffer) {
+    if (!(buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b)) {
+      return buffer.toString('utf8');
+    }
+
+    const { maxBytes } = this.getLimits();
+    try {
+      return (await gunzip(buffer, { maxOutputLength: maxBytes })).toString('utf8');
+    } catch (error) {
+      const message = error.code === 'ERR_BUFFER_TOO_LARGE'
+        ? `Sitemap is larger than ${formatBytes(maxBytes)} uncompressed`
+        : `Sitemap is not valid gzip data: ${error.message}`;
+      throw new AppError(message, { code: 'SITEMAP_INVALID' });
+    }
+  }
+
+  /**
+   * Text of a child tag (CDATA and entities decoded), or null
+   */
+  static readTag(xml, tag) {
+    const match = xml.match(new RegExp(`<(?:\\w+:)?${tag}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${tag}>`, 'i'));
+    if (!match) {
+      return null;
+    }
+    const text = match[1].replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1').trim();
+    return decodeEntities(text) || null;
+  }
+
+  /**
+   * Parse sitemap XML
+   * Returns { type: 'urlset' | 'sitemapindex', entries: [{ loc, lastmod }] }
+   */
+  static parse(xml) {
+    const content = xml.replace(/<!--[\s\S]*?-->/g, '');
+    let type;
+    let entryTag;
+
+    if (/<(?:\w+:)?sitemapindex\b/i.test(content)) {
+      type = 'sitemapindex';
+      entryTag = 'sitemap';
+    } else if (/<(?:\w+:)?urlset\b/i.test(content)) {
+      type = 'urlset';
+      entryTag = 'url';
+    } else {
+      throw new AppError('Not a sitemap: expected a <urlset> or <sitemapindex> document', { code: 'SITEMAP_INVALID' });
+    }
+
+    const entries = [];
+    const entryPattern = new RegExp(`<(?:\\w+:)?${entryTag}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${entryTag}>`, 'gi');
+    let match;
+
+    while ((match = entryPattern.exec(content)) !== null) {
+      const loc = this.readTag(match[1], 'loc');
+      if (loc) {
+        entries.push({ loc, lastmod: this.readTag(match[1], 'lastmod') });
+      }
+    }
+
+    return { type, entries };
+  }
+
+  /**
+   * Download a sitemap file (private and reserved addresses are refused)
+   */
+  static async fetch(url) {
+    let response;
+
+    try {
+      response = await SafeFetchService.get(url, {
+        timeoutMs: 30000,
+        responseType: 'arraybuffer',
+        maxBytes: this.getLimits().maxBytes,
+        headers: { 'User-Agent': USER_AGENT }
+      });
+    } catch (error) {
+      const reason = error.response ? `HTTP ${error.response.status}` : error.message;
+      throw new AppError(`Could not fetch sitemap ${url}: ${reason}`, { code: 'SITEMAP_FETCH_FAILED' });
+    }
+
+    return this.decode(Buffer.from(response.data));
+  }
+
+  /**
+   * Read a sitemap (from a URL or file contents) and expand nested indexes
+   * Child sitemaps that fail are reported in `errors`; the root must succeed
+   * `name` labels file contents in the `sitemaps` list
+   * Resolves to { entries: [{ loc, lastmod }], sitemaps: [url], errors: [{ sitemap, message }] }
+   */
+  static async expand({ url, content, name }) {
+    const { maxFiles, maxUrls } = this.getLimits();
+    const entries = [];
+    const sitemaps = [];
+    const errors = [];
+    const seenSitemaps = new Set();
+    const seenUrls = new Set();
+
+    const visit = async (sitemapUrl, xml) => {
+      const { type, entries: found } = this.parse(xml);
+      sitemaps.push(sitemapUrl || name || 'uploaded file');
+
+      if (type === 'urlset') {
+        found.forEach(entry => {
+          const normalized = normalizeURL(entry.loc);
+          if (!seenUrls.has(normalized) && entries.length < maxUrls) {
+            seenUrls.add(normalized);
+            entries.push(entry);
+          }
+        });
+        return;
+      }
+
+      for (const child of found) {
+        const childUrl = sitemapUrl ? new URL(child.loc, sitemapUrl).href : child.loc;
+
+        if (seenSitemaps.has(childUrl)) {
+          continue;
+        }
+        if (sitemaps.length >= maxFiles) {
+          errors.push({ sitemap: childUrl, message: `Skipped: more than ${maxFiles} sitemaps` });
+          continue;
+        }
+        seenSitemaps.add(childUrl);
+
+        try {
+          await visit(childUrl, await this.fetch(childUrl));
+        } catch (error) {
+          errors.push({ sitemap: childUrl, message: error.message });
+        }
+      }
+    };
+
+    if (url) {
+      seenSitemaps.add(url);
+    }
+    await visit(url || null, content !== undefined ? content : await this.fetch(url));
+
+    return { entries, sitemaps, errors };
+  }
+
+  /**
+   * Sync a sitemap into its project's URL list
+   * New URLs are added, lastmod is refreshed on existing ones, and URLs that
+   * left the sitemap are reported (and removed when `prune` is set).
+   * `content` is the file contents for uploaded sitemaps.
+   * Resolves to { sitemap, report }
+   */
+  static async sync(sitemap, { content } = {}) {
+    const startedAt = new Date().toISOString();
+    const projectId = sitemap.projectId || DEFAULT_PROJECT_ID;
+
+    try {
+      const { entries, sitemaps, errors } = await this.expand({ url: sitemap.url, content, name: sitemap.fileName });
+
+      // Validated like uploaded URLs: malformed and non-http(s) locs are rejected, not saved
+      const rows = entries.map((entry, index) => {
+        const { url, error } = cleanURL(entry.loc, { stripTracking: false });
+        return { row: index + 1, url, notes: '', lastmod: entry.lastmod, error };
+      });
+
+      const previous = new Set((sitemap.entries || []).map(entry => normalizeURL(entry.loc)));
+      const current = new Set(entries.map(entry => normalizeURL(entry.loc)));
+      const addedUrls = entries
+        .filter((entry, index) => !rows[index].error && !previous.has(normalizeURL(entry.loc)))
+        .map(entry => entry.loc);
+      const removedUrls = (sitemap.entries || []).filter(entry => !current.has(normalizeURL(entry.loc))).map(entry => entry.loc);
+
+      const imported = await URLModel.importURLs(rows, 'merge', projectId);
+
+      let pruned = 0;
+      if (sitemap.prune && removedUrls.length > 0) {
+        const removal = await URLModel.importURLs(
+          removedUrls.map((url, index) => ({ row: index + 1, url })),
+          'remove',
+          projectId
+        );
+        pruned = removal.removed;
+      }
+
+      const report = {
+        status: errors.length > 0 ? 'partial' : 'completed',
+        startedAt,
+        finishedAt: new Date().toISOString(),
+        total: entries.length,
+        sitemaps: sitemaps.length,
+        added: addedUrls.length,
+        removed: removedUrls.length,
+        imported: imported.added,
+        pruned,
+        addedUrls,
+        removedUrls,
+        rejected: imported.rejected.map(({ url, reason }) => ({ url, reason })),
+        errors
+      };
+
+      const updated = await SitemapModel.update(sitemap.id, {
+        entries,
+        lastSyncedAt: report.finishedAt,
+        lastSync: report
+      });
+
+      logger.info('Sitemap synced', {
+        sitemapId: sitemap.id,
+        sitemap: sitemap.url || sitemap.fileName,
+        total: report.total,
+        added: report.added,
+        removed: report.removed
+      });
+
+      return { sitemap: updated, report };
+    } catch (error) {
+      await SitemapModel.update(sitemap.id, {
+        lastSync: { status: 'failed', startedAt, finishedAt: new Date().toISOString(), error: error.message }
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Compare the sitemap URLs with their indexation status
+   * URLs in the sitemap but missing from the project's URL list count as "Not tracked"
+   */
+  static async getCoverage(sitemap) {
+    const urls = await URLModel.readAllURLs(sitemap.projectId || DEFAULT_PROJECT_ID);
+    const byURL = new Map(urls.map(urlData => [normalizeURL(urlData.url), urlData]));
+    const entries = sitemap.entries || [];
+    const statusCounts = {};
+
+    const items = entries.map(entry => {
+      const urlData = byURL.get(normalizeURL(entry.loc));
+      const status = urlData ? urlData.status : 'Not tracked';
+      statusCounts[status] = (statusCounts[status] || 0) + 1;
+
+      return {
+        id: urlData ? urlData.id : null,
+        url: entry.loc,
+        lastmod: entry.lastmod,
+        status,
+        notes: urlData ? urlData.notes : '',
+        lastChecked: urlData ? urlData.lastChecked : null
+      };
+    });
+
+    // Tracked URLs on the sitemap's hosts that the sitemap does not list
+    const hosts = new Set(entries.map(entry => {
+      try {
+        return new URL(entry.loc).host;
+      } catch (error) {
+        return null;
+      }
+    }));
+    const inSitemap = new Set(entries.map(entry => normalizeURL(entry.loc)));
+    const notInSitemap = urls.filter(urlData => {
+      try {
+        return hosts.has(new URL(urlData.url).host) && !inSitemap.has(normalizeURL(urlData.url));
+      } catch (error) {
+        return false;
+      }
+    });
+
+    const indexed = statusCounts.Indexed || 0;
+
+    return {
+      sitemapId: sitemap.id,
+      lastSyncedAt: sitemap.lastSyncedAt || null,
+      total: entries.length,
+      indexed,
+      coverage: entries.length > 0 ? Math.round((indexed / entries.length) * 1000) / 10 : 0,
+      statusCounts,
+      notIndexed: items.filter(item => item.status !== 'Indexed'),
+      notInSitemap: notInSitemap.map(urlData => ({ id: urlData.id, url: urlData.url, status: urlData.status }))
+    };
+  }
+}
+
+module.exports = SitemapService;
@@ -0,0 +1,103 @@
+const axios = require('axios');
+const GoogleAuthService = require('../googleAuth.service');
+
+const SCOPE = 'https://www.googleapis.com/auth/indexing';
+const DEFAULT_BASE_URL = 'https://indexing.googleapis.com';
+
+/**
+ * Google Indexing API Submitter
+ * Notifies Google that a URL was updated or removed (urlNotifications:publish),
+ * one request per URL. The service account must be an owner of the URL's
+ * Search Console property.
+ *
+ * Env:
+ * - GOOGLE_INDEXING_API_BASE_URL - API base URL override (for local mocks)
+ * - GOOGLE_INDEXING_DAILY_QUOTA - publish requests per day (default 200, Google's default)
+ * - Google credentials, see GoogleAuthService
+ */
+class GoogleIndexingSubmitter {
+  static get id() {
+    return 'google';
+  }
+
+  static get description() {
+    return 'Google Indexing API';
+  }
+
+  // Google resets the quota at midnight Pacific Time
+  static get quotaTimezone() {
+    return 'America/Los_Angeles';
+  }
+
+  static getDailyQuota() {
+    const quota = parseInt(process.env.GOOGLE_INDEXING_DAILY_QUOTA, 10);
+    return Number.isNaN(quota) ? 200 : quota;
+  }
+
+  static isConfigured() {
+    return GoogleAuthService.hasCredentials();
+  }
+
+  /**
+   * Submit URLs; type is URL_UPDATED or URL_DELETED
+   * Resolves to one { url, status, httpCode, message } per URL - status is
+   * submitted, failed or skipped (not sent after Google ran out of quota)
+   */
+  static async submit(urls, { type = 'URL_UPDATED' } = {}) {
+    const results = [];
+    let token;
+
+    try {
+      token = await GoogleAuthService.getAccessToken(SCOPE);
+    } catch (error) {
+      return urls.map(url => ({ url, status: 'failed', httpCode: null, message: `Google auth error: ${error.message}` }));
+    }
+
+    const baseUrl = process.env.GOOGLE_INDEXING_API_BASE_URL || DEFAULT_BASE_URL;
+    let quotaExceeded = false;
+
+    for (const url of urls) {
+      if (quotaExceeded) {
+        results.push({ url, status: 'skipped', httpCode: null, message: 'Google Indexing API quota exceeded' });
+        continue;
+      }
+
+      try {
+        const response = await axios.post(
+          `${baseUrl}/v3/urlNotifications:publish`,
+          { url, type },
+          {
+            timeout: 15000,
+            headers: { Authorization: `Bearer ${token}` }
+          }
+        );
+
+        const metadata = response.data.urlNotificationMetadata || {};
+        const latest = type === 'URL_DELETED' ? metadata.latestRemove : metadata.latestUpdate;
+        results.push({
+          url,
+          status: 'submitted',
+          httpCode: response.status,
+          message: latest && latest.notifyTime ? `Accepted (notified ${latest.notifyTime})` : 'Accepted'
+        });
+      } catch (error) {
+        const httpCode = error.response ? error.response.status : null;
+        const apiMessage = error.response && error.response.data && error.response.data.error
+          ? error.response.data.error.message
+          : error.message;
+
+        quotaExceeded = httpCode === 429;
+        results.push({
+          url,
+          status: 'failed',
+          httpCode,
+          message: `Google Indexing API error: ${String(apiMessage).substring(0, 200)}`
+        });
+      }
+    }
+
+    return results;
+  }
+}
+
+module.exports = GoogleIndexingSubmitter;
@@ -0,0 +1,79 @@
+const GoogleIndexingSubmitter = require('./googleIndexing.submitter');
+const IndexNowSubmitter = require('./indexNow.submitter');
+const { AppError } = require('../../utils/errors');
+
+const submitters = [GoogleIndexingSubmitter, IndexNowSubmitter];
+
+/**
+ * Indexing Submitters
+ * Every submitter exposes `id`, `description`, `isConfigured()`,
+ * `getDailyQuota()` (0 = no limit), `quotaTimezone` (when the quota day
+ * starts) and `submit(urls, { type })` resolving to one
+ * `{ url, status, httpCode, message }` per URL, status being submitted,
+ * failed or skipped.
+ *
+ * The default submitters come from INDEXING_SUBMITTERS (comma separated;
+ * falls back to every configured submitter).
+ */
+function getDefaultSubmitterIds() {
+  const configured = (process.env.INDEXING_SUBMITTERS || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+
+  return configured.length > 0
+    ? configured
+    : submitters.filter(submitter => submitter.isConfigured()).map(submitter => submitter.id);
+}
+
+/**
+ * List submitters with their configuration state
+ */
+function listSubmitters() {
+  const defaultIds = getDefaultSubmitterIds();
+  return submitters.map(submitter => ({
+    id: submitter.id,
+    description: submitter.description,
+    configured: submitter.isConfigured(),
+    default: defaultIds.includes(submitter.id)
+  }));
+}
+
+/**
+ * Resolve a submitter by ID.
+ * Throws a 400 error for unknown (SUBMITTER_UNKNOWN) or unconfigured
+ * (SUBMITTER_UNAVAILABLE) submitters.
+ */
+function getSubmitter(id) {
+  const submitter = submitters.find(s => s.id === id);
+
+  if (!submitter) {
+    throw new AppError(`Unknown indexing submitter "${id}". Available: ${submitters.map(s => s.id).join(', ')}`, {
+      code: 'SUBMITTER_UNKNOWN'
+    });
+  }
+
+  if (!submitter.isConfigured()) {
+    throw new AppError(`Indexing submitter "${id}" is not configured`, { code: 'SUBMITTER_UNAVAILABLE' });
+  }
+
+  return submitter;
+}
+
+/**
+ * Resolve a list of submitter IDs (or the defaults).
+ * Throws like getSubmitter, or SUBMITTER_UNAVAILABLE when none is configured.
+ */
+function getSubmitters(ids) {
+  const submitterIds = ids && ids.length > 0 ? [...new Set(ids)] : getDefaultSubmitterIds();
+
+  if (submitterIds.length === 0) {
+    throw new AppError('No indexing submitter is configured. Set Google credentials or INDEXNOW_KEY.', {
+      code: 'SUBMITTER_UNAVAILABLE'
+    });
+  }
+
+  return submitterIds.map(getSubmitter);
+}
+
+module.exports = { getSubmitter, getSubmitters, listSubmitters, getDefaultSubmitterIds };
@@ -0,0 +1,105 @@
+const axios = require('axios');
+
+const DEFAULT_ENDPOINT = 'https://api.indexnow.org/indexnow';
+
+// Most URLs IndexNow accepts in one request
+const MAX_URLS_PER_REQUEST = 10000;
+
+// What IndexNow's status codes mean
+const RESPONSE_MESSAGES = {
+  200: 'Accepted',
+  202: 'Accepted; key validation pending',
+  400: 'Bad request',
+  403: 'Key not valid (key file not found at the key location)',
+  422: 'URLs don\'t belong to the host, or the key doesn\'t match',
+  429: 'Too many requests'
+};
+
+/**
+ * IndexNow Submitter
+ * Tells IndexNow search engines (Bing, Yandex, Seznam, Naver, ...) that URLs
+ * changed, in one request per host. The key must be served as a text file
+ * on every submitted host: https://<host>/<key>.txt, or INDEXNOW_KEY_LOCATION.
+ *
+ * Env:
+ * - INDEXNOW_KEY - your IndexNow key (8-128 characters: a-z, A-Z, 0-9, -)
+ * - INDEXNOW_KEY_LOCATION - key file URL, when it isn't at /<key>.txt
+ *   ("{host}" is replaced with the submitted host)
+ * - INDEXNOW_ENDPOINT - endpoint override (default api.indexnow.org; also for local mocks)
+ * - INDEXNOW_DAILY_QUOTA - URLs per day, 0 for no limit (default)
+ */
+class IndexNowSubmitter {
+  static get id() {
+    return 'indexnow';
+  }
+
+  static get description() {
+    return 'IndexNow (Bing, Yandex and other IndexNow search engines)';
+  }
+
+  static get quotaTimezone() {
+    return 'UTC';
+  }
+
+  static getDailyQuota() {
+    return parseInt(process.env.INDEXNOW_DAILY_QUOTA, 10) || 0;
+  }
+
+  static isConfigured() {
+    return Boolean(process.env.INDEXNOW_KEY);
+  }
+
+  /**
+   * Submit URLs (IndexNow has no separate notice for removed URLs)
+   * Resolves to one { url, status, httpCode, message } per URL
+   */
+  static async submit(urls) {
+    const key = process.env.INDEXNOW_KEY;
+    const keyLocation = process.env.INDEXNOW_KEY_LOCATION;
+    const endpoint = process.env.INDEXNOW_ENDPOINT || DEFAULT_ENDPOINT;
+
+    const results = [];
+    const byHost = new Map();
+    urls.forEach(url => {
+      let host;
+      try {
+        ({ host } = new URL(url));
+      } catch (error) {
+        results.push({ url, status: 'failed', httpCode: null, message: 'IndexNow error: not a valid URL' });
+        return;
+      }
+      byHost.set(host, [...(byHost.get(host) || []), url]);
+    });
+
+    for (const [host, hostUrls] of byHost) {
+      for (let start = 0; start < hostUrls.length; start += MAX_URLS_PER_REQUEST) {
+        const urlList = hostUrls.slice(start, start + MAX_URLS_PER_REQUEST);
+
+        try {
+          const response = await axios.post(
+            endpoint,
+            { host, key, ...(keyLocation && { keyLocation: keyLocation.replace('{host}', host) }), urlList },
+            {
+              timeout: 15000,
+              headers: { 'Content-Type': 'application/json; charset=utf-8' }
+            }
+          );
+
+          const message = RESPONSE_MESSAGES[response.status] || `HTTP ${response.status}`;
+          urlList.forEach(url => results.push({ url, status: 'submitted', httpCode: response.status, message }));
+        } catch (error) {
+          const httpCode = error.response ? error.response.status : null;
+          const message = httpCode
+            ? `IndexNow error: ${RESPONSE_MESSAGES[httpCode] || `HTTP ${httpCode}`}`
+            : `IndexNow error: ${error.message}`;
+
+          urlList.forEach(url => results.push({ url, status: 'failed', httpCode, message }));
+        }
+      }
+    }
+
+    return results;
+  }
+}
+
+module.exports = IndexNowSubmitter;
@@ -0,0 +1,258 @@
+const URLModel = require('../models/url.model');
+const HistoryModel = require('../models/history.model');
+const { splitTags } = require('../utils/metadata.utils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INTERVALS = ['day', 'week'];
+const MAX_BUCKETS = 1000;
+
+// Series/breakdown fields per status (statuses not listed are counted in `other`)
+const STATUS_FIELDS = {
+  Indexed: 'indexed',
+  'Not Indexed': 'notIndexed',
+  'Invalid URL': 'invalid',
+  'Blocked by robots.txt': 'blocked',
+  'Blocked (unsafe target)': 'unsafe',
+  'Check Failed': 'failed',
+  Pending: 'pending'
+};
+
+function emptyCounts() {
+  return { indexed: 0, notIndexed: 0, invalid: 0, blocked: 0, unsafe: 0, failed: 0, pending: 0, other: 0 };
+}
+
+function countStatus(counts, status) {
+  counts[STATUS_FIELDS[status] || 'other']++;
+}
+
+function getHost(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return '(invalid)';
+  }
+}
+
+/**
+ * Start of the day or week (Monday) containing `time`, in UTC
+ */
+function bucketStart(time, interval) {
+  const date = new Date(time);
+  date.setUTCHours(0, 0, 0, 0);
+  if (interval === 'week') {
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  }
+  return date.getTime();
+}
+
+/**
+ * Trends Service
+ * Indexation over time, built from the check history
+ */
+class TrendsService {
+  static get INTERVALS() {
+    return INTERVALS;
+  }
+
+  /**
+   * Read trend options from a request query string
+   * - from / to: date range (default: the last 30 days)
+   * - interval: day (default) | week
+   * - tag: only URLs with any of these tags (comma-separated)
+   * Returns { errors, options: { from, to, interval, tags } } with times in ms
+   */
+  static parse(query = {}) {
+    const errors = [];
+    const interval = query.interval || 'day';
+    const to = query.to !== undefined ? Date.parse(query.to) : Date.now();
+    let from = query.from !== undefined ? Date.parse(query.from) : null;
+
+    if (!INTERVALS.includes(interval)) {
+      errors.push(`"interval" must be one of: ${INTERVALS.join(', ')}`);
+    }
+    if (Number.isNaN(to)) {
+      errors.push('"to" must be a date (e.g. "2024-05-31")');
+    }
+    if (Number.isNaN(from)) {
+      errors.push('"from" must be a date (e.g. "2024-05-01")');
+    }
+
+    if (errors.length === 0) {
+      // A date-only "to" includes that whole day
+      const end = query.to !== undefined && /^\d{4}-\d{2}-\d{2}$/.test(query.to) ? to + DAY_MS - 1 : to;
+      from = from === null ? bucketStart(end - 29 * DAY_MS, 'day') : from;
+
+      if (from > end) {
+        errors.push('"from" must be before "to"');
+      } else if ((end - from) / (interval === 'week' ? 7 * DAY_MS : DAY_MS) > MAX_BUCKETS) {
+        errors.push(`The range is too long: at most ${MAX_BUCKETS} ${interval}s`);
+      }
+
+      const tags = query.tag !== undefined ? splitTags(query.tag) : undefined;
+      return { errors, options: { from, to: end, interval, tags } };
+    }
+
+    return { errors, options: {} };
+  }
+
+  /**
+   * Trends for the URLs of a project (or all URLs) between `from` and `to`:
+   * - series: status counts at the end of each day/week (each URL's latest
+   *   check up to then) and the number of checks made in it
+   * - changes: status changes in the range, newest first
+   * - timeToIndex: how long URLs added in the range took to be first seen as Indexed
+   * - hosts: current status counts and changes per host
+   * Only URLs that still exist (and have one of `tags`, if given) are included.
+   */
+  static async getTrends({ projectId, from, to, interval = 'day', tags }) {
+    const urls = (await URLModel.readAllURLs(projectId))
+      .filter(urlData => !tags || tags.some(tag => (urlData.tags || []).includes(tag)));
+    const urlsById = new Map(urls.map(urlData => [urlData.id, urlData]));
+
+    // Check history per URL, oldest first
+    const historyByURL = new Map();
+    (await HistoryModel.readAll()).forEach(record => {
+      if (!urlsById.has(record.urlId)) {
+        return;
+      }
+      if (!historyByURL.has(record.urlId)) {
+        historyByURL.set(record.urlId, []);
+      }
+      historyByURL.get(record.urlId).push({ ...record, time: Date.parse(record.checkedAt) });
+    });
+
+    const series = this.buildSeries(historyByURL, { from, to, interval });
+    const changes = this.findChanges(historyByURL, urlsById, { from, to });
+    const timeToIndex = this.getTimeToIndex(urls, historyByURL, { from, to });
+    const hosts = this.getHosts(urls, changes);
+
+    return {
+      projectId: projectId || null,
+      tags: tags || null,
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      interval,
+      series,
+      changes: { count: changes.length, data: changes },
+      timeToIndex,
+      hosts
+    };
+  }
+
+  static buildSeries(historyByURL, { from, to, interval }) {
+    const buckets = [];
+    for (let start = bucketStart(from, interval); start <= to; ) {
+      const next = new Date(start);
+      next.setUTCDate(next.getUTCDate() + (interval === 'week' ? 7 : 1));
+      buckets.push({ start, end: Math.min(next.getTime(), to + 1) });
+      start = next.getTime();
+    }
+
+    return buckets.map(({ start, end }) => {
+      const counts = emptyCounts();
+      let tracked = 0;
+      let checks = 0;
+
+      historyByURL.forEach(records => {
+        let latest = null;
+        for (const record of records) {
+          if (record.time >= end) {
+            break;
+          }
+          latest = record;
+          if (record.time >= Math.max(start, from)) {
+            checks++;
+          }
+        }
+        if (latest) {
+          tracked++;
+          countStatus(counts, latest.status);
+        }
+      });
+
+      return { date: new Date(start).toISOString().slice(0, 10), tracked, ...counts, checks };
+    });
+  }
+
+  static findChanges(historyByURL, urlsById, { from, to }) {
+    const changes = [];
+
+    historyByURL.forEach((records, urlId) => {
+      records.forEach((record, index) => {
+        if (index === 0 || record.time < from || record.time > to || records[index - 1].status === record.status) {
+          return;
+        }
+        changes.push({
+          id: urlId,
+          url: urlsById.get(urlId).url,
+          from: records[index - 1].status,
+          to: record.status,
+          checkedAt: record.checkedAt,
+          runId: record.runId
+        });
+      });
+    });
+
+    return changes.sort((a, b) => Date.parse(b.checkedAt) - Date.parse(a.checkedAt));
+  }
+
+  /**
+   * URLs added in the range and how long they took to be first checked as Indexed
+   * URLs added before addedAt was recorded are left out
+   */
+  static getTimeToIndex(urls, historyByURL, { from, to }) {
+    const durations = [];
+    let added = 0;
+
+    urls.forEach(urlData => {
+      const addedTime = urlData.addedAt ? Date.parse(urlData.addedAt) : NaN;
+
+      if (Number.isNaN(addedTime) || addedTime < from || addedTime > to) {
+        return;
+      }
+      added++;
+
+      const indexed = (historyByURL.get(urlData.id) || []).find(record => record.status === 'Indexed' && record.time >= addedTime);
+      if (indexed) {
+        durations.push(indexed.time - addedTime);
+      }
+    });
+
+    const sorted = [...durations].sort((a, b) => a - b);
+    const averageMs = durations.length > 0 ? Math.round(durations.reduce((sum, ms) => sum + ms, 0) / durations.length) : null;
+    const medianMs = sorted.length > 0 ? sorted[Math.floor((sorted.length - 1) / 2)] : null;
+
+    return {
+      added,
+      indexed: durations.length,
+      averageMs,
+      averageHours: averageMs === null ? null : Math.round(averageMs / 36000) / 100,
+      medianMs,
+      medianHours: medianMs === null ? null : Math.round(medianMs / 36000) / 100
+    };
+  }
+
+  static getHosts(urls, changes) {
+    const hosts = new Map();
+
+    urls.forEach(urlData => {
+      const host = getHost(urlData.url);
+      if (!hosts.has(host)) {
+        hosts.set(host, { host, total: 0, ...emptyCounts(), changes: 0 });
+      }
+      const entry = hosts.get(host);
+      entry.total++;
+      countStatus(entry, urlData.status);
+    });
+
+    changes.forEach(change => {
+      hosts.get(getHost(change.url)).changes++;
+    });
+
+    return [...hosts.values()]
+      .map(entry => ({ ...entry, indexedRate: Math.round((entry.indexed / entry.total) * 1000) / 10 }))
+      .sort((a, b) => b.total - a.total || a.host.localeCompare(b.host));
+  }
+}
+
+module.exports = TrendsService;
@@ -0,0 +1,376 @@
+const fs = require('fs');
+const path = require('path');
+const { Transform, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const csv = require('csv-parser');
+const { cleanURL } = require('../utils/url.utils');
+const { splitTags, validateTags, validateFields, parseFields } = require('../utils/metadata.utils');
+const { AppError } = require('../utils/errors');
+
+// Bytes read up front to detect the encoding, delimiter and header
+const SAMPLE_BYTES = 64 * 1024;
+const SAMPLE_LINES = 20;
+// Records read to find the URL column of a headerless CSV whose first rows aren't URLs
+const LAYOUT_LOOKAHEAD = 20;
+
+const DELIMITERS = [',', ';', '\t', '|'];
+const FILE_TYPES = ['.csv', '.tsv', '.txt'];
+
+// Accepted header names (compared lowercase, with _ and - read as spaces)
+const URL_HEADERS = ['url', 'urls', 'link', 'links', 'loc', 'address', 'page', 'page url', 'website', 'href'];
+const NOTES_HEADERS = ['notes', 'note', 'user notes', 'comment', 'comments', 'description'];
+const LASTMOD_HEADERS = ['lastmod', 'last modified', 'last mod'];
+const TAG_HEADERS = ['tags', 'tag', 'labels', 'label'];
+const FIELDS_HEADER = 'custom fields';
+// A column per custom field: "field:owner" or "field.owner"
+const FIELD_HEADER_PATTERN = /^field[:.]\s*(.+)$/i;
+
+/**
+ * Whether a headerless cell holds a URL; numbers like "1" or "2.5" parse as
+ * URLs too (http://0.0.0.1), so only dotted IPv4 addresses count among them
+ */
+function isURLCell(cell) {
+  const value = cell.trim();
+  const number = /^[\d.,]+$/.test(value) && !/^\d{1,3}(\.\d{1,3}){3}$/.test(value);
+  return value !== '' && !number && !cleanURL(value).error;
+}
+
+function normalizeHeader(value) {
+  return String(value || '').trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+}
+
+/**
+ * Encoding of a file from its first bytes: a BOM if there is one, else
+ * UTF-8 when the bytes are valid UTF-8, else Windows-1252 (Excel's default)
+ * Returns { encoding, bom }
+ */
+function detectEncoding(sample) {
+  if (sample[0] === 0xef && sample[1] === 0xbb && sample[2] === 0xbf) {
+    return { encoding: 'utf-8', bom: true };
+  }
+  if (sample[0] === 0xff && sample[1] === 0xfe) {
+    return { encoding: 'utf-16le', bom: true };
+  }
+  if (sample[0] === 0xfe && sample[1] === 0xff) {
+    return { encoding: 'utf-16be', bom: true };
+  }
+
+  try {
+    // stream: true so a character cut off at the end of the sample isn't an error
+    new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+    return { encoding: 'utf-8', bom: false };
+  } catch (error) {
+    return { encoding: 'windows-1252', bom: false };
+  }
+}
+
+/**
+ * Count a delimiter in a line, ignoring quoted text
+ */
+function countDelimiter(line, delimiter) {
+  let count = 0;
+  let quoted = false;
+  for (const char of line) {
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (char === delimiter && !quoted) {
+      count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * The delimiter found on most sampled lines, the most often; null for a
+ * single-column file (URLs may contain commas, so one comma isn't enough)
+ * Lines without it (a title or comment above the header) don't count
+ */
+function detectDelimiter(lines) {
+  let best = null;
+  let bestCount = 0;
+
+  DELIMITERS.forEach(delimiter => {
+    const counts = lines.map(line => countDelimiter(line, delimiter)).filter(count => count > 0);
+    if (counts.length * 2 <= lines.length) {
+      return;
+    }
+    const count = Math.min(...counts);
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Re-encode the file as UTF-8 while it streams (drops the BOM)
+ */
+function decodeStream(encoding) {
+  const decoder = new TextDecoder(encoding);
+  return new Transform({
+    transform(chunk, _encoding, callback) {
+      callback(null, Buffer.from(decoder.decode(chunk, { stream: true }), 'utf8'));
+    },
+    flush(callback) {
+      callback(null, Buffer.from(decoder.decode(), 'utf8'));
+    }
+  });
+}
+
+/**
+ * Split a text stream into lines: { '0': line } records, like csv-parser
+ * gives for a single column, but without quote handling
+ */
+function lineStream() {
+  let rest = '';
+  return new Transform({
+    readableObjectMode: true,
+    transform(chunk, _encoding, callback) {
+      const lines = (rest + chunk.toString('utf8')).split(/\r\n|\n|\r/);
+      rest = lines.pop();
+      lines.forEach(line => this.push({ 0: line }));
+      callback();
+    },
+    flush(callback) {
+      if (rest) {
+        this.push({ 0: rest });
+      }
+      callback();
+    }
+  });
+}
+
+/**
+ * URL Import Service
+ * Reads uploaded URL lists: CSV/TSV files with or without a header row, or
+ * plain text files with one URL per line. The encoding (UTF-8, UTF-16 with a
+ * BOM, Windows-1252) and the delimiter (, ; tab |) are detected. URLs are
+ * cleaned up (missing scheme added, tracking parameters removed) and every
+ * row is validated.
+ *
+ * Env: UPLOAD_MAX_URLS (default 1000 URLs per file),
+ *      UPLOAD_MAX_FILE_MB (default 10)
+ */
+class URLImportService {
+  static get FILE_TYPES() {
+    return FILE_TYPES;
+  }
+
+  static getLimits() {
+    return {
+      maxUrls: parseInt(process.env.UPLOAD_MAX_URLS, 10) || 1000,
+      // Whole bytes: multer truncates files at a fractional limit instead of rejecting them
+      maxFileBytes: Math.floor((parseFloat(process.env.UPLOAD_MAX_FILE_MB) || 10) * 1024 * 1024)
+    };
+  }
+
+  /**
+   * Detect the format of a file from its first bytes
+   * Returns { type, encoding, bom, delimiter }
+   */
+  static async sniff(filePath, originalName) {
+    const handle = await fs.promises.open(filePath, 'r');
+    let sample;
+    try {
+      const buffer = Buffer.alloc(SAMPLE_BYTES);
+      const { bytesRead } = await handle.read(buffer, 0, SAMPLE_BYTES, 0);
+      sample = buffer.subarray(0, bytesRead);
+    } finally {
+      await handle.close();
+    }
+
+    const { encoding, bom } = detectEncoding(sample);
+    const lines = new TextDecoder(encoding).decode(sample)
+      .split(/\r\n|\n|\r/)
+      // The last line may be cut off
+      .slice(0, sample.length === SAMPLE_BYTES ? -1 : undefined)
+      .filter(line => line.trim())
+      .slice(0, SAMPLE_LINES);
+
+    const type = path.extname(originalName || '').toLowerCase() === '.txt' ? 'txt' : 'csv';
+    const delimiter = type === 'txt' || lines.length === 0 ? null : detectDelimiter(lines);
+
+    return { type, encoding, bom, delimiter };
+  }
+
+  /**
+   * Where the URL and its details are in the file, from its first record:
+   * a header row naming the columns, or (headerless) the first cell that is a URL
+   * Tags may be spread over several columns ("Tags", "Tag 1", "Tag 2", ...);
+   * custom fields come from "field:<name>" columns and/or a "Custom Fields"
+   * column ("owner=alice; priority=high", as exported)
+   * Returns { header, columns: { url, notes, lastmod, tags, fields, customFields } } or null
+   */
+  static findColumns(record) {
+    const cells = Object.keys(record).map(key => record[key]);
+    const headers = cells.map(normalizeHeader);
+    const url = headers.findIndex(header => URL_HEADERS.includes(header));
+    const indexesOf = test => headers.map((header, index) => (test(header) ? index : -1)).filter(index => index !== -1);
+
+    if (url !== -1) {
+      return {
+        header: true,
+        columns: {
+          url,
+          notes: headers.findIndex(header => NOTES_HEADERS.includes(header)),
+          lastmod: headers.findIndex(header => LASTMOD_HEADERS.includes(header)),
+          tags: indexesOf(header => TAG_HEADERS.includes(header) || /^tag \d+$/.test(header)),
+          fields: cells
+            .map((cell, index) => ({ index, match: cell.trim().match(FIELD_HEADER_PATTERN) }))
+            .filter(({ match }) => match)
+            .map(({ index, match }) => ({ index, name: match[1].trim() })),
+          customFields: headers.indexOf(FIELDS_HEADER)
+        }
+      };
+    }
+
+    const headerless = cells.findIndex(isURLCell);
+    if (headerless !== -1) {
+      return this.headerlessLayout(headerless);
+    }
+
+    return null;
+  }
+
+  /**
+   * Layout of a file without a header row, with the URLs in one column
+   */
+  static headerlessLayout(url) {
+    return { header: false, columns: { url, notes: -1, lastmod: -1, tags: [], fields: [], customFields: -1 } };
+  }
+
+  /**
+   * Tags and custom fields of a record
+   * Returns { tags, fields, error }
+   */
+  static readMetadata(cell, columns) {
+    const tags = splitTags(columns.tags.map(cell));
+    const tagError = validateTags(tags);
+    if (tagError) {
+      return { tags, fields: {}, error: tagError };
+    }
+
+    const values = columns.customFields !== -1 ? parseFields(cell(columns.customFields)) : {};
+    columns.fields.forEach(({ index, name }) => {
+      if (cell(index)) {
+        values[name] = cell(index);
+      }
+    });
+    const { error, fields } = validateFields(values);
+
+    return { tags, fields: fields || {}, error };
+  }
+
+  /**
+   * Read and validate the rows of an uploaded file
+   * Options: { originalName, stripTracking (default true), maxUrls }
+   * Resolves to { format, rows } where each row is
+   * { row, input, url, userNotes, tags, fields, lastmod, changes, error } - `error` marks a rejected row.
+   * Rows are numbered by record in the file (row 1 is the header, if any).
+   * A TXT file is always one URL per line. In a CSV, rows before the header
+   * or the first URL (typos, comments, titles) are rejected like any other
+   * bad row once a later row shows which column holds the URLs.
+   * Rejects with a 400 error (UPLOAD_NO_URL_COLUMN, UPLOAD_TOO_MANY_URLS, UPLOAD_EMPTY)
+   * when no URL column is found, there are too many URLs or the file is empty.
+   */
+  static async parseFile(filePath, { originalName, stripTracking = true, maxUrls = this.getLimits().maxUrls } = {}) {
+    const format = await this.sniff(filePath, originalName);
+    const rows = [];
+    let layout = null;
+    let recordNumber = 0;
+    let urlCount = 0;
+    // Records read before the layout was known: [{ number, cells }]
+    const pending = [];
+
+    const noURLColumn = () => new AppError('No URL column found. Name the column "URL" (or Link, Loc, Address), or upload a list with one URL per line.', {
+      code: 'UPLOAD_NO_URL_COLUMN'
+    });
+
+    // Adds the row of a record; returns an error that stops the upload, if any
+    const addRow = (number, cells) => {
+      const cell = index => (index !== -1 && cells[index] !== undefined ? cells[index].trim() : '');
+      const input = cell(layout.columns.url);
+      const cleaned = cleanURL(input, { stripTracking });
+      const metadata = URLImportService.readMetadata(cell, layout.columns);
+      const { url, changes } = cleaned;
+      const error = cleaned.error || metadata.error;
+
+      if (!error && ++urlCount > maxUrls) {
+        return new AppError(`Too many URLs. Maximum ${maxUrls} URLs allowed per upload; this file has more.`, {
+          code: 'UPLOAD_TOO_MANY_URLS'
+        });
+      }
+
+      rows.push({
+        row: number,
+        input,
+        url: error ? input : url,
+        userNotes: cell(layout.columns.notes),
+        tags: metadata.tags,
+        fields: metadata.fields,
+        lastmod: cell(layout.columns.lastmod) || null,
+        changes,
+        error
+      });
+      return null;
+    };
+
+    const collect = new Writable({
+      objectMode: true,
+      write(record, _encoding, callback) {
+        recordNumber++;
+        const cells = Object.keys(record).map(key => record[key]);
+
+        // Blank lines are skipped, but still counted
+        if (cells.every(cell => !cell.trim())) {
+          return callback();
+        }
+
+        if (!layout) {
+          layout = URLImportService.findColumns(record) ||
+            (format.type === 'txt' ? URLImportService.headerlessLayout(0) : null);
+
+          if (!layout) {
+            pending.push({ number: recordNumber, cells });
+            return callback(pending.length >= LAYOUT_LOOKAHEAD ? noURLColumn() : null);
+          }
+
+          // Rows before the header or the first URL are rejected (no URL in them)
+          for (const { number, cells: pendingCells } of pending) {
+            const error = addRow(number, pendingCells);
+            if (error) {
+              return callback(error);
+            }
+          }
+          if (layout.header) {
+            return callback();
+          }
+        }
+
+        callback(addRow(recordNumber, cells));
+      }
+    });
+
+    const parser = format.type === 'txt'
+      ? lineStream()
+      : csv({ headers: false, separator: format.delimiter || '\u0000', skipComments: false });
+
+    await pipeline(fs.createReadStream(filePath), decodeStream(format.encoding), parser, collect);
+
+    if (!layout) {
+      if (pending.length > 0) {
+        throw noURLColumn();
+      }
+      throw new AppError('The file is empty.', { code: 'UPLOAD_EMPTY' });
+    }
+
+    return {
+      format: { ...format, header: layout.header },
+      rows
+    };
+  }
+}
+
+module.exports = URLImportService;
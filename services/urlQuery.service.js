@@ -0,0 +1,211 @@
+const { STATUSES } = require('../config/statuses');
+const { parseCheckedDate } = require('../utils/date.utils');
+const { normalizeTag } = require('../utils/metadata.utils');
+
+// Sortable fields and the value each one sorts by
+const SORT_FIELDS = {
+  url: urlData => urlData.url.toLowerCase(),
+  host: urlData => getHost(urlData.url),
+  status: urlData => urlData.status,
+  lastChecked: urlData => parseCheckedDate(urlData.lastChecked),
+  httpCode: urlData => urlData.httpCode,
+  lastmod: urlData => urlData.lastmod
+};
+
+function getHost(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Comma-separated query value as a list (repeated params are joined)
+ */
+function toList(value) {
+  return [].concat(value)
+    .join(',')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Compare two sort values; missing values (null, '') sort last in both directions
+ */
+function compareValues(a, b, direction) {
+  const aMissing = a === null || a === undefined || a === '';
+  const bMissing = b === null || b === undefined || b === '';
+
+  if (aMissing || bMissing) {
+    return aMissing === bMissing ? 0 : (aMissing ? 1 : -1);
+  }
+  if (a === b) {
+    return 0;
+  }
+  return (a < b ? -1 : 1) * direction;
+}
+
+/**
+ * URL Query Service
+ * Filtering, sorting and pagination of URL lists (GET /api/urls and /download)
+ */
+class URLQueryService {
+  static get SORT_FIELDS() {
+    return Object.keys(SORT_FIELDS);
+  }
+
+  /**
+   * Read query options from a request query string
+   * Returns { errors, options }
+   *
+   * - status: one or more statuses (comma-separated)
+   * - host: one or more host names (comma-separated)
+   * - tag: one or more tags (comma-separated); URLs with any of them match
+   * - field.<name>: custom field value (case-insensitive, e.g. field.owner=alice)
+   * - q: case-insensitive substring of the URL, check notes or user notes
+   * - checkedBefore / checkedAfter: dates (ISO-8601); never-checked URLs don't match
+   * - sort: comma-separated fields, "-" prefix for descending (e.g. "-lastChecked,url")
+   * - limit / offset: page size and start (no limit by default)
+   */
+  static parse(query = {}) {
+    const errors = [];
+    const options = {};
+
+    if (query.status !== undefined) {
+      options.statuses = toList(query.status).map(value => {
+        const status = STATUSES.find(s => s.toLowerCase() === value.toLowerCase());
+        if (!status) {
+          errors.push(`"status" must be one of: ${STATUSES.join(', ')} (got "${value}")`);
+        }
+        return status;
+      });
+    }
+
+    if (query.host !== undefined) {
+      options.hosts = toList(query.host).map(host => host.toLowerCase());
+    }
+
+    if (query.tag !== undefined) {
+      options.tags = toList(query.tag).map(normalizeTag);
+    }
+
+    Object.keys(query)
+      .filter(param => param.startsWith('field.') && param.length > 'field.'.length)
+      .forEach(param => {
+        options.fields = options.fields || {};
+        options.fields[param.slice('field.'.length)] = String([].concat(query[param])[0]).toLowerCase();
+      });
+
+    if (query.q !== undefined && String(query.q).trim()) {
+      options.q = String(query.q).trim().toLowerCase();
+    }
+
+    ['checkedBefore', 'checkedAfter'].forEach(param => {
+      if (query[param] !== undefined) {
+        const time = Date.parse(query[param]);
+        if (Number.isNaN(time)) {
+          errors.push(`"${param}" must be a date (e.g. "2024-05-01" or "2024-05-01T09:00:00Z")`);
+        } else {
+          options[param] = time;
+        }
+      }
+    });
+
+    if (query.sort !== undefined) {
+      options.sort = toList(query.sort).map(item => {
+        const field = item.replace(/^[-+]/, '');
+        if (!SORT_FIELDS[field]) {
+          errors.push(`"sort" fields must be one of: ${this.SORT_FIELDS.join(', ')} (got "${field}")`);
+        }
+        return { field, direction: item.startsWith('-') ? -1 : 1 };
+      });
+    }
+
+    ['limit', 'offset'].forEach(param => {
+      if (query[param] !== undefined) {
+        const value = Number(query[param]);
+        if (!Number.isInteger(value) || value < (param === 'limit' ? 1 : 0)) {
+          errors.push(`"${param}" must be ${param === 'limit' ? 'a positive' : 'a non-negative'} integer`);
+        } else {
+          options[param] = value;
+        }
+      }
+    });
+
+    return { errors, options };
+  }
+
+  /**
+   * Whether a URL matches the filters in `options`
+   */
+  static matches(urlData, options) {
+    if (options.statuses && !options.statuses.includes(urlData.status)) {
+      return false;
+    }
+    if (options.hosts && !options.hosts.includes(getHost(urlData.url))) {
+      return false;
+    }
+    if (options.tags && !options.tags.some(tag => (urlData.tags || []).includes(tag))) {
+      return false;
+    }
+    if (options.fields && Object.entries(options.fields).some(([name, value]) =>
+      !urlData.fields || urlData.fields[name] === undefined || String(urlData.fields[name]).toLowerCase() !== value)) {
+      return false;
+    }
+    if (options.q &&
+        !urlData.url.toLowerCase().includes(options.q) &&
+        !(urlData.notes || '').toLowerCase().includes(options.q) &&
+        !(urlData.userNotes || '').toLowerCase().includes(options.q)) {
+      return false;
+    }
+    if (options.checkedBefore !== undefined || options.checkedAfter !== undefined) {
+      const checkedAt = parseCheckedDate(urlData.lastChecked);
+      if (checkedAt === null ||
+          (options.checkedBefore !== undefined && checkedAt >= options.checkedBefore) ||
+          (options.checkedAfter !== undefined && checkedAt < options.checkedAfter)) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Filter, sort and paginate URLs
+   * Returns { total, offset, limit, nextOffset, data } - total counts every match
+   */
+  static apply(urls, options = {}) {
+    let matched = urls.filter(urlData => this.matches(urlData, options));
+
+    if (options.sort && options.sort.length > 0) {
+      const keyed = matched.map((urlData, index) => ({
+        urlData,
+        index,
+        values: options.sort.map(({ field }) => SORT_FIELDS[field](urlData))
+      }));
+
+      keyed.sort((a, b) => {
+        for (let i = 0; i < options.sort.length; i++) {
+          const result = compareValues(a.values[i], b.values[i], options.sort[i].direction);
+          if (result !== 0) {
+            return result;
+          }
+        }
+        // Stable: keep list order for ties
+        return a.index - b.index;
+      });
+
+      matched = keyed.map(item => item.urlData);
+    }
+
+    const offset = options.offset || 0;
+    const limit = options.limit || null;
+    const data = limit ? matched.slice(offset, offset + limit) : matched.slice(offset);
+    const nextOffset = offset + data.length < matched.length ? offset + data.length : null;
+
+    return { total: matched.length, offset, limit, nextOffset, data };
+  }
+}
+
+module.exports = URLQueryService;
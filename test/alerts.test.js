@@ -0,0 +1,188 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockServer, sendJSON } = require('./helpers/mockServer');
+const { startMockSmtpServer } = require('./helpers/mockSmtpServer');
+const AlertService = require('../services/alert.service');
+const AlertDeliveryModel = require('../models/alertDelivery.model');
+
+const rule = {
+  id: 'rule-1',
+  name: 'Page dropped out of the index',
+  type: 'status_change',
+  from: 'Indexed',
+  to: 'Not Indexed'
+};
+
+const event = {
+  jobId: 'job-1',
+  status: 'completed',
+  source: 'scheduled',
+  provider: 'http',
+  summary: { total: 2, indexed: 1, notIndexed: 1 },
+  statusCounts: { Indexed: 1, 'Not Indexed': 1 },
+  changes: [
+    { id: 'url-1', url: 'https://example.com/a', from: 'Indexed', to: 'Not Indexed', notes: 'HTTP 404 - Page not found' },
+    { id: 'url-2', url: 'https://example.com/b', from: 'Pending', to: 'Indexed', notes: 'HTTP 200 - Page accessible' }
+  ],
+  finishedAt: '2025-12-07T05:00:00.000Z'
+};
+
+function buildAlert() {
+  return AlertService.buildAlert(rule, event, AlertService.evaluate(rule, event));
+}
+
+describe('AlertService', () => {
+  let http;
+  // Status codes for the next requests (200 once the list runs out)
+  let statuses;
+  // Delivery log records, instead of data/alert-deliveries.csv
+  let logged;
+
+  before(async () => {
+    http = await startMockServer((req, res) => sendJSON(res, statuses.shift() || 200, { ok: true }));
+    process.env.ALERT_MAX_ATTEMPTS = '3';
+    process.env.ALERT_RETRY_DELAY_MS = '5';
+  });
+
+  after(async () => {
+    delete process.env.ALERT_MAX_ATTEMPTS;
+    delete process.env.ALERT_RETRY_DELAY_MS;
+    await http.close();
+  });
+
+  beforeEach(() => {
+    http.requests.length = 0;
+    statuses = [];
+    logged = [];
+    mock.restoreAll();
+    mock.method(AlertDeliveryModel, 'append', async (delivery) => {
+      logged.push(delivery);
+      return delivery;
+    });
+  });
+
+  it('fires status_change rules for matching transitions only', () => {
+    const evaluation = AlertService.evaluate(rule, event);
+
+    assert.equal(evaluation.matches.length, 1);
+    assert.equal(evaluation.matches[0].url, 'https://example.com/a');
+    assert.equal(evaluation.message, '1 URL(s) went from Indexed to Not Indexed');
+    assert.equal(AlertService.evaluate({ ...rule, to: 'Blocked by robots.txt' }, event), null);
+  });
+
+  it('posts the alert to a webhook and logs the delivery', async () => {
+    const channel = { type: 'webhook', url: `${http.url}/hooks/indexation` };
+    const delivery = await AlertService.deliver(rule, channel, buildAlert());
+
+    const [request] = http.requests;
+    assert.equal(request.url, '/hooks/indexation');
+    assert.equal(request.headers['user-agent'], 'URL-Indexation-Checker/1.0');
+    assert.equal(request.body.event, 'indexation.alert');
+    assert.deepEqual(request.body.rule, { id: 'rule-1', name: rule.name, type: 'status_change' });
+    assert.equal(request.body.run.jobId, 'job-1');
+    assert.equal(request.body.matches.length, 1);
+
+    assert.equal(delivery.status, 'sent');
+    assert.equal(delivery.attempts, 1);
+    assert.equal(delivery.error, '');
+    assert.deepEqual(logged, [delivery]);
+    assert.equal(delivery.target, channel.url);
+    assert.equal(delivery.message, '1 URL(s) went from Indexed to Not Indexed');
+  });
+
+  it('sends a Slack incoming-webhook payload', async () => {
+    const delivery = await AlertService.deliver(rule, { type: 'slack', url: `${http.url}/slack` }, buildAlert());
+
+    const { body } = http.requests[0];
+    assert.equal(body.text, `${rule.name}: 1 URL(s) went from Indexed to Not Indexed`);
+    assert.equal(body.blocks.length, 2);
+    assert.match(body.blocks[1].text.text, /<https:\/\/example\.com\/a\|https:\/\/example\.com\/a>: Indexed → Not Indexed/);
+    assert.equal(delivery.status, 'sent');
+  });
+
+  it('retries failed deliveries until one succeeds', async () => {
+    statuses = [500, 503];
+
+    const delivery = await AlertService.deliver(rule, { type: 'webhook', url: `${http.url}/flaky` }, buildAlert());
+
+    assert.equal(http.requests.length, 3);
+    assert.equal(delivery.status, 'sent');
+    assert.equal(delivery.attempts, 3);
+    assert.equal(logged.length, 1);
+  });
+
+  it('gives up after ALERT_MAX_ATTEMPTS and logs the failure', async () => {
+    statuses = [500, 500, 500, 500];
+    process.env.ALERT_MAX_ATTEMPTS = '2';
+
+    try {
+      const delivery = await AlertService.deliver(rule, { type: 'webhook', url: `${http.url}/down` }, buildAlert());
+
+      assert.equal(http.requests.length, 2);
+      assert.equal(delivery.status, 'failed');
+      assert.equal(delivery.attempts, 2);
+      assert.match(delivery.error, /status code 500/);
+      assert.deepEqual(logged, [delivery]);
+    } finally {
+      process.env.ALERT_MAX_ATTEMPTS = '3';
+    }
+  });
+
+  it('logs unknown channel types as failed without sending', async () => {
+    const delivery = await AlertService.deliver(rule, { type: 'pager' }, buildAlert());
+
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.attempts, 0);
+    assert.equal(delivery.error, 'Unknown channel type "pager"');
+    assert.equal(http.requests.length, 0);
+  });
+
+  describe('email', () => {
+    let smtp;
+    let rejecting;
+
+    before(async () => {
+      smtp = await startMockSmtpServer();
+      rejecting = await startMockSmtpServer({ rejectRecipients: true });
+      process.env.SMTP_HOST = smtp.host;
+      process.env.ALERT_EMAIL_FROM = 'alerts@example.com';
+    });
+
+    after(async () => {
+      delete process.env.SMTP_HOST;
+      delete process.env.SMTP_PORT;
+      delete process.env.ALERT_EMAIL_FROM;
+      await smtp.close();
+      await rejecting.close();
+    });
+
+    it('sends a plain-text email over SMTP', async () => {
+      process.env.SMTP_PORT = String(smtp.port);
+
+      const channel = { type: 'email', to: ['seo@example.com', 'dev@example.com'] };
+      const delivery = await AlertService.deliver(rule, channel, buildAlert());
+
+      assert.equal(delivery.status, 'sent');
+      assert.equal(delivery.target, 'seo@example.com, dev@example.com');
+      assert.deepEqual(logged, [delivery]);
+
+      const [message] = smtp.messages;
+      assert.equal(message.from, 'alerts@example.com');
+      assert.deepEqual(message.to, ['seo@example.com', 'dev@example.com']);
+      assert.match(message.data, /Subject: \[URL Indexation\] Page dropped out of the index/);
+      assert.match(message.data, /- https:\/\/example\.com\/a: Indexed -> Not Indexed \(HTTP 404 - Page not found\)/);
+    });
+
+    it('retries and logs a failure when the SMTP server rejects the message', async () => {
+      process.env.SMTP_PORT = String(rejecting.port);
+
+      const delivery = await AlertService.deliver(rule, { type: 'email', to: 'seo@example.com' }, buildAlert());
+
+      assert.equal(delivery.status, 'failed');
+      assert.equal(delivery.attempts, 3);
+      assert.match(delivery.error, /550/);
+      assert.deepEqual(logged, [delivery]);
+      assert.equal(rejecting.messages.length, 0);
+    });
+  });
+});
@@ -0,0 +1,71 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const AuthService = require('../services/auth.service');
+const ApiKeyModel = require('../models/apiKey.model');
+
+describe('AuthService.verifyToken', () => {
+  // API keys by ID, instead of data/api-keys.json
+  let keys;
+
+  before(() => {
+    process.env.JWT_SECRET = 'test-secret';
+  });
+
+  after(() => {
+    delete process.env.JWT_SECRET;
+    mock.restoreAll();
+  });
+
+  beforeEach(() => {
+    keys = {};
+    mock.restoreAll();
+    mock.method(ApiKeyModel, 'findById', async id => keys[id] || null);
+  });
+
+  it('accepts a token with the role it was issued for', async () => {
+    keys['key-1'] = { id: 'key-1', role: 'editor', timezone: 'Europe/London' };
+    const { token } = AuthService.issueToken({ subject: 'CI', role: 'editor', keyId: 'key-1' });
+
+    assert.deepEqual(await AuthService.verifyToken(token), {
+      type: 'jwt', role: 'editor', keyId: 'key-1', name: 'CI', timezone: 'Europe/London'
+    });
+  });
+
+  it('caps the role at the key\'s current role after a downgrade', async () => {
+    keys['key-1'] = { id: 'key-1', role: 'editor' };
+    const { token } = AuthService.issueToken({ subject: 'CI', role: 'editor', keyId: 'key-1' });
+
+    keys['key-1'].role = 'viewer';
+
+    assert.equal((await AuthService.verifyToken(token)).role, 'viewer');
+  });
+
+  it('keeps the token\'s lower role when the key is upgraded', async () => {
+    keys['key-1'] = { id: 'key-1', role: 'viewer' };
+    const { token } = AuthService.issueToken({ subject: 'CI', role: 'viewer', keyId: 'key-1' });
+
+    keys['key-1'].role = 'admin';
+
+    assert.equal((await AuthService.verifyToken(token)).role, 'viewer');
+  });
+
+  it('rejects tokens of deleted keys', async () => {
+    keys['key-1'] = { id: 'key-1', role: 'admin' };
+    const { token } = AuthService.issueToken({ subject: 'CI', role: 'admin', keyId: 'key-1' });
+
+    delete keys['key-1'];
+
+    assert.equal(await AuthService.verifyToken(token), null);
+  });
+
+  it('rejects tokens signed with another secret', async () => {
+    const { token } = AuthService.issueToken({ subject: 'CI', role: 'admin' });
+    process.env.JWT_SECRET = 'other-secret';
+
+    try {
+      assert.equal(await AuthService.verifyToken(token), null);
+    } finally {
+      process.env.JWT_SECRET = 'test-secret';
+    }
+  });
+});
@@ -0,0 +1,35 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const DocsController = require('../controllers/docs.controller');
+
+describe('GET /api/docs', () => {
+  let document;
+
+  before(async () => {
+    await DocsController.getDocs({}, { json: body => { document = body; } }, error => { throw error; });
+  });
+
+  it('lists the URL endpoints mounted under a project', () => {
+    const operation = document.paths['/api/projects/{projectId}/urls/{id}'].patch;
+
+    assert.equal(operation.operationId, 'updateURLInProjects');
+    assert.deepEqual(operation.parameters.map(({ name, in: location }) => [name, location]), [['projectId', 'path'], ['id', 'path']]);
+    assert.ok(operation.requestBody);
+    assert.match(operation.description, /Requires the "editor" role\.$/);
+  });
+
+  it('lists every project-scoped URL endpoint of /api/urls', () => {
+    const urlPaths = Object.keys(document.paths)
+      .filter(path => path.startsWith('/api/urls'))
+      .map(path => path.replace('/api/urls', '/api/projects/{projectId}/urls'));
+
+    assert.ok(urlPaths.length > 0);
+    urlPaths.forEach(path => assert.ok(document.paths[path], `${path} is missing`));
+  });
+
+  it('gives every operation a unique ID', () => {
+    const operationIds = Object.values(document.paths).flatMap(operations => Object.values(operations).map(operation => operation.operationId));
+
+    assert.equal(new Set(operationIds).size, operationIds.length);
+  });
+});
@@ -0,0 +1,44 @@
+const http = require('http');
+
+/**
+ * Local HTTP stand-in for external APIs
+ * `handler(req, res, body)` answers each request; every request is kept in
+ * `requests` as { method, url, headers, body } (body parsed as JSON when it is JSON).
+ * Resolves to { url, requests, close }
+ */
+async function startMockServer(handler) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      let body = raw;
+      try {
+        body = raw ? JSON.parse(raw) : null;
+      } catch (error) {
+        // Not JSON: keep the text
+      }
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      handler(req, res, body);
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJSON(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+module.exports = { startMockServer, sendJSON };
@@ -0,0 +1,79 @@
+const net = require('net');
+
+/**
+ * Local SMTP stand-in: accepts plain (no TLS, no auth) SMTP sessions and
+ * keeps every message in `messages` as { from, to, data }
+ * `rejectRecipients` answers RCPT TO with 550, so sending fails.
+ * Resolves to { host, port, messages, close }
+ */
+async function startMockSmtpServer({ rejectRecipients = false } = {}) {
+  const messages = [];
+
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let message = { from: null, to: [], data: '' };
+    let readingData = false;
+
+    const reply = line => socket.write(`${line}\r\n`);
+    reply('220 localhost mock SMTP');
+
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+
+      if (readingData) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end === -1) {
+          return;
+        }
+        message.data = buffer.slice(0, end);
+        messages.push(message);
+        message = { from: null, to: [], data: '' };
+        buffer = buffer.slice(end + 5);
+        readingData = false;
+        reply('250 OK: queued');
+      }
+
+      let index;
+      while (!readingData && (index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        const command = line.slice(0, 4).toUpperCase();
+
+        if (command === 'EHLO' || command === 'HELO') {
+          reply('250 localhost');
+        } else if (command === 'MAIL') {
+          message.from = line.replace(/^MAIL FROM:\s*/i, '').replace(/[<>]/g, '').split(' ')[0];
+          reply('250 OK');
+        } else if (command === 'RCPT') {
+          if (rejectRecipients) {
+            reply('550 Mailbox unavailable');
+          } else {
+            message.to.push(line.replace(/^RCPT TO:\s*/i, '').replace(/[<>]/g, '').split(' ')[0]);
+            reply('250 OK');
+          }
+        } else if (command === 'DATA') {
+          readingData = true;
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (command === 'QUIT') {
+          reply('221 Bye');
+          socket.end();
+        } else {
+          reply('250 OK');
+        }
+      }
+    });
+
+    socket.on('error', () => {});
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    host: '127.0.0.1',
+    port: server.address().port,
+    messages,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = { startMockSmtpServer };
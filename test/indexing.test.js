@@ -0,0 +1,298 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockServer, sendJSON } = require('./helpers/mockServer');
+const GoogleIndexingSubmitter = require('../services/submitters/googleIndexing.submitter');
+const IndexNowSubmitter = require('../services/submitters/indexNow.submitter');
+const IndexingService = require('../services/indexing.service');
+const SubmissionModel = require('../models/submission.model');
+const HistoryModel = require('../models/history.model');
+const URLModel = require('../models/url.model');
+
+// Google Indexing API and IndexNow stand-in
+let google;
+let indexNow;
+let server;
+
+const urlRecord = (id, url, status = 'Not Indexed') => ({ id, url, status, projectId: 'default' });
+
+before(async () => {
+  server = await startMockServer((req, res, body) => {
+    if (req.url === '/v3/urlNotifications:publish') {
+      const status = google.statuses.shift() || 200;
+      return status === 200
+        ? sendJSON(res, 200, { urlNotificationMetadata: { url: body.url, latestUpdate: { notifyTime: '2025-12-07T05:00:00Z' } } })
+        : sendJSON(res, status, { error: { code: status, message: status === 429 ? 'Quota exceeded' : 'Permission denied' } });
+    }
+    if (req.url === '/indexnow') {
+      res.writeHead(indexNow.status);
+      return res.end();
+    }
+    res.writeHead(404);
+    res.end();
+  });
+
+  process.env.GOOGLE_ACCESS_TOKEN = 'test-token';
+  process.env.GOOGLE_INDEXING_API_BASE_URL = server.url;
+  process.env.INDEXNOW_KEY = 'test-key-123';
+  process.env.INDEXNOW_ENDPOINT = `${server.url}/indexnow`;
+});
+
+after(async () => {
+  ['GOOGLE_ACCESS_TOKEN', 'GOOGLE_INDEXING_API_BASE_URL', 'INDEXNOW_KEY', 'INDEXNOW_ENDPOINT'].forEach(name => {
+    delete process.env[name];
+  });
+  await server.close();
+});
+
+beforeEach(() => {
+  server.requests.length = 0;
+  google = { statuses: [] };
+  indexNow = { status: 200 };
+});
+
+const requestsTo = path => server.requests.filter(request => request.url === path);
+
+describe('GoogleIndexingSubmitter', () => {
+  it('publishes one notification per URL', async () => {
+    const results = await GoogleIndexingSubmitter.submit(['https://example.com/a', 'https://example.com/b']);
+
+    const requests = requestsTo('/v3/urlNotifications:publish');
+    assert.equal(requests.length, 2);
+    assert.equal(requests[0].headers.authorization, 'Bearer test-token');
+    assert.deepEqual(requests[0].body, { url: 'https://example.com/a', type: 'URL_UPDATED' });
+    assert.deepEqual(results[0], {
+      url: 'https://example.com/a', status: 'submitted', httpCode: 200, message: 'Accepted (notified 2025-12-07T05:00:00Z)'
+    });
+  });
+
+  it('reports API errors per URL', async () => {
+    google.statuses = [403];
+
+    const results = await GoogleIndexingSubmitter.submit(['https://example.com/a', 'https://example.com/b'], { type: 'URL_DELETED' });
+
+    assert.equal(requestsTo('/v3/urlNotifications:publish')[0].body.type, 'URL_DELETED');
+    assert.deepEqual(results.map(result => [result.status, result.httpCode]), [['failed', 403], ['submitted', 200]]);
+    assert.equal(results[0].message, 'Google Indexing API error: Permission denied');
+  });
+
+  it('skips the remaining URLs after a 429', async () => {
+    google.statuses = [200, 429];
+
+    const results = await GoogleIndexingSubmitter.submit(['https://example.com/a', 'https://example.com/b', 'https://example.com/c']);
+
+    assert.equal(requestsTo('/v3/urlNotifications:publish').length, 2);
+    assert.deepEqual(results.map(result => result.status), ['submitted', 'failed', 'skipped']);
+    assert.equal(results[1].httpCode, 429);
+    assert.equal(results[2].message, 'Google Indexing API quota exceeded');
+  });
+});
+
+describe('IndexNowSubmitter', () => {
+  it('sends one request per host', async () => {
+    indexNow.status = 202;
+
+    const results = await IndexNowSubmitter.submit([
+      'https://example.com/a',
+      'https://blog.example.org/post',
+      'https://example.com/b'
+    ]);
+
+    const requests = requestsTo('/indexnow');
+    assert.equal(requests.length, 2);
+    assert.deepEqual(requests[0].body, { host: 'example.com', key: 'test-key-123', urlList: ['https://example.com/a', 'https://example.com/b'] });
+    assert.deepEqual(requests[1].body, { host: 'blog.example.org', key: 'test-key-123', urlList: ['https://blog.example.org/post'] });
+    assert.ok(results.every(result => result.status === 'submitted' && result.httpCode === 202));
+    assert.equal(results[0].message, 'Accepted; key validation pending');
+  });
+
+  it('sends the key location for each host', async () => {
+    process.env.INDEXNOW_KEY_LOCATION = 'https://{host}/keys/indexnow.txt';
+
+    try {
+      await IndexNowSubmitter.submit(['https://example.com/a']);
+    } finally {
+      delete process.env.INDEXNOW_KEY_LOCATION;
+    }
+
+    assert.equal(requestsTo('/indexnow')[0].body.keyLocation, 'https://example.com/keys/indexnow.txt');
+  });
+
+  it('fails every URL of a rejected request, and invalid URLs without sending them', async () => {
+    indexNow.status = 403;
+
+    const results = await IndexNowSubmitter.submit(['https://example.com/a', 'not a url']);
+
+    assert.equal(requestsTo('/indexnow').length, 1);
+    assert.deepEqual(results.map(({ url, status, httpCode }) => [url, status, httpCode]), [
+      ['not a url', 'failed', null],
+      ['https://example.com/a', 'failed', 403]
+    ]);
+    assert.equal(results[1].message, 'IndexNow error: Key not valid (key file not found at the key location)');
+  });
+});
+
+describe('IndexingService', () => {
+  // Submission log, check history and URLs, instead of the store
+  let submissions;
+  let history;
+  let urls;
+
+  beforeEach(() => {
+    submissions = [];
+    history = [];
+    urls = [];
+    mock.restoreAll();
+    mock.method(SubmissionModel, 'readAll', async ({ submitter, since } = {}) => submissions.filter(record =>
+      (!submitter || record.submitter === submitter) && (!since || record.submittedAt >= since)));
+    mock.method(SubmissionModel, 'append', async (records) => {
+      submissions.push(...records);
+    });
+    mock.method(HistoryModel, 'readAll', async () => history);
+    mock.method(URLModel, 'readAllURLs', async () => urls);
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  describe('submit', () => {
+    before(() => {
+      process.env.GOOGLE_INDEXING_DAILY_QUOTA = '3';
+    });
+
+    after(() => {
+      delete process.env.GOOGLE_INDEXING_DAILY_QUOTA;
+    });
+
+    it('skips URLs beyond the daily quota without sending them', async () => {
+      // Sent earlier today: counts toward the quota; skipped records don't
+      submissions.push(
+        { urlId: 'old', submitter: 'google', status: 'submitted', httpCode: 200, submittedAt: new Date().toISOString() },
+        { urlId: 'old', submitter: 'google', status: 'skipped', httpCode: null, submittedAt: new Date().toISOString() }
+      );
+
+      const { results, quota } = await IndexingService.submit([
+        urlRecord('1', 'https://example.com/1'),
+        urlRecord('2', 'https://example.com/2'),
+        urlRecord('3', 'https://example.com/3')
+      ], { submitters: ['google'] });
+
+      assert.equal(requestsTo('/v3/urlNotifications:publish').length, 2);
+      assert.deepEqual(results.map(record => [record.urlId, record.status]), [['1', 'submitted'], ['2', 'submitted'], ['3', 'skipped']]);
+      assert.match(results[2].message, /^Daily quota of 3 reached; resets at /);
+      assert.equal(results[0].trigger, 'manual');
+      assert.equal(submissions.length, 5);
+      assert.equal(quota.google.used, 3);
+      assert.equal(quota.google.remaining, 0);
+    });
+
+    it('keeps concurrent submits within the daily quota', async () => {
+      const [manual, auto] = await Promise.all([
+        IndexingService.submit([urlRecord('1', 'https://example.com/1'), urlRecord('2', 'https://example.com/2')], {
+          submitters: ['google']
+        }),
+        IndexingService.submit([urlRecord('3', 'https://example.com/3'), urlRecord('4', 'https://example.com/4')], {
+          submitters: ['google'], trigger: 'auto'
+        })
+      ]);
+
+      assert.equal(requestsTo('/v3/urlNotifications:publish').length, 3);
+      assert.deepEqual(manual.results.map(record => record.status), ['submitted', 'submitted']);
+      assert.deepEqual(auto.results.map(record => record.status), ['submitted', 'skipped']);
+      assert.equal(auto.quota.google.remaining, 0);
+    });
+
+    it('records non-http(s) URLs as failed and submits the rest', async () => {
+      const { results } = await IndexingService.submit([
+        urlRecord('1', 'www.missing-protocol.com', 'Invalid URL'),
+        urlRecord('2', 'https://example.com/2')
+      ], { submitters: ['google', 'indexnow'] });
+
+      assert.deepEqual(results.map(record => [record.submitter, record.urlId, record.status]), [
+        ['google', '1', 'failed'],
+        ['google', '2', 'submitted'],
+        ['indexnow', '1', 'failed'],
+        ['indexnow', '2', 'submitted']
+      ]);
+      assert.deepEqual(requestsTo('/indexnow')[0].body.urlList, ['https://example.com/2']);
+    });
+
+    it('rejects unknown submitters', async () => {
+      await assert.rejects(IndexingService.submit([urlRecord('1', 'https://example.com/1')], { submitters: ['bing'] }), {
+        code: 'SUBMITTER_UNKNOWN'
+      });
+    });
+  });
+
+  describe('automatic resubmission', () => {
+    const check = (runId, urlId, status, checkedAt) => ({ runId, urlId, status, checkedAt });
+
+    before(() => {
+      process.env.INDEXING_RESUBMIT_AFTER = '2';
+      process.env.INDEXING_SUBMITTERS = 'indexnow';
+    });
+
+    after(() => {
+      delete process.env.INDEXING_RESUBMIT_AFTER;
+      delete process.env.INDEXING_SUBMITTERS;
+    });
+
+    it('counts Not Indexed checks in a row since the last submission', () => {
+      const counts = IndexingService.countNotIndexedChecks([
+        check('r1', 'a', 'Not Indexed', '2025-12-01T00:00:00Z'),
+        check('r2', 'a', 'Not Indexed', '2025-12-02T00:00:00Z'),
+        check('r3', 'a', 'Not Indexed', '2025-12-03T00:00:00Z'),
+        check('r1', 'b', 'Not Indexed', '2025-12-01T00:00:00Z'),
+        check('r2', 'b', 'Indexed', '2025-12-02T00:00:00Z'),
+        check('r3', 'b', 'Check Failed', '2025-12-03T00:00:00Z'),
+        check('r4', 'b', 'Not Indexed', '2025-12-04T00:00:00Z')
+      ], [
+        { urlId: 'a', status: 'submitted', submittedAt: '2025-12-02T12:00:00Z' },
+        // Skipped submissions weren't sent, so they don't reset the count
+        { urlId: 'b', status: 'skipped', submittedAt: '2025-12-03T12:00:00Z' }
+      ]);
+
+      assert.equal(counts.get('a'), 1);
+      assert.equal(counts.get('b'), 1);
+    });
+
+    it('resubmits the run\'s URLs after N Not Indexed checks', async () => {
+      history = [
+        check('r1', 'due', 'Not Indexed', '2025-12-01T00:00:00Z'),
+        check('r2', 'due', 'Not Indexed', '2025-12-02T00:00:00Z'),
+        check('r2', 'first', 'Not Indexed', '2025-12-02T00:00:00Z'),
+        check('r1', 'recovered', 'Not Indexed', '2025-12-01T00:00:00Z'),
+        check('r2', 'recovered', 'Indexed', '2025-12-02T00:00:00Z')
+      ];
+      urls = [
+        urlRecord('due', 'https://example.com/due'),
+        urlRecord('first', 'https://example.com/first'),
+        urlRecord('recovered', 'https://example.com/recovered', 'Indexed')
+      ];
+
+      const results = await IndexingService.handleRunFinished({ jobId: 'r2', status: 'completed' });
+
+      assert.deepEqual(results.map(record => [record.urlId, record.submitter, record.trigger, record.status]), [
+        ['due', 'indexnow', 'auto', 'submitted']
+      ]);
+      assert.deepEqual(requestsTo('/indexnow')[0].body.urlList, ['https://example.com/due']);
+
+      // The count starts over after the submission
+      history.push(check('r3', 'due', 'Not Indexed', new Date(Date.now() + 1000).toISOString()));
+      assert.deepEqual(await IndexingService.handleRunFinished({ jobId: 'r3', status: 'completed' }), []);
+    });
+
+    it('does nothing when INDEXING_RESUBMIT_AFTER is not set', async () => {
+      process.env.INDEXING_RESUBMIT_AFTER = '0';
+      history = [check('r1', 'due', 'Not Indexed', '2025-12-01T00:00:00Z')];
+      urls = [urlRecord('due', 'https://example.com/due')];
+
+      try {
+        assert.deepEqual(await IndexingService.handleRunFinished({ jobId: 'r1', status: 'completed' }), []);
+      } finally {
+        process.env.INDEXING_RESUBMIT_AFTER = '2';
+      }
+      assert.equal(server.requests.length, 0);
+    });
+  });
+});
@@ -0,0 +1,192 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockServer, sendJSON } = require('./helpers/mockServer');
+const SearchConsoleProvider = require('../services/providers/searchConsole.provider');
+const CustomSearchProvider = require('../services/providers/customSearch.provider');
+
+describe('SearchConsoleProvider', () => {
+  let mock;
+  // Answer for the next inspection request: [status, body, headers]
+  let reply;
+
+  before(async () => {
+    mock = await startMockServer((req, res) => sendJSON(res, ...reply));
+    process.env.GSC_API_BASE_URL = mock.url;
+    process.env.GSC_SITE_URLS = 'sc-domain:example.com,https://blog.example.org/';
+    process.env.GOOGLE_ACCESS_TOKEN = 'test-token';
+  });
+
+  after(async () => {
+    delete process.env.GSC_API_BASE_URL;
+    delete process.env.GSC_SITE_URLS;
+    delete process.env.GOOGLE_ACCESS_TOKEN;
+    await mock.close();
+  });
+
+  beforeEach(() => {
+    mock.requests.length = 0;
+  });
+
+  it('is configured with site URLs and Google credentials', () => {
+    assert.equal(SearchConsoleProvider.isConfigured(), true);
+  });
+
+  it('reports a PASS verdict as Indexed', async () => {
+    reply = [200, {
+      inspectionResult: {
+        indexStatusResult: { verdict: 'PASS', coverageState: 'Submitted and indexed', lastCrawlTime: '2025-12-01T00:00:00Z' }
+      }
+    }];
+
+    const result = await SearchConsoleProvider.check('https://www.example.com/page');
+
+    assert.equal(result.status, 'Indexed');
+    assert.equal(result.notes, 'Submitted and indexed (last crawl 2025-12-01T00:00:00Z)');
+
+    const [request] = mock.requests;
+    assert.equal(request.url, '/v1/urlInspection/index:inspect');
+    assert.equal(request.headers.authorization, 'Bearer test-token');
+    assert.deepEqual(request.body, { inspectionUrl: 'https://www.example.com/page', siteUrl: 'sc-domain:example.com' });
+  });
+
+  it('reports any other verdict as Not Indexed', async () => {
+    reply = [200, {
+      inspectionResult: { indexStatusResult: { verdict: 'NEUTRAL', coverageState: 'Discovered - currently not indexed' } }
+    }];
+
+    const result = await SearchConsoleProvider.check('https://blog.example.org/post');
+
+    assert.equal(result.status, 'Not Indexed');
+    assert.equal(result.notes, 'Discovered - currently not indexed');
+    assert.equal(mock.requests[0].body.siteUrl, 'https://blog.example.org/');
+  });
+
+  it('fails URLs outside the configured properties without calling the API', async () => {
+    const result = await SearchConsoleProvider.check('https://other.example.net/');
+
+    assert.equal(result.status, 'Check Failed');
+    assert.match(result.notes, /not covered/);
+    assert.equal(mock.requests.length, 0);
+  });
+
+  it('reports API errors as Check Failed, not retryable', async () => {
+    reply = [403, { error: { code: 403, message: 'User does not have sufficient permission' } }];
+
+    const result = await SearchConsoleProvider.check('https://example.com/');
+
+    assert.equal(result.status, 'Check Failed');
+    assert.match(result.notes, /^Search Console error: User does not have sufficient permission/);
+    assert.equal(result.retryable, false);
+  });
+
+  it('marks 429 as retryable with the Retry-After delay', async () => {
+    reply = [429, { error: { code: 429, message: 'Quota exceeded' } }, { 'Retry-After': '7' }];
+
+    const result = await SearchConsoleProvider.check('https://example.com/');
+
+    assert.equal(result.status, 'Check Failed');
+    assert.equal(result.retryable, true);
+    assert.equal(result.retryAfterMs, 7000);
+  });
+
+  it('marks 503 as retryable without a delay when there is no Retry-After', async () => {
+    reply = [503, { error: { code: 503, message: 'Backend Error' } }];
+
+    const result = await SearchConsoleProvider.check('https://example.com/');
+
+    assert.equal(result.retryable, true);
+    assert.equal(result.retryAfterMs, null);
+  });
+});
+
+describe('CustomSearchProvider', () => {
+  let mock;
+  let reply;
+
+  before(async () => {
+    mock = await startMockServer((req, res) => sendJSON(res, ...reply));
+    process.env.CUSTOM_SEARCH_BASE_URL = mock.url;
+    process.env.GOOGLE_CSE_API_KEY = 'test-key';
+    process.env.GOOGLE_CSE_ID = 'test-cx';
+  });
+
+  after(async () => {
+    delete process.env.CUSTOM_SEARCH_BASE_URL;
+    delete process.env.GOOGLE_CSE_API_KEY;
+    delete process.env.GOOGLE_CSE_ID;
+    await mock.close();
+  });
+
+  beforeEach(() => {
+    mock.requests.length = 0;
+  });
+
+  it('is configured with an API key and search engine ID', () => {
+    assert.equal(CustomSearchProvider.isConfigured(), true);
+  });
+
+  it('reports a URL found in the site: results as Indexed', async () => {
+    // Scheme, "www." and a trailing slash don't matter
+    reply = [200, {
+      searchInformation: { totalResults: '2' },
+      items: [{ link: 'https://example.com/other' }, { link: 'http://www.example.com/page/' }]
+    }];
+
+    const result = await CustomSearchProvider.check('https://example.com/page');
+
+    assert.equal(result.status, 'Indexed');
+
+    const query = new URL(mock.requests[0].url, mock.url).searchParams;
+    assert.equal(new URL(mock.requests[0].url, mock.url).pathname, '/customsearch/v1');
+    assert.equal(query.get('key'), 'test-key');
+    assert.equal(query.get('cx'), 'test-cx');
+    assert.equal(query.get('q'), 'site:https://example.com/page');
+  });
+
+  it('reports a URL missing from the site: results as Not Indexed', async () => {
+    reply = [200, { searchInformation: { totalResults: '1' }, items: [{ link: 'https://example.com/other' }] }];
+
+    const result = await CustomSearchProvider.check('https://example.com/page');
+
+    assert.equal(result.status, 'Not Indexed');
+    assert.equal(result.notes, 'site: search returned 1 results, but not this URL');
+  });
+
+  it('reports no results as Not Indexed', async () => {
+    reply = [200, { searchInformation: { totalResults: '0' } }];
+
+    const result = await CustomSearchProvider.check('https://example.com/page');
+
+    assert.equal(result.status, 'Not Indexed');
+    assert.equal(result.notes, 'No site: search results');
+  });
+
+  it('reports API errors as Check Failed, not retryable', async () => {
+    reply = [400, { error: { code: 400, message: 'API key not valid' } }];
+
+    const result = await CustomSearchProvider.check('https://example.com/page');
+
+    assert.equal(result.status, 'Check Failed');
+    assert.match(result.notes, /^Custom Search error: API key not valid/);
+    assert.equal(result.retryable, false);
+  });
+
+  it('marks 429 as retryable with the Retry-After delay', async () => {
+    reply = [429, { error: { code: 429, message: 'Rate limit exceeded' } }, { 'Retry-After': '2' }];
+
+    const result = await CustomSearchProvider.check('https://example.com/page');
+
+    assert.equal(result.retryable, true);
+    assert.equal(result.retryAfterMs, 2000);
+  });
+
+  it('marks 503 as retryable', async () => {
+    reply = [503, { error: { code: 503, message: 'Service unavailable' } }];
+
+    const result = await CustomSearchProvider.check('https://example.com/page');
+
+    assert.equal(result.status, 'Check Failed');
+    assert.equal(result.retryable, true);
+    assert.equal(result.retryAfterMs, null);
+  });
+});
@@ -0,0 +1,69 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const SitemapService = require('../services/sitemap.service');
+const SitemapModel = require('../models/sitemap.model');
+const URLModel = require('../models/url.model');
+
+const XML = '<?xml version="1.0"?><urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">' +
+  '<url><loc>https://example.com/a</loc><lastmod>2025-12-01</lastmod></url></urlset>';
+
+describe('SitemapService.decode', () => {
+  afterEach(() => {
+    delete process.env.SITEMAP_MAX_BYTES;
+  });
+
+  it('reads plain and gzipped sitemaps', async () => {
+    assert.equal(await SitemapService.decode(Buffer.from(XML)), XML);
+    assert.equal(await SitemapService.decode(zlib.gzipSync(XML)), XML);
+  });
+
+  it('rejects gzip data that inflates beyond SITEMAP_MAX_BYTES', async () => {
+    process.env.SITEMAP_MAX_BYTES = String(1024 * 1024);
+    // 8 MB of spaces compresses to a few KB
+    const bomb = zlib.gzipSync(Buffer.alloc(8 * 1024 * 1024, ' '));
+
+    await assert.rejects(SitemapService.decode(bomb), {
+      code: 'SITEMAP_INVALID',
+      statusCode: 400,
+      message: 'Sitemap is larger than 1 MB uncompressed'
+    });
+  });
+
+  it('rejects broken gzip data as SITEMAP_INVALID', async () => {
+    const truncated = zlib.gzipSync(XML).subarray(0, 20);
+
+    await assert.rejects(SitemapService.decode(truncated), { code: 'SITEMAP_INVALID' });
+  });
+});
+
+describe('SitemapService.sync', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('rejects malformed and non-http(s) locs instead of importing them', async () => {
+    const importURLs = mock.method(URLModel, 'importURLs', async (rows) => ({
+      added: rows.filter(row => !row.error).length,
+      rejected: rows.filter(row => row.error).map(row => ({ row: row.row, url: row.url, reason: row.error }))
+    }));
+    mock.method(SitemapModel, 'update', async (id, changes) => ({ id, ...changes }));
+    const content = '<?xml version="1.0"?><urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">' +
+      ['https://example.com/a', 'ftp://example.com/file', 'https://exa mple.com/b', 'javascript:alert(1)']
+        .map(loc => `<url><loc>${loc}</loc></url>`).join('') +
+      '</urlset>';
+
+    const { report } = await SitemapService.sync({ id: 's1', fileName: 'sitemap.xml', projectId: 'default' }, { content });
+
+    const [rows, mode] = importURLs.mock.calls[0].arguments;
+    assert.equal(mode, 'merge');
+    assert.deepEqual(rows.filter(row => !row.error).map(row => row.url), ['https://example.com/a']);
+    assert.equal(report.imported, 1);
+    assert.deepEqual(report.addedUrls, ['https://example.com/a']);
+    assert.deepEqual(report.rejected, [
+      { url: 'ftp://example.com/file', reason: 'Unsupported scheme "ftp:" (only http and https)' },
+      { url: 'https://exa mple.com/b', reason: 'Invalid URL' },
+      { url: 'javascript:alert(1)', reason: 'Unsupported scheme "javascript:" (only http and https)' }
+    ]);
+  });
+});
@@ -0,0 +1,88 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const URLImportService = require('../services/urlImport.service');
+
+describe('URLImportService.parseFile', () => {
+  let dir;
+
+  // Write a file to parse; resolves to the parse result
+  const parse = async (name, content) => {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, content);
+    return URLImportService.parseFile(filePath, { originalName: name });
+  };
+
+  const summarize = rows => rows.map(({ row, url, error }) => [row, url, error || null]);
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'url-import-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('reads a CSV with a URL header and metadata columns', async () => {
+    const { format, rows } = await parse('urls.csv', 'URL,Notes,Tags\nexample.com/a?utm_source=x,Home,Blog\n');
+
+    assert.equal(format.header, true);
+    assert.equal(format.delimiter, ',');
+    assert.deepEqual(summarize(rows), [[2, 'https://example.com/a', null]]);
+    assert.equal(rows[0].userNotes, 'Home');
+    assert.deepEqual(rows[0].tags, ['blog']);
+  });
+
+  it('rejects a bad first line of a TXT list instead of the whole file', async () => {
+    const { format, rows } = await parse('urls.txt', 'not a url\nhttps://ok.example.com/1\n');
+
+    assert.equal(format.header, false);
+    assert.deepEqual(summarize(rows), [
+      [1, 'not a url', 'Invalid URL'],
+      [2, 'https://ok.example.com/1', null]
+    ]);
+  });
+
+  it('rejects comment lines in a TXT list', async () => {
+    const { rows } = await parse('comments.txt', '# exported list\n\nhttps://ok.example.com/1\n');
+
+    assert.deepEqual(summarize(rows), [
+      [1, '# exported list', 'Invalid URL'],
+      [3, 'https://ok.example.com/1', null]
+    ]);
+  });
+
+  it('finds the URL column of a headerless CSV after rows without a URL', async () => {
+    const { format, rows } = await parse('headerless.csv', 'id,name\n1,https://ok.example.com/1\n2,ok.example.com/2\n');
+
+    assert.equal(format.header, false);
+    assert.deepEqual(summarize(rows), [
+      [1, 'name', 'Invalid host name'],
+      [2, 'https://ok.example.com/1', null],
+      [3, 'https://ok.example.com/2', null]
+    ]);
+  });
+
+  it('rejects a comment line above a delimited header', async () => {
+    const { format, rows } = await parse('commented.csv', '# exported list\nURL,Tags,Notes\nexample.com/a,blog,hi\n');
+
+    assert.equal(format.delimiter, ',');
+    assert.equal(format.header, true);
+    assert.deepEqual(summarize(rows), [
+      [1, '# exported list', 'Invalid URL'],
+      [3, 'https://example.com/a', null]
+    ]);
+    assert.deepEqual(rows[1].tags, ['blog']);
+    assert.equal(rows[1].userNotes, 'hi');
+  });
+
+  it('still reports files without any URL column', async () => {
+    await assert.rejects(parse('people.csv', 'Name,Email\nbob,bob@example\n'), { code: 'UPLOAD_NO_URL_COLUMN' });
+  });
+
+  it('reports empty files', async () => {
+    await assert.rejects(parse('empty.txt', '\n\n'), { code: 'UPLOAD_EMPTY' });
+  });
+});
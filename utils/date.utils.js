@@ -0,0 +1,125 @@
+/**
+ * Date helpers
+ * Timestamps are stored as ISO-8601 UTC; older data used the IST format below
+ */
+
+// "19/10/2026, 11:58:53 pm" - toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })
+const IST_DATE_PATTERN = /^(\d{1,2})\/(\d{1,2})\/(\d{4}),\s*(\d{1,2}):(\d{2}):(\d{2})\s*(am|pm)$/i;
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+// "2025-12-06T05:00:00.000Z" - Date#toISOString()
+const ISO_UTC_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+/**
+ * Timestamp (ms) of a stored check date: ISO-8601 or the IST format used
+ * for "Last Checked Date". Null for "Not yet checked" and anything unparseable
+ */
+function parseCheckedDate(value) {
+  if (!value || typeof value !== 'string') {
+    return null;
+  }
+
+  const match = IST_DATE_PATTERN.exec(value.trim());
+  if (match) {
+    const [, day, month, year, hours, minutes, seconds, meridiem] = match;
+    const hours24 = (Number(hours) % 12) + (meridiem.toLowerCase() === 'pm' ? 12 : 0);
+    return Date.UTC(Number(year), Number(month) - 1, Number(day), hours24, Number(minutes), Number(seconds)) - IST_OFFSET_MS;
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}/.test(value.trim())) {
+    return null;
+  }
+
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * A stored check date as ISO-8601 UTC (converts the IST format), or null
+ */
+function toISODate(value) {
+  const time = parseCheckedDate(value);
+  return time === null ? null : new Date(time).toISOString();
+}
+
+function isISODate(value) {
+  return typeof value === 'string' && ISO_UTC_PATTERN.test(value);
+}
+
+/**
+ * Whether a timezone name is known to the runtime
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * An ISO-8601 UTC timestamp as local time in a timezone, still ISO-8601 but
+ * with the zone's offset: "2025-12-06T05:00:00.000Z" in Asia/Kolkata is
+ * "2025-12-06T10:30:00.000+05:30"
+ */
+function formatInTimezone(value, timezone) {
+  const date = new Date(value);
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    timeZoneName: 'longOffset'
+  }).formatToParts(date).map(({ type, value: part }) => [type, part]));
+
+  // "GMT+05:30", or "GMT" for UTC
+  const offset = parts.timeZoneName.replace('GMT', '') || '+00:00';
+  const milliseconds = String(date.getUTCMilliseconds()).padStart(3, '0');
+
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}.${milliseconds}${offset}`;
+}
+
+/**
+ * Start of the calendar day a time falls on in a timezone, as a Date
+ * (e.g. to reset a daily quota at midnight Pacific Time)
+ */
+function startOfDay(timezone, date = new Date()) {
+  const day = formatInTimezone(date, timezone).slice(0, 10);
+  const midnight = new Date(`${day}T00:00:00.000${formatInTimezone(date, timezone).slice(23)}`);
+  // The offset at midnight differs from now's on daylight saving days
+  return new Date(`${day}T00:00:00.000${formatInTimezone(midnight, timezone).slice(23)}`);
+}
+
+// Response fields holding timestamps, besides every "...At" field (createdAt, checkedAt, ...)
+const TIMESTAMP_FIELDS = ['lastChecked', 'lastCheck', 'timestamp', 'nextRuns', 'nextSyncs'];
+
+function isTimestampField(key) {
+  return typeof key === 'string' && (/[a-z]At$/.test(key) || TIMESTAMP_FIELDS.includes(key));
+}
+
+/**
+ * Copy of a response body with its timestamps shown in a timezone (see
+ * formatInTimezone); other values, and timestamps that aren't ISO-8601 UTC,
+ * are left as they are
+ */
+function localizeTimestamps(value, timezone, key = null) {
+  if (Array.isArray(value)) {
+    return value.map(item => localizeTimestamps(item, timezone, key));
+  }
+  if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, localizeTimestamps(item, timezone, name)]));
+  }
+  if (isTimestampField(key) && isISODate(value)) {
+    return formatInTimezone(value, timezone);
+  }
+  return value;
+}
+
+module.exports = {
+  parseCheckedDate, toISODate, isISODate, isValidTimezone, formatInTimezone, startOfDay, localizeTimestamps
+};
@@ -0,0 +1,133 @@
+/**
+ * API errors
+ * Every error response carries a stable, machine-readable `code`; the
+ * message is for humans and may change. Throw these from controllers,
+ * services and models; middleware/errorHandler.js turns them into responses.
+ */
+
+// code -> HTTP status
+const ERROR_CODES = {
+  VALIDATION_FAILED: 400,
+  INVALID_JSON: 400,
+  URL_INVALID: 400,
+  UPLOAD_MISSING_FILE: 400,
+  UPLOAD_INVALID_FIELD: 400,
+  UPLOAD_MALFORMED: 400,
+  UPLOAD_NO_URL_COLUMN: 400,
+  UPLOAD_NO_VALID_URLS: 400,
+  UPLOAD_EMPTY: 400,
+  UPLOAD_TOO_MANY_URLS: 400,
+  PROVIDER_UNKNOWN: 400,
+  PROVIDER_UNAVAILABLE: 400,
+  SUBMITTER_UNKNOWN: 400,
+  SUBMITTER_UNAVAILABLE: 400,
+  SITEMAP_INVALID: 400,
+  SITEMAP_FETCH_FAILED: 400,
+  JWT_DISABLED: 400,
+  SETTINGS_UNAVAILABLE: 400,
+  UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  ROUTE_NOT_FOUND: 404,
+  URL_NOT_FOUND: 404,
+  CONFLICT: 409,
+  URL_DUPLICATE: 409,
+  CHECK_IN_PROGRESS: 409,
+  PAYLOAD_TOO_LARGE: 413,
+  UPLOAD_TOO_LARGE: 413,
+  UPLOAD_INVALID_TYPE: 415,
+  INTERNAL_ERROR: 500
+};
+
+/**
+ * Base class: `code` is one of ERROR_CODES (its HTTP status is used unless
+ * `statusCode` is given); `details` are extra response fields
+ * (e.g. { errors: [...] } or { rejected: [...] })
+ */
+class AppError extends Error {
+  constructor(message, { code = 'INTERNAL_ERROR', statusCode, details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.statusCode = statusCode || ERROR_CODES[code] || 500;
+    this.details = details || null;
+  }
+}
+
+/**
+ * Invalid input; `errors` lists every problem found ('"url" is required', ...)
+ */
+class ValidationError extends AppError {
+  constructor(message = 'Invalid request', errors = [], { code = 'VALIDATION_FAILED', details } = {}) {
+    super(message, { code, details: { ...(errors.length > 0 && { errors }), ...details } });
+    this.errors = errors;
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = 'Authentication required', options = {}) {
+    super(message, { code: 'UNAUTHORIZED', ...options });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = 'Forbidden', options = {}) {
+    super(message, { code: 'FORBIDDEN', ...options });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = 'Not found', options = {}) {
+    super(message, { code: 'NOT_FOUND', ...options });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message = 'Conflict', options = {}) {
+    super(message, { code: 'CONFLICT', ...options });
+  }
+}
+
+/**
+ * "10 MB", or "512 KB" below a megabyte
+ */
+function formatBytes(bytes) {
+  return bytes >= 1024 * 1024
+    ? `${Math.round(bytes / 1024 / 1024 * 10) / 10} MB`
+    : `${Math.round(bytes / 1024 * 10) / 10} KB`;
+}
+
+/**
+ * Error from a multer upload middleware as an AppError: file too large,
+ * wrong field name, malformed multipart body, ... (I/O errors are left as they are)
+ */
+function fromMulterError(error, { fieldName, maxFileBytes } = {}) {
+  if (error instanceof AppError || error.syscall) {
+    return error;
+  }
+
+  if (error.name !== 'MulterError') {
+    return new AppError(`Malformed upload: ${error.message}`, { code: 'UPLOAD_MALFORMED' });
+  }
+
+  if (error.code === 'LIMIT_FILE_SIZE') {
+    const limit = maxFileBytes ? ` Maximum ${formatBytes(maxFileBytes)}.` : '';
+    return new AppError(`File too large.${limit}`, { code: 'UPLOAD_TOO_LARGE' });
+  }
+  if (error.code === 'LIMIT_UNEXPECTED_FILE' && fieldName) {
+    return new AppError(`Unexpected file field "${error.field}". Send the file as "${fieldName}".`, { code: 'UPLOAD_INVALID_FIELD' });
+  }
+  return new AppError(error.message, { code: 'UPLOAD_INVALID_FIELD' });
+}
+
+module.exports = {
+  ERROR_CODES,
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  fromMulterError,
+  formatBytes
+};
@@ -0,0 +1,102 @@
+/**
+ * HTML helpers for indexability signals
+ * Regex based on purpose: only a few tags in <head> are needed
+ */
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Decode the common named and numeric HTML entities
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return ENTITIES[entity.toLowerCase()] !== undefined ? ENTITIES[entity.toLowerCase()] : match;
+  });
+}
+
+/**
+ * Parse the attributes of a single tag into a lowercase-keyed object
+ */
+function parseAttributes(tag) {
+  const attributes = {};
+  const pattern = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+  let match;
+
+  while ((match = pattern.exec(tag)) !== null) {
+    const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+    attributes[match[1].toLowerCase()] = decodeEntities(value);
+  }
+
+  return attributes;
+}
+
+/**
+ * Extract title, robots meta directives and canonical link from an HTML page
+ * Returns { title, metaRobots, canonical } (null when absent)
+ */
+function extractHeadSignals(html) {
+  // Only look at <head> when the document has one
+  const headEnd = html.search(/<\/head>/i);
+  const head = headEnd === -1 ? html : html.slice(0, headEnd);
+
+  const titleMatch = head.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  const title = titleMatch ? decodeEntities(titleMatch[1]).replace(/\s+/g, ' ').trim() : null;
+
+  const robots = [];
+  (head.match(/<meta\b[^>]*>/gi) || []).forEach(tag => {
+    const attributes = parseAttributes(tag);
+    const name = (attributes.name || '').toLowerCase();
+    if ((name === 'robots' || name === 'googlebot') && attributes.content) {
+      robots.push(attributes.content.trim());
+    }
+  });
+
+  let canonical = null;
+  (head.match(/<link\b[^>]*>/gi) || []).some(tag => {
+    const attributes = parseAttributes(tag);
+    const rel = (attributes.rel || '').toLowerCase().split(/\s+/);
+    if (rel.includes('canonical') && attributes.href) {
+      canonical = attributes.href.trim();
+      return true;
+    }
+    return false;
+  });
+
+  return {
+    title: title || null,
+    metaRobots: robots.length > 0 ? robots.join(', ') : null,
+    canonical
+  };
+}
+
+/**
+ * Whether robots directives (meta content or X-Robots-Tag) block indexing
+ * for Googlebot. Header values may be scoped to a bot ("googlebot: noindex");
+ * a scope applies to the directives that follow it.
+ */
+function hasNoindex(directives) {
+  if (!directives) {
+    return false;
+  }
+
+  let scope = null;
+
+  return directives.split(',').some(part => {
+    let value = part.trim().toLowerCase();
+    const scoped = value.match(/^([\w-]+)\s*:\s*(.*)$/);
+
+    if (scoped && scoped[1] !== 'unavailable_after') {
+      scope = scoped[1];
+      value = scoped[2];
+    }
+
+    const appliesToGoogle = scope === null || scope === 'googlebot' || scope === 'robots';
+    return appliesToGoogle && (value === 'noindex' || value === 'none');
+  });
+}
+
+module.exports = { extractHeadSignals, hasNoindex, decodeEntities };
@@ -0,0 +1,54 @@
+/**
+ * HTTP helpers
+ */
+
+// Statuses worth retrying: rate limited or temporarily unavailable
+const RETRYABLE_STATUSES = [429, 503];
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date) into milliseconds
+ * Returns null when the header is missing or unparseable
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Whether an axios error is a timeout
+ */
+function isTimeoutError(error) {
+  return error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || /timeout/i.test(error.message || '');
+}
+
+/**
+ * Retry hints for an axios error or response:
+ * { retryable, retryAfterMs } - retryable for timeouts, 429 and 503
+ */
+function getRetryInfo(errorOrResponse) {
+  const response = errorOrResponse.response || (errorOrResponse.status ? errorOrResponse : null);
+
+  if (response && RETRYABLE_STATUSES.includes(response.status)) {
+    return {
+      retryable: true,
+      retryAfterMs: parseRetryAfter(response.headers && response.headers['retry-after'])
+    };
+  }
+
+  if (!response && isTimeoutError(errorOrResponse)) {
+    return { retryable: true, retryAfterMs: null };
+  }
+
+  return { retryable: false, retryAfterMs: null };
+}
+
+module.exports = { parseRetryAfter, isTimeoutError, getRetryInfo };
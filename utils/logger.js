@@ -0,0 +1,73 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Fields of the current request (requestId, ...), added to every log line
+const context = new AsyncLocalStorage();
+
+function getThreshold() {
+  return LEVELS[String(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info;
+}
+
+/**
+ * Plain-object form of an Error (JSON.stringify drops message and stack)
+ */
+function serializeError(error) {
+  return {
+    message: error.message,
+    ...(error.code && { code: error.code }),
+    ...(error.statusCode && { statusCode: error.statusCode }),
+    stack: error.stack
+  };
+}
+
+function write(level, message, fields = {}) {
+  if (LEVELS[level] < getThreshold()) {
+    return;
+  }
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    ...context.getStore(),
+    ...fields
+  };
+
+  Object.keys(entry).forEach(key => {
+    if (entry[key] instanceof Error) {
+      entry[key] = serializeError(entry[key]);
+    }
+  });
+
+  const line = JSON.stringify(entry) + '\n';
+  if (LEVELS[level] >= LEVELS.warn) {
+    process.stderr.write(line);
+  } else {
+    process.stdout.write(line);
+  }
+}
+
+/**
+ * Structured logger: one JSON object per line
+ * logger.info('Check finished', { runId, total }) ->
+ * {"time":"...","level":"info","msg":"Check finished","requestId":"...","runId":"...","total":30}
+ *
+ * Env: LOG_LEVEL (debug | info | warn | error, default info)
+ */
+const logger = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields),
+
+  /**
+   * Run fn with fields (e.g. a request ID) added to every line logged
+   * inside it, including from async work it starts
+   */
+  runWithContext(fields, fn) {
+    return context.run({ ...context.getStore(), ...fields }, fn);
+  }
+};
+
+module.exports = logger;
@@ -0,0 +1,117 @@
+/**
+ * User metadata on URLs: tags and custom fields
+ */
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+const MAX_FIELDS = 20;
+const MAX_FIELD_VALUE_LENGTH = 500;
+
+// Letters/digits first, then also _ - . : (e.g. "blog", "q3-launch", "team:seo")
+const TAG_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N}_.:-]*$/u;
+const FIELD_NAME_PATTERN = /^[A-Za-z][\w-]{0,49}$/;
+
+/**
+ * Canonical form of a tag: trimmed, lowercase, spaces as dashes
+ */
+function normalizeTag(tag) {
+  return String(tag).trim().toLowerCase().replace(/\s+/g, '-');
+}
+
+/**
+ * Tags from an array or a string separated by , ; or |
+ * Normalized, empty ones dropped, duplicates removed
+ */
+function splitTags(value) {
+  const tags = [].concat(value)
+    .filter(item => item !== null && item !== undefined)
+    .flatMap(item => String(item).split(/[,;|]/))
+    .map(normalizeTag)
+    .filter(Boolean);
+  return [...new Set(tags)];
+}
+
+/**
+ * Error message for an invalid tag list, or null
+ */
+function validateTags(tags) {
+  if (tags.length > MAX_TAGS) {
+    return `At most ${MAX_TAGS} tags are allowed`;
+  }
+  const invalid = tags.find(tag => tag.length > MAX_TAG_LENGTH || !TAG_PATTERN.test(tag));
+  if (invalid !== undefined) {
+    return `Invalid tag "${invalid}": use letters, digits, _ - . : (up to ${MAX_TAG_LENGTH} characters)`;
+  }
+  return null;
+}
+
+/**
+ * Validate custom fields ({ owner: "alice", priority: 1 })
+ * Values are strings, numbers or booleans; with `allowNull`, null marks a
+ * field to remove (PATCH)
+ * Returns { error, fields }
+ */
+function validateFields(value, { allowNull = false } = {}) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { error: '"fields" must be an object (e.g. { "owner": "alice" })', fields: null };
+  }
+
+  const entries = Object.entries(value);
+  if (entries.length > MAX_FIELDS) {
+    return { error: `At most ${MAX_FIELDS} custom fields are allowed`, fields: null };
+  }
+
+  for (const [name, fieldValue] of entries) {
+    if (!FIELD_NAME_PATTERN.test(name)) {
+      return { error: `Invalid field name "${name}": start with a letter, then letters, digits, _ or - (up to 50 characters)`, fields: null };
+    }
+    if (fieldValue === null && allowNull) {
+      continue;
+    }
+    if (!['string', 'number', 'boolean'].includes(typeof fieldValue)) {
+      return { error: `Field "${name}" must be a string, number or boolean${allowNull ? ' (or null to remove it)' : ''}`, fields: null };
+    }
+    if (typeof fieldValue === 'string' && fieldValue.length > MAX_FIELD_VALUE_LENGTH) {
+      return { error: `Field "${name}" is too long (over ${MAX_FIELD_VALUE_LENGTH} characters)`, fields: null };
+    }
+  }
+
+  return { error: null, fields: { ...value } };
+}
+
+/**
+ * Apply field changes to existing fields: null removes a field
+ */
+function mergeFields(existing, changes) {
+  const merged = { ...existing };
+  Object.entries(changes).forEach(([name, value]) => {
+    if (value === null) {
+      delete merged[name];
+    } else {
+      merged[name] = value;
+    }
+  });
+  return merged;
+}
+
+/**
+ * Fields as text, e.g. "owner=alice; priority=1" (CSV/XLSX exports)
+ */
+function formatFields(fields) {
+  return Object.entries(fields || {}).map(([name, value]) => `${name}=${value}`).join('; ');
+}
+
+/**
+ * Read fields back from formatFields() text; values stay strings
+ */
+function parseFields(text) {
+  return String(text || '').split(';').reduce((fields, pair) => {
+    const index = pair.indexOf('=');
+    if (index > 0) {
+      fields[pair.slice(0, index).trim()] = pair.slice(index + 1).trim();
+    }
+    return fields;
+  }, {});
+}
+
+module.exports = { normalizeTag, splitTags, validateTags, validateFields, mergeFields, formatFields, parseFields };
@@ -0,0 +1,21 @@
+/**
+ * Promise-based mutex: callers of runExclusive() run one at a time,
+ * in call order, even when they await in between
+ */
+class Mutex {
+  constructor() {
+    this.tail = Promise.resolve();
+  }
+
+  /**
+   * Run fn once every earlier caller has finished
+   * Resolves/rejects with fn's result; a failure does not block later callers
+   */
+  runExclusive(fn) {
+    const result = this.tail.then(() => fn());
+    this.tail = result.catch(() => {});
+    return result;
+  }
+}
+
+module.exports = Mutex;
@@ -0,0 +1,97 @@
+/**
+ * URL helpers
+ */
+
+// Query parameters added by campaign/click tracking; they don't change the page
+const TRACKING_PARAMS = ['gclid', 'dclid', 'gbraid', 'wbraid', 'fbclid', 'msclkid', 'yclid', 'igshid', 'mc_cid', 'mc_eid', '_ga', '_gl', '_hsenc', '_hsmi'];
+
+/**
+ * Normalize a URL for duplicate detection:
+ * lowercase scheme/host, no default port, no fragment, no trailing slash
+ * (except for the root path). Unparseable input is only trimmed.
+ */
+function normalizeURL(url) {
+  const trimmed = String(url || '').trim();
+
+  try {
+    const urlObj = new URL(trimmed);
+    urlObj.hash = '';
+
+    if (urlObj.pathname.length > 1) {
+      urlObj.pathname = urlObj.pathname.replace(/\/+$/, '');
+    }
+
+    return urlObj.href;
+  } catch (error) {
+    return trimmed;
+  }
+}
+
+/**
+ * Whether a value is an absolute http(s) URL
+ */
+function isHttpURL(url) {
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Whether a query parameter name is a tracking parameter (utm_* and known click IDs)
+ */
+function isTrackingParam(name) {
+  const lower = name.toLowerCase();
+  return lower.startsWith('utm_') || TRACKING_PARAMS.includes(lower);
+}
+
+/**
+ * Clean up a URL typed or pasted by a user (e.g. from an uploaded file):
+ * adds a missing https:// scheme and removes tracking parameters.
+ * Returns { url, changes, error } - `changes` describes what was fixed,
+ * `error` is set when the result still isn't a usable http(s) URL
+ */
+function cleanURL(input, { stripTracking = true } = {}) {
+  let url = String(input || '').trim().replace(/^<(.*)>$/, '$1').trim();
+  const changes = [];
+
+  if (!url) {
+    return { url, changes, error: 'Missing URL' };
+  }
+
+  if (url.startsWith('//')) {
+    url = 'https:' + url;
+    changes.push('Added https: scheme');
+  } else if (!/^[a-z][a-z\d+.-]*:\/\//i.test(url) && !/^(mailto|tel|javascript|data):/i.test(url)) {
+    url = 'https://' + url;
+    changes.push('Added https:// scheme');
+  }
+
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch (error) {
+    return { url: String(input).trim(), changes: [], error: 'Invalid URL' };
+  }
+
+  if (!['http:', 'https:'].includes(urlObj.protocol)) {
+    return { url: String(input).trim(), changes: [], error: `Unsupported scheme "${urlObj.protocol}" (only http and https)` };
+  }
+  if (!urlObj.hostname || (!/[.:]/.test(urlObj.hostname) && urlObj.hostname !== 'localhost')) {
+    return { url: String(input).trim(), changes: [], error: 'Invalid host name' };
+  }
+
+  if (stripTracking) {
+    const removed = [...new Set([...urlObj.searchParams.keys()].filter(isTrackingParam))];
+    if (removed.length > 0) {
+      removed.forEach(name => urlObj.searchParams.delete(name));
+      url = urlObj.href.replace(/\?$/, '');
+      changes.push(`Removed tracking parameters: ${removed.join(', ')}`);
+    }
+  }
+
+  return { url, changes, error: null };
+}
+
+module.exports = { normalizeURL, isHttpURL, cleanURL };